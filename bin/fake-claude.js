@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+/**
+ * fake-claude — scriptable stand-in for the `claude` executable
+ *
+ * Renders the parts of Claude Code's terminal UI this package reacts to,
+ * driven by a JSON fixture, so launch/send/watchForPrompts/close can be
+ * tested offline (no Claude Code install, API key or Mac needed):
+ *
+ *   - the "Do you trust the files in this folder?" dialog
+ *   - the idle `>` input prompt with its "? for shortcuts" footer, where a
+ *     trailing backslash before Enter continues the prompt on a new line
+ *   - a "✻ Thinking… (esc to interrupt)" spinner while "working"
+ *   - numbered permission dialogs before tool calls
+ *   - canned replies and tool-call blocks
+ *   - Escape twice at an empty prompt: the rewind list of earlier prompts;
+ *     picking one puts it back in the input box
+ *   - shift+tab toggles accept-edits mode, Ctrl-C interrupts (twice exits)
+ *   - built-in slash commands: /clear, /compact, /cost (usage summed from
+ *     the responses), /model [name], and the /resume, /memory and
+ *     /permissions lists; /init and /review are answered like prompts, so
+ *     fixture responses can match "^/init"
+ *
+ * With -p it prints the same canned responses as a stream-json event stream,
+ * like `claude -p --output-format stream-json --verbose`.
+ *
+ * Usage:
+ *   fake-claude [--fixture <file>]            interactive (run it in a PTY, e.g. tmux)
+ *   fake-claude -p "<prompt>" [--resume <id>] print mode
+ *
+ * The fixture can also come from $FAKE_CLAUDE_FIXTURE. Format:
+ *
+ *   {
+ *     "trust": true,                              // show the trust dialog first
+ *     "responses": [
+ *       {
+ *         "match": "hello",                       // regex, case-insensitive
+ *         "delayMs": 500,                         // spinner time before answering
+ *         "tools": [
+ *           { "tool": "Bash", "args": "npm test", "output": "ok", "ask": true }
+ *         ],
+ *         "reply": "Tests pass."            // or "echo": true to reply with the prompt itself
+ *       }
+ *     ],
+ *     "default": { "reply": "OK" },
+ *     "usage": { ... }, "costUsd": 0.01             // per response, for -p and /cost
+ *     "conversations": [ { "modified": "2h ago", "messages": 12, "branch": "main", "summary": "..." } ],
+ *     "slashCommands": { "status": "text to print" }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+
+function getArg(flag) {
+  const idx = args.indexOf(flag);
+  return idx !== -1 ? args[idx + 1] : null;
+}
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'fake-claude', 'default.json');
+const fixturePath = getArg('--fixture') || process.env.FAKE_CLAUDE_FIXTURE || DEFAULT_FIXTURE;
+const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+
+const SPINNER_FRAMES = ['✻', '✽', '✶', '✳', '✢', '·'];
+const BOX_WIDTH = 60;
+
+// ─── Fixture lookup ─────────────────────────────────────────
+
+function findResponse(prompt) {
+  const match = (fixture.responses || []).find(r => new RegExp(r.match, 'i').test(prompt));
+  const response = match || fixture.default || { reply: 'OK' };
+  return response.echo ? { ...response, reply: prompt } : response;
+}
+
+function responseUsage(response) {
+  return response.usage || { input_tokens: 10, output_tokens: 20 };
+}
+
+function responseCost(response) {
+  return response.costUsd ?? 0.001;
+}
+
+// ─── Print mode (stream-json) ───────────────────────────────
+
+function runPrintMode(prompt) {
+  const sessionId = getArg('--resume') || `fake-${process.pid}`;
+  const response = findResponse(prompt);
+  const emit = event => process.stdout.write(JSON.stringify({ ...event, session_id: sessionId }) + '\n');
+
+  emit({ type: 'system', subtype: 'init', cwd: process.cwd(), model: fixture.model || 'fake-model' });
+
+  (response.tools || []).forEach((t, i) => {
+    const id = `toolu_${i + 1}`;
+    const input = toolInput(t);
+    emit({ type: 'assistant', message: { role: 'assistant', content: [{ type: 'tool_use', id, name: t.tool, input }] } });
+    emit({ type: 'user', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: t.output || '' }] } });
+  });
+
+  if (response.reply) {
+    emit({ type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text: response.reply }] } });
+  }
+
+  const usage = responseUsage(response);
+  emit({
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    result: response.reply || '',
+    num_turns: 1 + (response.tools || []).length,
+    duration_ms: response.delayMs || 0,
+    total_cost_usd: responseCost(response),
+    usage,
+    permission_denials: [],
+  });
+}
+
+function toolInput(t) {
+  if (t.tool === 'Bash') return { command: t.args };
+  if (['Write', 'Edit', 'Update', 'MultiEdit', 'Read'].includes(t.tool)) return { file_path: t.args };
+  return { input: t.args };
+}
+
+// ─── Interactive mode ───────────────────────────────────────
+
+const out = text => process.stdout.write(text);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function boxLine(text) {
+  const inner = ` ${text}`;
+  return `│${inner}${' '.repeat(Math.max(1, BOX_WIDTH - inner.length))}│`;
+}
+
+function box(lines) {
+  return [
+    `╭${'─'.repeat(BOX_WIDTH)}╮`,
+    ...lines.map(boxLine),
+    `╰${'─'.repeat(BOX_WIDTH)}╯`,
+  ];
+}
+
+const state = {
+  mode: 'starting', // trust | idle | busy | permission | rewind | menu
+  input: '',
+  history: [],      // prompts sent so far, for the rewind list
+  lastEscape: 0,
+  model: 'default',
+  usage: { input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 },
+  costUsd: 0,
+  apiMs: 0,
+  startedAt: Date.now(),
+  acceptEdits: false,
+  allowed: new Set(),
+  dialog: null,     // { options, selected, lines, resolve }
+  ctrlC: 0,
+};
+
+function footerText() {
+  return state.acceptEdits ? '⏵⏵ accept edits on (shift+tab to cycle)' : '? for shortcuts';
+}
+
+function renderIdle() {
+  state.mode = 'idle';
+  state.input = '';
+  // Prompt line, footer below it, then put the cursor back after "> "
+  out(`\n> \n  ${footerText()}\x1b[1A\r\x1b[2C`);
+}
+
+/**
+ * Show a numbered choice dialog and resolve with the chosen option index
+ */
+function showDialog(headerLines, options, mode, selected = 0) {
+  return new Promise((resolve) => {
+    state.mode = mode;
+    state.dialog = { headerLines, options, selected, rendered: 0, resolve };
+    drawDialog();
+  });
+}
+
+function drawDialog() {
+  const { headerLines, options, selected, rendered } = state.dialog;
+  const lines = box([
+    ...headerLines,
+    '',
+    ...options.map((opt, i) => `${i === selected ? '❯' : ' '} ${i + 1}. ${opt}`),
+  ]);
+  if (rendered) out(`\x1b[${rendered}A\r\x1b[J`);
+  out(lines.join('\n') + '\n');
+  state.dialog.rendered = lines.length;
+}
+
+function chooseDialog(index) {
+  const { options, rendered, resolve } = state.dialog;
+  if (index < 0 || index >= options.length) return;
+  // Answered dialogs disappear, as in Claude Code
+  out(`\x1b[${rendered}A\r\x1b[J`);
+  state.dialog = null;
+  resolve(index);
+}
+
+function cancelDialog() {
+  const { rendered, resolve } = state.dialog;
+  out(`\x1b[${rendered}A\r\x1b[J`);
+  state.dialog = null;
+  resolve(-1);
+}
+
+async function showTrustDialog() {
+  const choice = await showDialog([
+    'Do you trust the files in this folder?',
+    '',
+    process.cwd(),
+  ], ['Yes, proceed', 'No, exit'], 'trust');
+  if (choice !== 0) exit(0);
+  out('\n');
+}
+
+function showWelcome() {
+  out(box([
+    '✻ Welcome to Claude Code!',
+    '',
+    '  /help for help, /status for your current setup',
+    '',
+    `  cwd: ${process.cwd()}`,
+  ]).join('\n') + '\n');
+}
+
+async function runSpinner(ms, verb = 'Thinking') {
+  const start = Date.now();
+  let frame = 0;
+  while (Date.now() - start < ms && state.mode === 'busy') {
+    const secs = Math.floor((Date.now() - start) / 1000);
+    out(`\r\x1b[K${SPINNER_FRAMES[frame++ % SPINNER_FRAMES.length]} ${verb}… (${secs}s · esc to interrupt)`);
+    await sleep(100);
+  }
+  out('\r\x1b[K');
+}
+
+function permissionDialogFor(tool) {
+  if (tool.tool === 'Bash') {
+    const prefix = tool.args.split(/\s+/)[0];
+    return {
+      header: ['Bash command', '', `  ${tool.args}`, '', 'Do you want to proceed?'],
+      options: ['Yes', `Yes, and don't ask again for ${prefix} commands in ${process.cwd()}`, 'No, and tell Claude what to do differently (esc)'],
+      allowKey: `Bash:${prefix}`,
+    };
+  }
+  const verb = tool.tool === 'Write' ? 'create' : 'make this edit to';
+  return {
+    header: [tool.tool === 'Write' ? 'Create file' : 'Edit file', '', `Do you want to ${verb} ${path.basename(tool.args)}?`],
+    options: ['Yes', 'Yes, allow all edits during this session (shift+tab)', 'No, and tell Claude what to do differently (esc)'],
+    allowKey: 'edits',
+  };
+}
+
+function renderTool(tool) {
+  const outputLines = String(tool.output || '').split('\n');
+  out(`⏺ ${tool.tool}(${tool.args})\n`);
+  out(`  ⎿  ${outputLines[0]}\n`);
+  outputLines.slice(1).forEach(line => out(`     ${line}\n`));
+  out('\n');
+}
+
+function renderReply(text) {
+  const lines = String(text).split('\n');
+  out(`⏺ ${lines[0]}\n`);
+  lines.slice(1).forEach(line => out(`  ${line}\n`));
+}
+
+async function showRewind() {
+  const { history } = state;
+  const choice = await showDialog(
+    ['Rewind', '', 'Restore the conversation to before the selected message'],
+    [...history, '(current)'],
+    'rewind',
+    history.length,
+  );
+  renderIdle();
+  if (choice < history.length) {
+    state.input = history[choice];
+    state.history = history.slice(0, choice);
+    out(state.input);
+  }
+}
+
+// Slash commands that are really prompts to the model
+const PROMPT_COMMANDS = ['init', 'review'];
+
+async function handlePrompt(prompt) {
+  const [name] = prompt.slice(1).split(/\s+/);
+  if (prompt.startsWith('/') && !PROMPT_COMMANDS.includes(name)) return handleSlashCommand(prompt);
+  state.history.push(prompt);
+
+  const response = findResponse(prompt);
+  state.mode = 'busy';
+  out('\n');
+  await runSpinner(response.delayMs ?? 300);
+  if (state.mode !== 'busy') return; // interrupted
+
+  const usage = responseUsage(response);
+  for (const key of Object.keys(state.usage)) state.usage[key] += usage[key] || 0;
+  state.costUsd += responseCost(response);
+  state.apiMs += response.delayMs ?? 300;
+
+  for (const tool of response.tools || []) {
+    const isEdit = tool.tool !== 'Bash';
+    const dialog = permissionDialogFor(tool);
+    const preApproved = state.allowed.has(dialog.allowKey) || (isEdit && state.acceptEdits);
+
+    if (tool.ask && !preApproved) {
+      const choice = await showDialog(dialog.header, dialog.options, 'permission');
+      if (choice === 2) {
+        out(`⏺ ${tool.tool}(${tool.args})\n  ⎿  User rejected ${tool.tool === 'Bash' ? 'command' : 'edit'}\n`);
+        renderIdle();
+        return;
+      }
+      if (choice === 1) {
+        state.allowed.add(dialog.allowKey);
+        if (isEdit) state.acceptEdits = true;
+      }
+      state.mode = 'busy';
+    }
+    renderTool(tool);
+  }
+
+  if (response.reply) renderReply(response.reply);
+  if (response.exit !== undefined) exit(response.exit);
+  renderIdle();
+}
+
+const MODELS = [
+  { alias: 'default', label: 'Default (recommended)', description: 'Use the default model' },
+  { alias: 'opus', label: 'Opus', description: 'Most capable for complex work' },
+  { alias: 'sonnet', label: 'Sonnet', description: 'Best for everyday tasks' },
+  { alias: 'haiku', label: 'Haiku', description: 'Fastest for quick answers' },
+];
+
+const DEFAULT_CONVERSATIONS = [
+  { modified: '5m ago', messages: 8, branch: 'main', summary: 'Add a hello script' },
+  { modified: '2h ago', messages: 23, branch: 'fix-login', summary: 'Fix the login redirect' },
+  { modified: '3d ago', messages: 4, branch: 'main', summary: 'Explain the build setup' },
+];
+
+function printResult(lines) {
+  out([].concat(lines).map((line, i) => `${i ? '     ' : '  ⎿  '}${line}`).join('\n') + '\n');
+}
+
+function formatCount(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+}
+
+function formatSeconds(ms) {
+  const secs = ms / 1000;
+  return secs >= 60 ? `${Math.floor(secs / 60)}m ${(secs % 60).toFixed(1)}s` : `${secs.toFixed(1)}s`;
+}
+
+function costLines() {
+  const u = state.usage;
+  return [
+    `Total cost:            $${state.costUsd.toFixed(4)}`,
+    `Total duration (API):  ${formatSeconds(state.apiMs)}`,
+    `Total duration (wall): ${formatSeconds(Date.now() - state.startedAt)}`,
+    'Total code changes:    0 lines added, 0 lines removed',
+    'Usage by model:',
+    `    fake-${state.model}:  ${formatCount(u.input_tokens)} input, ${formatCount(u.output_tokens)} output, ` +
+      `${formatCount(u.cache_read_input_tokens)} cache read, ${formatCount(u.cache_creation_input_tokens)} cache write`,
+  ];
+}
+
+// Show a list; Escape closes it (resolves -1)
+async function showMenu(headerLines, options, selected = 0) {
+  return showDialog(headerLines, options, 'menu', selected);
+}
+
+async function handleSlashCommand(command) {
+  const [name, ...rest] = command.slice(1).split(/\s+/);
+  const argument = rest.join(' ');
+  const custom = (fixture.slashCommands || {})[name];
+
+  if (name === 'exit' || name === 'quit') exit(0);
+
+  out('\n');
+  if (custom) {
+    printResult(custom.split('\n'));
+  } else if (name === 'clear') {
+    out('\x1b[2J\x1b[H');
+  } else if (name === 'cost') {
+    printResult(costLines());
+  } else if (name === 'compact') {
+    state.mode = 'busy';
+    await runSpinner(500, 'Compacting conversation');
+    if (state.mode !== 'busy') return;
+    out('\x1b[2J\x1b[H');
+    out(`✻ Conversation compacted (ctrl+r for history)${argument ? ` · ${argument}` : ''}\n`);
+  } else if (name === 'model' && argument) {
+    const model = MODELS.find(m => m.alias === argument.toLowerCase());
+    if (model) state.model = model.alias;
+    printResult(model ? `Set model to ${model.label} (fake-${model.alias})` : `Invalid model: ${argument}`);
+  } else if (name === 'model') {
+    const current = MODELS.findIndex(m => m.alias === state.model);
+    const labels = MODELS.map((m, i) => `${m.label.padEnd(22)}  ${m.description}${i === current ? '  ✔' : ''}`);
+    const choice = await showMenu(['Select model', 'Applies to this session and future sessions.'], labels, current);
+    if (choice >= 0) state.model = MODELS[choice].alias;
+    const model = MODELS.find(m => m.alias === state.model);
+    printResult(`${choice >= 0 ? 'Set model to' : 'Kept model as'} ${model.label} (fake-${model.alias})`);
+  } else if (name === 'resume') {
+    const conversations = fixture.conversations || DEFAULT_CONVERSATIONS;
+    if (!conversations.length) {
+      printResult('No conversations found to resume');
+    } else {
+      const rows = conversations.map(c => `${c.modified}  ${c.messages}  ${c.branch}  ${c.summary}`);
+      const choice = await showMenu(['Resume a previous conversation', '', 'Modified  # Messages  Git Branch  Summary'], rows);
+      if (choice >= 0) printResult(`Resumed conversation: ${conversations[choice].summary}`);
+    }
+  } else if (name === 'memory') {
+    const choice = await showMenu(['Select memory to edit:'], [
+      'Project memory  Checked in at ./CLAUDE.md',
+      'User memory  Saved in ~/.claude/CLAUDE.md',
+    ]);
+    if (choice >= 0) printResult(`Opened memory file at ${choice ? '~/.claude/CLAUDE.md' : './CLAUDE.md'}`);
+  } else if (name === 'permissions') {
+    const rules = Array.from(state.allowed)
+      .filter(key => key.startsWith('Bash:'))
+      .map(key => `Bash(${key.slice(5)}:*)`);
+    await showMenu(['Permissions:  Allow  Deny  Workspace', '', "Claude Code won't ask before using allowed tools."], ['Add a new rule…', ...rules]);
+  } else {
+    printResult(`Unknown command: /${name}`);
+  }
+  renderIdle();
+}
+
+function exit(code) {
+  out('\n');
+  if (process.stdin.isTTY) process.stdin.setRawMode(false);
+  process.exit(code);
+}
+
+// ─── Key handling ───────────────────────────────────────────
+
+const KEYS = {
+  '\r': 'enter',
+  '\n': 'enter',
+  '\x1b': 'escape',
+  '\x7f': 'backspace',
+  '\x08': 'backspace',
+  '\x03': 'ctrl-c',
+  '\x1b[A': 'up',
+  '\x1b[B': 'down',
+  '\x1b[Z': 'shift-tab',
+  '\t': 'tab',
+};
+
+// Split a chunk of raw input into key tokens (escape sequences stay whole)
+function tokenize(chunk) {
+  const tokens = [];
+  const re = /\x1b\[[0-9;]*[A-Za-z~]|\x1bO[A-Za-z]|[\s\S]/gu;
+  let m;
+  while ((m = re.exec(chunk))) tokens.push(m[0]);
+  return tokens;
+}
+
+function onKey(token) {
+  const key = KEYS[token] || null;
+
+  if (key === 'ctrl-c') {
+    if (state.mode === 'busy') {
+      state.mode = 'interrupted';
+      out('\r\x1b[K  ⎿  Interrupted by user\n');
+      renderIdle();
+      return;
+    }
+    if (++state.ctrlC >= 2) exit(0);
+    out('\r\n  Press Ctrl-C again to exit');
+    renderIdle();
+    return;
+  }
+  state.ctrlC = 0;
+
+  if (state.mode === 'trust' || state.mode === 'permission' || state.mode === 'rewind' || state.mode === 'menu') {
+    const dialog = state.dialog;
+    if (!dialog) return;
+    if (key === 'escape' && state.mode === 'menu') return cancelDialog();
+    if (key === 'up') dialog.selected = Math.max(0, dialog.selected - 1);
+    else if (key === 'down') dialog.selected = Math.min(dialog.options.length - 1, dialog.selected + 1);
+    else if (key === 'enter') return chooseDialog(dialog.selected);
+    else if (key === 'escape') return chooseDialog(dialog.options.length - 1);
+    else if (key === 'shift-tab' && state.mode === 'permission' && dialog.options[1].includes('shift+tab')) return chooseDialog(1);
+    else if (/^[1-9]$/.test(token)) return chooseDialog(Number(token) - 1);
+    else if (/^y$/i.test(token)) return chooseDialog(0);
+    else if (/^n$/i.test(token)) return chooseDialog(dialog.options.length - 1);
+    else return;
+    drawDialog();
+    return;
+  }
+
+  if (state.mode === 'busy') {
+    if (key === 'escape') {
+      state.mode = 'interrupted';
+      out('\r\x1b[K  ⎿  Interrupted by user\n');
+      renderIdle();
+    }
+    return;
+  }
+
+  if (state.mode !== 'idle') return;
+
+  if (key === 'enter' && state.input.endsWith('\\')) {
+    // Multi-line input: the backslash becomes a newline
+    state.input = `${state.input.slice(0, -1)}\n`;
+    out('\b \b\r\n  ');
+  } else if (key === 'enter') {
+    const prompt = state.input.trim();
+    if (!prompt) return; // stray Enter, e.g. after answering a dialog with a digit
+    out('\r\n\x1b[K');
+    handlePrompt(prompt);
+  } else if (key === 'backspace') {
+    if (state.input) {
+      state.input = state.input.slice(0, -1);
+      out('\b \b');
+    }
+  } else if (key === 'escape') {
+    // Escape twice in a row at an empty prompt opens the rewind list
+    const now = Date.now();
+    if (!state.input && state.history.length && now - state.lastEscape < 1000) {
+      state.lastEscape = 0;
+      showRewind();
+    } else {
+      state.lastEscape = now;
+    }
+  } else if (key === 'shift-tab') {
+    state.acceptEdits = !state.acceptEdits;
+    out(`\x1b[s\r\n\x1b[K  ${footerText()}\x1b[u`);
+  } else if (!key && token >= ' ') {
+    state.input += token;
+    out(token);
+  }
+}
+
+async function runInteractive() {
+  if (process.stdin.isTTY) process.stdin.setRawMode(true);
+  process.stdin.setEncoding('utf-8');
+  process.stdin.on('data', chunk => tokenize(chunk).forEach(onKey));
+
+  if (fixture.trust) await showTrustDialog();
+  showWelcome();
+  renderIdle();
+}
+
+// ─── Main ───────────────────────────────────────────────────
+
+if (args.includes('-p') || args.includes('--print')) {
+  runPrintMode(getArg('-p') || getArg('--print') || '');
+} else {
+  runInteractive();
+}
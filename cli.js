@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+/**
+ * cc-control — command-line interface to claude-code-control
+ *
+ * Every command works on the saved session state (see lib/state.js), so a
+ * session launched by one invocation can be driven by the next:
+ *
+ *   ID=$(cc-control launch ./my-project --approve)
+ *   cc-control send $ID "run the tests" --timeout 300
+ *   cc-control close $ID
+ *
+ * Results go to stdout (JSON with --json); progress logging goes to stderr.
+ * Exit codes: 0 ok, 1 error, 2 usage error, 3 send timed out,
+ * 4 Claude Code is waiting at a permission prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, parseArgs, toNumber, usageError } = require('./lib/args');
+const { toRegExp } = require('./lib/assertions');
+const { INTENTS } = require('./lib/policy');
+
+const USAGE = `Usage: cc-control <command> [args] [options]
+
+Commands:
+  launch <path>                 Start Claude Code in a new session; prints its id
+      --backend <name>          Terminal backend (applescript | tmux)
+      --headless                Run headless (claude -p, stream-json)
+      --command <cmd>           Claude Code command to run
+      --startup-ms <ms>         Wait after launching (default 5000)
+      --approve                 Approve the "trust this folder" dialog
+      --model <model>           Headless: --model for every run
+      --permission-mode <mode>  Headless: --permission-mode for every run
+      --track-usage             Read /cost after every command (always on headless)
+      --budget-usd <n>          Stop the session once it has spent this much
+      --budget-tokens <n>       ... or used this many input + output tokens
+      --budget-action <action>  interrupt (default) | close
+  send <id> <text>              Send a command and wait until Claude Code is idle
+      --timeout <s>             Maximum wait (default 300)
+  answer <id> <intent>          Answer the permission dialog: allow-once, allow-session or deny
+      --feedback <text>         With deny: tell Claude what to do instead
+  keys <id> <spec>              Press keys: "shift+tab", "ctrl+c", "esc esc", "f5", ...
+  interrupt <id>                Stop Claude Code's current turn (Escape) and wait for the prompt
+  auto-accept <id> [on|off]     Switch accept-edits mode (toggles without on/off)
+  rewind <id>                   Put an earlier prompt back in the input box (Escape twice)
+      --messages <n>            How many prompts back (default 1)
+  slash <id> </command>         Run a slash command, print what it added (e.g. /clear, /compact)
+  cost <id>                     Spend and token usage so far (/cost)
+  usage <id>                    Usage the library has recorded, per command and in total
+  model <id> [name]             Switch model, or show the current one (/model)
+  route <path> <task>           Launch, send one task, save and close
+      --wait <s>                Maximum wait (default 120)
+      --approve                 Approve the trust dialog first
+      --session-dir <dir>       Where to save the session log
+      --report                  Also write an HTML report next to it
+  watch <id>                    Answer prompts until interrupted
+      --interval <ms>           Poll interval (default 2000)
+      --policy <file>           JSON allow/deny policy (see lib/policy.js)
+      --duration <s>            Stop after this many seconds
+  record start <id>             Start an FFmpeg recording (runs in the background)
+      --format <mp4|cast>       cast: asciicast v2 of the terminal text, no screen capture
+      --preset <name>           x-landscape | x-portrait | phone | monitor
+      --fps <n>                 Frames per second (default 30)
+      --interval <ms>           cast: sampling interval (default 250)
+      --output <file>           Video path (.cast implies --format cast)
+  record stop <id>              Stop the recording; prints the video or .cast path
+  frames <id>                   Extract frames from the session's last recording
+      --fps <n>                 Frames per second to extract (default 1)
+      --output-dir <dir>        Where to write the frames
+      --video <file>            Use this video (or .cast) instead
+  screenshot <id>               Screenshot the session's terminal
+      --output <file>           Image path
+      --text                    Print the terminal text instead
+  state <id>                    Classify the screen: idle, thinking, permission, ...
+  expect <id> <text|/re/>       Check the terminal text; exits 1 with a screen diff if not found
+      --not                     Check that it is not on screen
+      --state <s[,s]>           Check the screen state instead (see state)
+      --timeout <s>             Wait up to this long (default: check once)
+  sessions                      List saved sessions
+  run <script>                  Run a YAML/JSON session script; exits 1 if a step fails
+      --keep-open               Leave the session running afterwards
+  report <file>                 Write an HTML report for a saveSession() recording
+      --output <file>           Report path (default: <file> with .html)
+      --frames-dir <dir>        Add these frames (e.g. from frames) to the report
+      --video <file>            Embed this video (default: the last one recorded)
+  replay <file>                 Play back a saveSession() recording
+      --speed <n>               Playback speed (default 1; 10 = ten times faster)
+      --instant                 Print everything without pausing
+      --from <n>                Start at the nth command
+      --until <text|/re/>       Stop after the first entry matching this
+      --max-idle <s>            Cap any single pause at this many recorded seconds
+      --plain                   Print output instead of redrawing the screen
+  close <id> | --all            Exit Claude Code and forget the session
+      --save <file>             Save the session log first
+
+Options:
+  --json                        Print results as JSON
+  -h, --help                    Show this help
+
+Exit codes: 0 ok, 1 error, 2 usage error, 3 timed out, 4 waiting at a permission prompt`;
+
+const ARG_SPEC = {
+  string: [
+    'backend', 'command', 'startup-ms', 'model', 'permission-mode', 'timeout',
+    'wait', 'session-dir', 'interval', 'policy', 'duration', 'preset', 'fps',
+    'output', 'output-dir', 'video', 'save', 'feedback', 'messages',
+    'budget-usd', 'budget-tokens', 'budget-action', 'speed', 'from', 'until',
+    'max-idle', 'frames-dir', 'state', 'format',
+  ],
+  boolean: [
+    'json', 'help', 'headless', 'approve', 'text', 'all', 'track-usage', 'instant', 'plain',
+    'report', 'keep-open', 'not',
+  ],
+  alias: { h: 'help' },
+};
+
+// send() statuses → exit codes
+const STATUS_EXIT_CODES = {
+  completed: EXIT_CODES.ok,
+  timeout: EXIT_CODES.timeout,
+  permission: EXIT_CODES.permission,
+  error: EXIT_CODES.error,
+};
+
+// --budget-usd / --budget-tokens / --budget-action → launch()'s budget option
+function budgetOption(options) {
+  const maxCostUsd = toNumber(options.budgetUsd, 'budget-usd', null);
+  const maxTokens = toNumber(options.budgetTokens, 'budget-tokens', null);
+  if (maxCostUsd === null && maxTokens === null) {
+    if (options.budgetAction) throw usageError('--budget-action needs --budget-usd or --budget-tokens');
+    return undefined;
+  }
+  return { maxCostUsd, maxTokens, action: options.budgetAction };
+}
+
+function requireArg(value, name) {
+  if (value === undefined) throw usageError(`Missing <${name}>`);
+  return value;
+}
+
+function requireSessionId(value) {
+  const id = Number(requireArg(value, 'id'));
+  if (!Number.isInteger(id) || id < 1) throw usageError(`Invalid session id: ${value}`);
+  return id;
+}
+
+// ─── Commands ───────────────────────────────────────────────
+// Each returns { result, text?, exitCode? }; text is the non-JSON output.
+
+const commands = {
+  async launch(cc, [projectPath], options) {
+    const sessionId = await cc.launch(requireArg(projectPath, 'path'), {
+      backend: options.backend,
+      headless: options.headless,
+      command: options.command,
+      startupMs: toNumber(options.startupMs, 'startup-ms', undefined),
+      model: options.model,
+      permissionMode: options.permissionMode,
+      trackUsage: options.trackUsage || undefined,
+      budget: budgetOption(options),
+    });
+    if (options.approve && !options.headless) await cc.approveSecurity(sessionId);
+    return { result: cc.getStatus(sessionId), text: String(sessionId) };
+  },
+
+  async send(cc, [id, ...words], options) {
+    const sessionId = requireSessionId(id);
+    const command = requireArg(words.length ? words.join(' ') : undefined, 'text');
+    const result = await cc.send(sessionId, command, {
+      timeoutSeconds: toNumber(options.timeout, 'timeout', 300),
+    });
+    return {
+      result,
+      text: result.reply || result.output || `(${result.status})`,
+      exitCode: STATUS_EXIT_CODES[result.status],
+    };
+  },
+
+  async answer(cc, [id, intent], options) {
+    const sessionId = requireSessionId(id);
+    if (!INTENTS.includes(requireArg(intent, 'intent'))) {
+      throw usageError(`Unknown intent: ${intent}. Valid: ${INTENTS.join(', ')}`);
+    }
+    const answer = await cc.answerPermission(sessionId, intent, { feedback: options.feedback });
+    return { result: { sessionId, ...answer }, text: answer.option ? answer.option.label : intent };
+  },
+
+  async keys(cc, [id, ...chords]) {
+    const sessionId = requireSessionId(id);
+    const keys = requireArg(chords.length ? chords.join(' ') : undefined, 'spec');
+    cc.sendKeys(sessionId, keys);
+    return { result: { sessionId, keys } };
+  },
+
+  async interrupt(cc, [id]) {
+    const sessionId = requireSessionId(id);
+    const result = await cc.interrupt(sessionId);
+    return { result: { sessionId, ...result }, text: result.interrupted ? 'Interrupted' : `Nothing to interrupt (${result.state})` };
+  },
+
+  async 'auto-accept'(cc, [id, setting]) {
+    const sessionId = requireSessionId(id);
+    if (setting !== undefined && setting !== 'on' && setting !== 'off') {
+      throw usageError(`Expected on or off, got: ${setting}`);
+    }
+    const result = await cc.toggleAutoAccept(sessionId, setting === undefined ? undefined : setting === 'on');
+    return { result: { sessionId, ...result }, text: result.mode };
+  },
+
+  async rewind(cc, [id], options) {
+    const sessionId = requireSessionId(id);
+    const result = await cc.rewind(sessionId, { messages: toNumber(options.messages, 'messages', 1) });
+    return { result: { sessionId, ...result }, text: result.input };
+  },
+
+  async slash(cc, [id, ...words]) {
+    const sessionId = requireSessionId(id);
+    const command = requireArg(words.length ? words.join(' ') : undefined, 'command');
+    if (!command.startsWith('/')) throw usageError(`Not a slash command: ${command}`);
+    const { output, screen } = await cc.slashCommand(sessionId, command);
+    return { result: { sessionId, command, output, state: screen.state }, text: output };
+  },
+
+  async cost(cc, [id]) {
+    const sessionId = requireSessionId(id);
+    const cost = await cc.getCost(sessionId);
+    const spent = cost.costUsd === null ? 'subscription' : `$${cost.costUsd.toFixed(4)}`;
+    return { result: { sessionId, ...cost }, text: `${spent}\t${cost.inputTokens} input\t${cost.outputTokens} output tokens` };
+  },
+
+  async usage(cc, [id]) {
+    const sessionId = requireSessionId(id);
+    const { total, commands: entries, budget } = cc.getUsage(sessionId);
+    const lines = entries.map(e => `$${e.costUsd.toFixed(4)}\t${e.inputTokens} in\t${e.outputTokens} out\t${e.command}`);
+    lines.push(`$${total.costUsd.toFixed(4)}\t${total.inputTokens} in\t${total.outputTokens} out\ttotal`);
+    return { result: { sessionId, total, commands: entries, budget }, text: lines.join('\n') };
+  },
+
+  async model(cc, [id, name]) {
+    const sessionId = requireSessionId(id);
+    const result = await cc.switchModel(sessionId, name);
+    return { result: { sessionId, ...result }, text: result.model };
+  },
+
+  async route(cc, [projectPath, ...words], options) {
+    const { routeTask } = require('./tasks/route-task');
+    const task = requireArg(words.length ? words.join(' ') : undefined, 'task');
+    const result = await routeTask(requireArg(projectPath, 'path'), task, {
+      waitSeconds: toNumber(options.wait, 'wait', 120),
+      approve: options.approve,
+      sessionDir: options.sessionDir,
+      backend: options.backend,
+      report: options.report,
+    });
+    return {
+      result,
+      text: `${result.status} — session log: ${result.recordingPath}${result.reportPath ? `, report: ${result.reportPath}` : ''}`,
+      exitCode: STATUS_EXIT_CODES[result.status],
+    };
+  },
+
+  async watch(cc, [id], options) {
+    const sessionId = requireSessionId(id);
+    cc.attach(sessionId);
+    const policy = options.policy ? JSON.parse(fs.readFileSync(options.policy, 'utf-8')) : null;
+    const answered = [];
+
+    cc.watchForPrompts(sessionId, {
+      intervalMs: toNumber(options.interval, 'interval', 2000),
+      policy,
+      onPrompt: (label, response) => {
+        answered.push({ label, response, timestamp: Date.now() });
+        if (options.json) process.stdout.write(`${JSON.stringify({ label, response })}\n`);
+      },
+    });
+
+    // Run until interrupted or --duration elapses
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+      const duration = toNumber(options.duration, 'duration', null);
+      if (duration !== null) setTimeout(resolve, duration * 1000);
+    });
+    cc.stopWatching(sessionId);
+
+    // --json already streamed one line per prompt
+    return { result: undefined, text: `Answered ${answered.length} prompt(s)` };
+  },
+
+  async record(cc, [action, id], options) {
+    if (action !== 'start' && action !== 'stop') {
+      throw usageError('Usage: cc-control record start|stop <id>');
+    }
+    const sessionId = requireSessionId(id);
+    if (action === 'start') {
+      const result = await cc.startRecording(sessionId, {
+        format: options.format,
+        preset: options.preset,
+        fps: toNumber(options.fps, 'fps', undefined),
+        intervalMs: toNumber(options.interval, 'interval', undefined),
+        outputPath: options.output && path.resolve(options.output),
+        detach: true,
+      });
+      return { result, text: result.videoPath || result.castPath };
+    }
+    const result = await cc.stopRecording(sessionId);
+    return { result, text: result.videoPath || result.castPath };
+  },
+
+  async frames(cc, [id], options) {
+    const frames = await cc.getFrames(requireSessionId(id), {
+      fps: toNumber(options.fps, 'fps', undefined),
+      outputDir: options.outputDir,
+      videoPath: options.video,
+    });
+    return { result: frames, text: frames.join('\n') };
+  },
+
+  async screenshot(cc, [id], options) {
+    const sessionId = requireSessionId(id);
+    const status = cc.getStatus(sessionId);
+    if (!status) throw new Error(`Invalid session: ${sessionId}`);
+
+    const backend = status.backend === 'headless' ? null : cc.getBackend(status.backend);
+    if (options.text || (backend && !backend.screenCapture)) {
+      const content = cc.readTerminalContent(sessionId);
+      return { result: { sessionId, content }, text: content };
+    }
+    const screenshotPath = cc.screenshot(sessionId, options.output && path.resolve(options.output));
+    if (!screenshotPath) throw new Error('Screenshot failed');
+    return { result: { sessionId, path: screenshotPath }, text: screenshotPath };
+  },
+
+  async state(cc, [id]) {
+    const sessionId = requireSessionId(id);
+    const screen = cc.getScreenState(sessionId);
+    return { result: { sessionId, ...screen }, text: `${screen.state}\t${screen.line}` };
+  },
+
+  async expect(cc, [id, ...words], options) {
+    const sessionId = requireSessionId(id);
+    const text = words.join(' ');
+    const settings = { timeoutMs: toNumber(options.timeout, 'timeout', 0) * 1000, context: 0 };
+    if (options.state) {
+      const result = await cc.expectState(sessionId, options.state.split(','), settings);
+      return { result, text: `${result.screen.state}\t${result.screen.line}` };
+    }
+    if (!text) throw usageError('Usage: cc-control expect <id> <text|/re/> [--not] [--timeout <s>], or expect <id> --state <state>');
+
+    // Failures throw, with the last screen's diff in the message
+    const isRegex = /^\/.+\/[a-z]*$/s.test(text);
+    const pattern = isRegex ? toRegExp(text) : text;
+    const check = options.not ? cc.expectNoText : isRegex ? cc.expectRegex : cc.expectText;
+    const result = await check(sessionId, pattern, settings);
+    const lines = options.not ? `Not on screen: ${text}` : result.matches.map(m => `${m.line}\t${m.excerpt}`).join('\n');
+    return { result, text: lines };
+  },
+
+  async sessions(cc) {
+    const sessions = cc.listSessions();
+    const text = sessions.length
+      ? sessions.map(s => [
+        String(s.sessionId).padEnd(4),
+        s.backend.padEnd(12),
+        (s.alive ? 'alive' : 'gone').padEnd(6),
+        `${s.commands_sent} cmd`.padEnd(8),
+        s.path,
+      ].join(' ')).join('\n')
+      : 'No sessions';
+    return { result: sessions, text };
+  },
+
+  async run(cc, [file], options) {
+    const { loadScript, runScript, formatStep } = require('./lib/script');
+    const scriptPath = path.resolve(requireArg(file, 'script'));
+    const script = loadScript(scriptPath);
+    const result = await runScript(script, {
+      cc,
+      baseDir: path.dirname(scriptPath),
+      keepOpen: options.keepOpen || undefined,
+      // Steps are printed as they finish; --json prints the whole result at the end
+      onStep: options.json ? null : step => process.stdout.write(`${formatStep(step)}\n`),
+    });
+    const failed = result.steps.filter(step => step.status === 'failed').length;
+    return {
+      result,
+      text: result.passed
+        ? `${script.name ? `${script.name}: ` : ''}all ${result.steps.length} steps passed`
+        : `${script.name ? `${script.name}: ` : ''}${failed} of ${result.steps.length} steps failed`,
+      exitCode: result.passed ? EXIT_CODES.ok : EXIT_CODES.error,
+    };
+  },
+
+  async report(cc, [file], options) {
+    const { writeReport } = require('./lib/report');
+    const recordingPath = path.resolve(requireArg(file, 'file'));
+    const output = path.resolve(options.output || recordingPath.replace(/(\.json)?$/, '.html'));
+    const frames = options.framesDir
+      ? fs.readdirSync(options.framesDir).filter(f => /\.(png|jpe?g|svg|webp|gif)$/i.test(f)).sort()
+        .map(f => path.resolve(options.framesDir, f))
+      : undefined;
+    writeReport(recordingPath, output, { frames, videoPath: options.video && path.resolve(options.video) });
+    return { result: { reportPath: output }, text: output };
+  },
+
+  async replay(cc, [file], options) {
+    const { loadRecording, replay } = require('./lib/replay');
+    const recording = loadRecording(path.resolve(requireArg(file, 'file')));
+    const pattern = options.until && options.until.match(/^\/(.+)\/([a-z]*)$/);
+    const maxIdle = toNumber(options.maxIdle, 'max-idle', null);
+    const result = await replay(recording, {
+      speed: toNumber(options.speed, 'speed', 1),
+      instant: options.instant,
+      from: toNumber(options.from, 'from', 1),
+      until: pattern ? new RegExp(pattern[1], pattern[2]) : options.until,
+      maxIdleMs: maxIdle === null ? null : maxIdle * 1000,
+      redraw: !!process.stdout.isTTY && !options.plain && !options.json,
+      // --json prints only the summary
+      write: options.json ? () => {} : text => process.stdout.write(text),
+    });
+    return { result };
+  },
+
+  async close(cc, [id], options) {
+    const ids = options.all ? cc.listSessions().map(s => s.sessionId) : [requireSessionId(id)];
+    const closed = [];
+    for (const sessionId of ids) {
+      if (!cc.getStatus(sessionId)) throw new Error(`Invalid session: ${sessionId}`);
+      if (options.save) await cc.saveSession(sessionId, path.resolve(options.save));
+      await cc.close(sessionId);
+      closed.push(sessionId);
+    }
+    return { result: { closed }, text: closed.length ? `Closed ${closed.join(', ')}` : 'No sessions' };
+  },
+};
+
+// ─── Main ───────────────────────────────────────────────────
+
+async function main(argv) {
+  const { positional, options } = parseArgs(argv, ARG_SPEC);
+  const [name, ...args] = positional;
+
+  if (options.help || !name) {
+    console.log(USAGE);
+    return name || options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, name)) {
+    throw usageError(`Unknown command: ${name}`);
+  }
+
+  // Keep stdout for results — the library's progress logging goes to stderr
+  const print = console.log;
+  console.log = console.error;
+  const cc = require('./index');
+
+  const { result, text, exitCode = EXIT_CODES.ok } = await commands[name](cc, args, options);
+  if (options.json) {
+    if (result !== undefined) print(JSON.stringify(result, null, 2));
+  } else if (text) {
+    print(text);
+  }
+  return exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch((err) => {
+      console.error(`Error: ${err.message}`);
+      if (err.exitCode === EXIT_CODES.usage) console.error('Run cc-control --help for usage');
+      process.exit(err.exitCode || EXIT_CODES.error);
+    });
+}
+
+module.exports = { main };
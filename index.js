@@ -1,23 +1,46 @@
 /**
  * Claude Code Control Skill — v2.0
  *
- * Uses macOS AppleScript to:
- * 1. Open a REAL visible Terminal.app window running Claude Code
- * 2. Send keystrokes via System Events
+ * Drives Claude Code through a terminal backend (see lib/backends):
+ * 1. Open a terminal running Claude Code — a REAL visible Terminal.app
+ *    window on macOS, or a detached tmux session on Linux
+ * 2. Send keystrokes and read the terminal's text
  * 3. Take screenshots with screencapture
  * 4. Record video with FFmpeg (avfoundation)
  * 5. Auto-respond to permission prompts
  * 6. Resize Terminal window to preset dimensions
  *
- * The user can SEE Claude Code running on their screen.
+ * With the Terminal.app backend the user can SEE Claude Code running on their screen.
  */
 
 const { execSync, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-
+const { getBackend, BACKENDS, DEFAULT_BACKEND } = require('./lib/backends');
+const applescript = require('./lib/backends/applescript');
+const { waitForCompletion, IDLE_HEURISTICS } = require('./lib/completion');
+const { extractResponse, diffContent } = require('./lib/extract');
+const { typeInput, INPUT_DEFAULTS } = require('./lib/input');
+const headless = require('./lib/headless');
+const {
+  INTENTS, parsePermissionPrompt, evaluatePolicy, answerKeys, pressKeys, findOption,
+} = require('./lib/policy');
+const { parseScreen } = require('./lib/screen');
+const slash = require('./lib/slash');
+const usage = require('./lib/usage');
+const { snapshotFields, lastTerminal, transcriptText, transcriptMarkdown } = require('./lib/transcript');
+const asciicast = require('./lib/asciicast');
+const { renderReport } = require('./lib/report');
+const {
+  checkScreen, checksToAssertions, toRegExp, ASSERTION_DEFAULTS,
+} = require('./lib/assertions');
+const state = require('./lib/state');
+const { Session } = require('./lib/session');
+// Prompts that need auto-response: { pattern, response, label } (see lib/patterns.js)
+const { PROMPT_PATTERNS } = require('./lib/patterns');
+
+// Sessions driven by this process; each is also saved to the state dir
 const sessions = new Map();
-let sessionCounter = 0;
 
 // ─── Window Presets ──────────────────────────────────────────
 
@@ -28,229 +51,102 @@ const WINDOW_PRESETS = {
   'monitor':      null, // native — do not resize
 };
 
-// ─── Helpers ────────────────────────────────────────────────
+// ─── Session Lookup ──────────────────────────────────────────
 
 /**
- * Run AppleScript and return output
+ * Find a session by id — one started by this process, or one an earlier
+ * process saved to the state dir (attached on first use)
  */
-function runAppleScript(script) {
-  try {
-    return execSync(`osascript -e '${script.replace(/'/g, "'\\''")}'`, {
-      encoding: 'utf-8',
-      timeout: 10000,
-    }).trim();
-  } catch (err) {
-    console.error(`[AppleScript Error] ${err.message}`);
-    return '';
-  }
+function findSession(sessionId) {
+  const id = Number(sessionId);
+  if (sessions.has(id)) return sessions.get(id);
+
+  const saved = state.readSessionState(id);
+  if (!saved) return undefined;
+  const session = state.deserializeSession(saved);
+  sessions.set(id, session);
+  return session;
 }
 
 /**
- * Run multi-line AppleScript
+ * Save a session's current state so other processes can attach to it
  */
-function runAppleScriptMulti(lines) {
-  const script = lines.join('\n');
-  const tmpFile = `/tmp/cc-applescript-${Date.now()}.scpt`;
-  fs.writeFileSync(tmpFile, script);
+function persistSession(session) {
   try {
-    return execSync(`osascript ${tmpFile}`, {
-      encoding: 'utf-8',
-      timeout: 15000,
-    }).trim();
+    state.writeSessionState(session);
   } catch (err) {
-    console.error(`[AppleScript Error] ${err.message}`);
-    return '';
-  } finally {
-    try { fs.unlinkSync(tmpFile); } catch {}
-  }
-}
-
-/**
- * Bring Terminal.app to the front and focus it
- */
-function focusTerminal() {
-  runAppleScriptMulti([
-    'tell application "Terminal"',
-    '  activate',
-    '  set frontWindow to front window',
-    '  set index of frontWindow to 1',
-    'end tell',
-  ]);
-  // Small pause to let the window actually come forward
-  execSync('sleep 1');
-}
-
-/**
- * Get Terminal.app front window bounds {x, y, w, h}
- */
-function getTerminalWindowBounds() {
-  const result = runAppleScriptMulti([
-    'tell application "Terminal"',
-    '  set b to bounds of front window',
-    '  return (item 1 of b as text) & "," & (item 2 of b as text) & "," & (item 3 of b as text) & "," & (item 4 of b as text)',
-    'end tell',
-  ]);
-  if (!result) return null;
-  const [x1, y1, x2, y2] = result.split(',').map(Number);
-  return { x: x1, y: y1, w: x2 - x1, h: y2 - y1 };
-}
-
-/**
- * Resize Terminal.app front window to specified pixel dimensions.
- * Keeps the window's current top-left position.
- */
-function resizeTerminal(width, height) {
-  const bounds = getTerminalWindowBounds();
-  const x = bounds ? bounds.x : 0;
-  const y = bounds ? bounds.y : 25; // leave room for menu bar
-  const x2 = x + width;
-  const y2 = y + height;
-
-  runAppleScriptMulti([
-    'tell application "Terminal"',
-    `  set bounds of front window to {${x}, ${y}, ${x2}, ${y2}}`,
-    'end tell',
-  ]);
-
-  // Give the window time to resize
-  execSync('sleep 0.5');
-  console.log(`[resize] Terminal resized to ${width}x${height}`);
-}
-
-/**
- * Take a screenshot of the Terminal.app window only.
- * Falls back to full screen if window bounds can't be detected.
- */
-function takeScreenshot(outputPath) {
-  const filePath = outputPath || `/tmp/cc-screenshot-${Date.now()}.png`;
-  try {
-    // First, focus Terminal so it's on top
-    focusTerminal();
-
-    // Try to get window bounds for a targeted capture
-    const bounds = getTerminalWindowBounds();
-    if (bounds) {
-      // screencapture -R x,y,w,h captures a specific region
-      execSync(`screencapture -x -R "${bounds.x},${bounds.y},${bounds.w},${bounds.h}" "${filePath}"`, { timeout: 5000 });
-    } else {
-      // Fallback: capture the whole screen
-      execSync(`screencapture -x "${filePath}"`, { timeout: 5000 });
-    }
-
-    if (fs.existsSync(filePath)) {
-      return filePath;
-    }
-  } catch (err) {
-    console.error(`[Screenshot Error] ${err.message}`);
-  }
-  return null;
-}
-
-/**
- * Type text into the frontmost application via System Events
- */
-function typeText(text) {
-  // Use keystroke for short text, or write to clipboard and paste for long text
-  if (text.length > 50) {
-    // Use clipboard for long text
-    execSync(`echo ${JSON.stringify(text)} | pbcopy`, { timeout: 5000 });
-    runAppleScriptMulti([
-      'tell application "System Events"',
-      '  keystroke "v" using command down',
-      'end tell',
-    ]);
-  } else {
-    // Direct keystroke for short text
-    runAppleScriptMulti([
-      'tell application "System Events"',
-      `  keystroke "${text.replace(/"/g, '\\"')}"`,
-      'end tell',
-    ]);
+    console.error(`[CC-${session.id}] ⚠️  Could not save session state: ${err.message}`);
   }
 }
 
 /**
- * Press Enter/Return key
+ * Terminal text fields for a new log entry (lib/transcript.js), unless the
+ * session was launched with transcript: false
  */
-function pressEnter() {
-  runAppleScriptMulti([
-    'tell application "System Events"',
-    '  key code 36',
-    'end tell',
-  ]);
+function transcriptFields(session, content) {
+  return session.transcript === false ? {} : snapshotFields(session.sessionLog, content);
 }
 
 /**
- * Press a special key (escape, tab, etc.)
+ * Look up a session that has a terminal (i.e. is not headless)
  */
-function pressKey(keyName) {
-  const keyCodes = {
-    'return': 36,
-    'enter': 36,
-    'escape': 53,
-    'tab': 48,
-    'space': 49,
-    'delete': 51,
-    'up': 126,
-    'down': 125,
-    'left': 123,
-    'right': 124,
-  };
-  const code = keyCodes[keyName.toLowerCase()] || 36;
-  runAppleScriptMulti([
-    'tell application "System Events"',
-    `  key code ${code}`,
-    'end tell',
-  ]);
+function getTerminalSession(sessionId) {
+  const session = findSession(sessionId);
+  if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  if (session.headless) throw new Error(`Session ${sessionId} is headless and has no terminal`);
+  return session;
 }
 
 // ─── FFmpeg Video Recording ──────────────────────────────────
 
 /**
- * Read current Terminal.app front window text content via AppleScript.
- */
-function readTerminalContent() {
-  return runAppleScriptMulti([
-    'tell application "Terminal"',
-    '  set c to contents of front window',
-    '  return c',
-    'end tell',
-  ]);
-}
-
-/**
- * Start FFmpeg screen recording of the Terminal.app window region.
+ * Start FFmpeg screen recording of the Terminal.app window region, or an
+ * asciicast recording of the terminal's text (format: 'cast', or an
+ * outputPath ending in .cast) — see lib/asciicast.js.
  *
  * options:
+ *   format      — 'mp4' (default) | 'cast'
  *   preset      — 'x-landscape' | 'x-portrait' | 'phone' | 'monitor'
  *   fps         — frames per second (default 30)
  *   outputPath  — path for the output video file
  *   screenIndex — avfoundation screen capture device index (default 1)
+ *   intervalMs  — cast only: how often the terminal is sampled (default 250)
+ *   detach      — let the recorder outlive this process; stopRecording() from
+ *                 any process that attaches to the session then stops it by PID
  */
 async function startRecording(sessionId, options = {}) {
-  const session = sessions.get(sessionId);
-  if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  const session = getTerminalSession(sessionId);
   if (session.recording) throw new Error(`Session ${sessionId} is already recording`);
 
+  const format = options.format || (/\.cast$/i.test(options.outputPath || '') ? 'cast' : 'mp4');
+  if (format === 'cast') return startCastRecording(session, options);
+  if (format !== 'mp4') throw new Error(`Unknown recording format: ${format}. Valid: mp4, cast`);
+
+  const { backend, terminal } = session;
+  if (!backend.screenCapture) {
+    throw new Error(`Screen recording is not supported by the ${backend.name} backend`);
+  }
+
   const {
     preset = null,
     fps = 30,
     outputPath = `/tmp/cc-recording-${sessionId}-${Date.now()}.mp4`,
     screenIndex = 1,
+    detach = false,
   } = options;
 
   // Resize Terminal window if a preset was given
   if (preset && preset !== 'monitor') {
     const dims = WINDOW_PRESETS[preset];
     if (!dims) throw new Error(`Unknown preset: ${preset}. Valid: ${Object.keys(WINDOW_PRESETS).join(', ')}`);
-    resizeTerminal(dims.width, dims.height);
+    backend.resizeTerminal(dims.width, dims.height, terminal);
   }
 
   // Focus Terminal so it's on top and its position is stable
-  focusTerminal();
+  backend.focusTerminal(terminal);
 
   // Get window region to crop
-  const bounds = getTerminalWindowBounds();
+  const bounds = backend.getTerminalWindowBounds(terminal);
   if (!bounds) throw new Error('Could not determine Terminal window bounds for recording');
 
   // Ensure output directory exists
@@ -280,6 +176,21 @@ async function startRecording(sessionId, options = {}) {
   console.log(`[CC-${sessionId}] 🎥 Starting FFmpeg recording: ${outputPath}`);
   console.log(`[CC-${sessionId}]    Crop: ${cropFilter}, FPS: ${fps}`);
 
+  if (detach) {
+    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, { stdio: 'ignore', detached: true });
+    ffmpegProcess.unref();
+    session.recording = {
+      pid: ffmpegProcess.pid,
+      videoPath: outputPath,
+      startTime: Date.now(),
+      bounds,
+    };
+    persistSession(session);
+
+    console.log(`[CC-${sessionId}] ✅ Recording started in the background (PID ${ffmpegProcess.pid})`);
+    return { sessionId, videoPath: outputPath, bounds };
+  }
+
   const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
     stdio: ['pipe', 'pipe', 'pipe'],
     detached: false,
@@ -306,72 +217,188 @@ async function startRecording(sessionId, options = {}) {
     bounds,
   };
 
+  persistSession(session);
+
   console.log(`[CC-${sessionId}] ✅ Recording started (PID ${ffmpegProcess.pid})`);
   return { sessionId, videoPath: outputPath, bounds };
 }
 
 /**
- * Stop an active FFmpeg recording.
+ * Start sampling the session's terminal into an asciicast file. Works with
+ * any backend — nothing is captured from the screen.
+ */
+async function startCastRecording(session, options) {
+  const { backend, terminal } = session;
+  const {
+    outputPath = `/tmp/cc-recording-${session.id}-${Date.now()}.cast`,
+    intervalMs = asciicast.CAST_DEFAULTS.intervalMs,
+    detach = false,
+  } = options;
+  const size = (backend.getTerminalSize && backend.getTerminalSize(terminal)) || asciicast.CAST_DEFAULTS;
+  const config = {
+    outputPath,
+    intervalMs,
+    cols: size.cols,
+    rows: size.rows,
+    title: `Session ${session.id} — ${session.path}`,
+  };
+
+  console.log(`[CC-${session.id}] 🎥 Starting asciicast recording: ${outputPath} (${size.cols}x${size.rows}, every ${intervalMs}ms)`);
+
+  if (detach) {
+    const recorderProcess = spawn(process.execPath, [
+      path.join(__dirname, 'lib', 'asciicast.js'),
+      JSON.stringify({ ...config, backend: backend.name, terminal }),
+    ], { stdio: 'ignore', detached: true });
+    recorderProcess.unref();
+    session.recording = { format: 'cast', pid: recorderProcess.pid, castPath: outputPath, startTime: Date.now() };
+    persistSession(session);
+
+    console.log(`[CC-${session.id}] ✅ Recording started in the background (PID ${recorderProcess.pid})`);
+    return { sessionId: session.id, castPath: outputPath };
+  }
+
+  const recorder = asciicast.createCastRecorder({ ...config, read: () => backend.readTerminalContent(terminal) });
+  session.recording = { format: 'cast', recorder, castPath: outputPath, startTime: Date.now() };
+  persistSession(session);
+
+  console.log(`[CC-${session.id}] ✅ Recording started`);
+  return { sessionId: session.id, castPath: outputPath };
+}
+
+/**
+ * Stop an active recording.
  * Sends SIGINT to ffmpeg so it flushes and finalises the file.
- * Returns the path to the recorded video.
+ * Returns the path to the recorded video ({ castPath } for asciicast).
  */
 async function stopRecording(sessionId) {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   if (!session) throw new Error(`Invalid session: ${sessionId}`);
   if (!session.recording) throw new Error(`Session ${sessionId} has no active recording`);
 
-  const { process: ffmpegProcess, videoPath, startTime } = session.recording;
+  const { process: ffmpegProcess, pid, videoPath, startTime } = session.recording;
+
+  if (session.recording.format === 'cast') return stopCastRecording(session);
 
   console.log(`[CC-${sessionId}] ⏹ Stopping FFmpeg recording...`);
 
-  // Send 'q' to ffmpeg's stdin to trigger a graceful shutdown
-  try {
-    ffmpegProcess.stdin.write('q');
-    ffmpegProcess.stdin.end();
-  } catch {}
-
-  // Wait up to 5 seconds for the process to exit cleanly
-  await new Promise((resolve) => {
-    const timeout = setTimeout(() => {
-      try { ffmpegProcess.kill('SIGTERM'); } catch {}
-      resolve();
-    }, 5000);
-
-    ffmpegProcess.once('close', () => {
-      clearTimeout(timeout);
-      resolve();
+  if (ffmpegProcess) {
+    // Send 'q' to ffmpeg's stdin to trigger a graceful shutdown
+    try {
+      ffmpegProcess.stdin.write('q');
+      ffmpegProcess.stdin.end();
+    } catch {}
+
+    // Wait up to 5 seconds for the process to exit cleanly
+    await new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        try { ffmpegProcess.kill('SIGTERM'); } catch {}
+        resolve();
+      }, 5000);
+
+      ffmpegProcess.once('close', () => {
+        clearTimeout(timeout);
+        resolve();
+      });
     });
-  });
+  } else {
+    // Started by another process — all we have is its PID
+    await stopProcessByPid(pid, 5000);
+  }
 
   const duration = Date.now() - startTime;
   session.recording = null;
+  session.sessionLog.push({
+    type: 'recording',
+    timestamp: Date.now(),
+    videoPath,
+    duration_ms: duration,
+  });
+  persistSession(session);
 
   console.log(`[CC-${sessionId}] ✅ Recording saved: ${videoPath} (${(duration / 1000).toFixed(1)}s)`);
   return { videoPath, duration_ms: duration };
 }
 
+/**
+ * Stop an asciicast recording, in this process or by PID
+ */
+async function stopCastRecording(session) {
+  const { recorder, pid, castPath, startTime } = session.recording;
+  console.log(`[CC-${session.id}] ⏹ Stopping asciicast recording...`);
+
+  if (recorder) recorder.stop();
+  else await stopProcessByPid(pid, 5000);
+
+  const duration = Date.now() - startTime;
+  session.recording = null;
+  session.sessionLog.push({
+    type: 'recording',
+    timestamp: Date.now(),
+    format: 'cast',
+    castPath,
+    duration_ms: duration,
+  });
+  persistSession(session);
+
+  console.log(`[CC-${session.id}] ✅ Recording saved: ${castPath} (${(duration / 1000).toFixed(1)}s)`);
+  return { castPath, duration_ms: duration };
+}
+
+/**
+ * SIGINT a process we did not spawn (ffmpeg finalises the file on SIGINT)
+ * and wait for it to exit, escalating to SIGTERM after timeoutMs
+ */
+async function stopProcessByPid(pid, timeoutMs) {
+  const isRunning = () => {
+    try { process.kill(pid, 0); return true; } catch { return false; }
+  };
+  if (!pid || !isRunning()) return;
+
+  try { process.kill(pid, 'SIGINT'); } catch {}
+  const deadline = Date.now() + timeoutMs;
+  while (isRunning() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  if (isRunning()) {
+    try { process.kill(pid, 'SIGTERM'); } catch {}
+  }
+}
+
 /**
  * Extract frames from a session's recording (or any video file).
+ * Asciicast recordings are rendered instead (lib/asciicast.js), one SVG per
+ * frame, so no ffmpeg is needed for them.
  *
  * options:
  *   fps        — frames per second to extract (default 1)
  *   outputDir  — directory for frame images (default /tmp/cc-frames-<sessionId>)
- *   videoPath  — explicit video path (defaults to session's recorded video)
+ *   videoPath  — explicit video or .cast path (defaults to session's recording)
  *
  * Returns array of frame file paths.
  */
 async function getFrames(sessionId, options = {}) {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   if (!session) throw new Error(`Invalid session: ${sessionId}`);
 
-  const videoPath = options.videoPath || (session.recording && session.recording.videoPath) ||
-    // Look for last recorded video in session log
+  // Look for last recorded video in session log
+  const lastRecording = session.sessionLog.filter(entry => entry.type === 'recording').pop();
+  const recordedPath = recording => recording && (recording.videoPath || recording.castPath);
+  const videoPath = options.videoPath || recordedPath(session.recording) || recordedPath(lastRecording) ||
     (() => { throw new Error(`No video path available for session ${sessionId}`); })();
 
   if (!fs.existsSync(videoPath)) {
     throw new Error(`Video file not found: ${videoPath}`);
   }
 
+  if (/\.cast$/i.test(videoPath)) {
+    const outputDir = options.outputDir || `/tmp/cc-frames-${sessionId}-${Date.now()}`;
+    console.log(`[CC-${sessionId}] 🖼  Rendering frames at ${options.fps || 1}fps from ${videoPath}`);
+    const frames = asciicast.castToFrames(videoPath, { fps: options.fps || 1, outputDir });
+    console.log(`[CC-${sessionId}] ✅ Rendered ${frames.length} frames to ${outputDir}`);
+    return frames;
+  }
+
   const extractFps = options.fps || 1;
   const outputDir = options.outputDir || `/tmp/cc-frames-${sessionId}-${Date.now()}`;
 
@@ -398,26 +425,110 @@ async function getFrames(sessionId, options = {}) {
 // ─── Auto Permission Prompt Watcher ─────────────────────────
 
 /**
- * Read current Terminal.app text content (exported helper).
+ * Read the session's current terminal text content (exported helper).
  */
 function readTerminalContentForSession(sessionId) {
-  const session = sessions.get(sessionId);
-  if (!session) throw new Error(`Invalid session: ${sessionId}`);
-  return readTerminalContent();
+  const session = getTerminalSession(sessionId);
+  return session.backend.readTerminalContent(session.terminal);
+}
+
+/**
+ * Classify what the session's terminal is showing (see lib/screen.js):
+ * { state: 'idle' | 'thinking' | 'tool_running' | 'permission' | 'trust' |
+ *   'login' | 'rate_limited' | 'crashed' | 'unknown', line, ...details }
+ */
+function getScreenState(sessionId) {
+  return parseScreen(readTerminalContentForSession(sessionId));
+}
+
+/**
+ * Answer a tool permission dialog according to a policy (see lib/policy.js)
+ * and log the decision with the rule that matched.
+ *
+ * Returns the final decision; 'escalate' means nobody answered and the
+ * dialog is left for a human.
+ */
+async function applyPolicy(session, prompt, policy) {
+  const sessionId = session.id;
+  const verdict = evaluatePolicy(prompt, policy, { cwd: session.path });
+  let { decision, rule, intent, feedback } = verdict;
+
+  if (decision === 'escalate' && typeof policy.onEscalate === 'function') {
+    const answer = await policy.onEscalate(prompt, sessionId);
+    const chosen = answer && typeof answer === 'object' ? answer : { intent: answer };
+    if (chosen.intent === true || chosen.intent === 'allow') chosen.intent = 'allow-once';
+    if (chosen.intent === false) chosen.intent = 'deny';
+    if (INTENTS.includes(chosen.intent)) {
+      intent = chosen.intent;
+      decision = intent === 'deny' ? 'deny' : 'allow';
+      feedback = chosen.feedback || null;
+    }
+    rule = `${rule} → onEscalate`;
+  }
+
+  // "Don't ask again" is only remembered where the dialog offers it
+  if (intent === 'allow-session' && prompt.options.length && !findOption(prompt, intent)) intent = 'allow-once';
+
+  if (decision === 'escalate') {
+    logPermission(session, prompt, { decision, rule });
+    console.log(`[CC-${sessionId}] ✋ ${prompt.tool}(${prompt.argument}) needs a human (${rule})`);
+    return decision;
+  }
+
+  console.log(`[CC-${sessionId}] ${decision === 'allow' ? '✅ Allowing' : '🚫 Denying'} ${prompt.tool}(${prompt.argument}) — ${rule}`);
+  await answerDialog(session, prompt, intent, { feedback, rule });
+  return decision;
 }
 
 /**
- * Prompt patterns that need auto-response.
- * Each entry: { pattern: RegExp, response: string, label: string }
+ * Record a permission decision in the session log
  */
-const PROMPT_PATTERNS = [
-  { pattern: /Do you want.*\?/i,          response: 'y', label: 'Do-you-want prompt' },
-  { pattern: /\[Y\/n\]/i,                 response: 'y', label: 'Y/n prompt' },
-  { pattern: /\[y\/N\]/i,                 response: 'y', label: 'y/N prompt' },
-  { pattern: /Allow.*\?.*\(y\/n\)/i,      response: 'y', label: 'Allow prompt' },
-  { pattern: /Press.*to continue/i,       response: '\r', label: 'Press-to-continue' },
-  { pattern: /Trust this folder.*\[1\]/i, response: '1', label: 'Trust folder' },
-];
+function logPermission(session, prompt, { decision, rule, intent, feedback }) {
+  session.sessionLog.push({
+    type: 'permission',
+    timestamp: Date.now(),
+    tool: prompt.tool,
+    argument: prompt.argument,
+    decision,
+    intent: intent || null,
+    feedback: feedback || null,
+    rule,
+  });
+  persistSession(session);
+}
+
+/**
+ * Press the keys that answer a dialog with an intent, and log it
+ */
+async function answerDialog(session, prompt, intent, { feedback = null, rule = 'manual' } = {}) {
+  const steps = answerKeys(prompt, intent, { feedback });
+  logPermission(session, prompt, { decision: intent === 'deny' ? 'deny' : 'allow', rule, intent, feedback });
+  await pressKeys(session.backend, session.terminal, steps);
+}
+
+/**
+ * Answer the permission dialog on screen by intent:
+ *
+ *   'allow-once'    — "1. Yes"
+ *   'allow-session' — "2. Yes, and don't ask again ..." / "Yes, allow all edits during this session"
+ *   'deny'          — "3. No, and tell Claude what to do differently";
+ *                     options.feedback is then typed as the next message
+ *
+ * The option is chosen with the arrow keys. Throws if no dialog is showing
+ * or it has no option for the intent. Returns { intent, option, prompt }.
+ */
+async function answerPermission(sessionId, intent, options = {}) {
+  const session = getTerminalSession(sessionId);
+  const prompt = parsePermissionPrompt(session.backend.readTerminalContent(session.terminal));
+  if (!prompt || !prompt.options.length) throw new Error(`Session ${sessionId} is not showing a permission dialog`);
+
+  await answerDialog(session, prompt, intent, { feedback: options.feedback });
+  console.log(`[CC-${sessionId}] ${intent === 'deny' ? '🚫' : '✅'} Answered ${prompt.tool}(${prompt.argument}) — ${intent}`);
+  return { intent, option: findOption(prompt, intent), prompt };
+}
+
+// Screen states in which watchForPrompts leaves the prompt patterns alone
+const QUIET_STATES = ['idle', 'thinking', 'tool_running', 'menu'];
 
 /**
  * Watch for permission/confirmation prompts in the Terminal and auto-respond.
@@ -426,45 +537,100 @@ const PROMPT_PATTERNS = [
  *   intervalMs   — polling interval in ms (default 2000)
  *   patterns     — additional { pattern, response, label } entries to detect
  *   onPrompt     — callback(label, response) called when a prompt is detected
+ *   policy       — allow/deny rules for tool permission dialogs (see lib/policy.js).
+ *                  Without one, every matching prompt is answered "y".
+ *   respond      — answer prompts (default true). When false, prompts are only
+ *                  reported through onPrompt/onPermission, once per appearance.
+ *   onPermission — callback(prompt) with each parsed permission dialog
+ *   onContent    — callback(content) whenever the terminal text changes
+ *   onError      — callback(err) for errors while polling (default: logged)
  */
 function watchForPrompts(sessionId, options = {}) {
-  const session = sessions.get(sessionId);
-  if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  const session = getTerminalSession(sessionId);
   if (session.watcher) throw new Error(`Session ${sessionId} already has an active watcher`);
 
   const {
     intervalMs = 2000,
     patterns = [],
     onPrompt = null,
+    policy = null,
+    respond = true,
+    onPermission = null,
+    onContent = null,
+    onError = null,
   } = options;
 
   const allPatterns = [...PROMPT_PATTERNS, ...patterns];
+  const { backend, terminal } = session;
   let lastSeenContent = '';
+  let pendingDecision = false;
+  let reportedPrompt = null; // prompt already reported while not responding
+
+  const reportError = (err) => {
+    if (typeof onError === 'function') onError(err);
+    else console.error(`[CC-${sessionId}] [watcher] ${err.message}`);
+  };
 
   console.log(`[CC-${sessionId}] 👁  Starting prompt watcher (every ${intervalMs}ms)`);
 
   const intervalId = setInterval(() => {
     try {
-      const content = readTerminalContent();
+      if (pendingDecision) return;
+      const content = backend.readTerminalContent(terminal);
       if (!content || content === lastSeenContent) return;
       lastSeenContent = content;
+      if (typeof onContent === 'function') onContent(content);
+
+      // Questions in Claude's output are not prompts: only look while it waits for an answer
+      if (QUIET_STATES.includes(parseScreen(content).state)) {
+        reportedPrompt = null;
+        return;
+      }
+
+      // Tool permission dialogs go through the policy when one is set
+      const permission = policy || onPermission ? parsePermissionPrompt(content) : null;
+      if (permission && respond) {
+        if (typeof onPermission === 'function') onPermission(permission);
+      }
+      if (permission && policy && respond) {
+        pendingDecision = true;
+        applyPolicy(session, permission, policy)
+          .then((decision) => {
+            if (typeof onPrompt === 'function') onPrompt(`permission:${permission.tool}`, decision);
+          })
+          .catch(reportError)
+          .finally(() => { pendingDecision = false; });
+        return;
+      }
 
       // Check last ~10 lines for prompts
       const recent = content.split('\n').slice(-10).join('\n');
+      const match = allPatterns.find(({ pattern }) => pattern.test(recent));
+
+      if (!respond) {
+        // Report each prompt once, however often the screen redraws around it
+        const key = match ? `${match.label}\n${permission ? permission.question + permission.argument : ''}` : null;
+        if (key && key !== reportedPrompt) {
+          if (permission && typeof onPermission === 'function') onPermission(permission);
+          if (typeof onPrompt === 'function') onPrompt(match.label, match.response);
+        }
+        reportedPrompt = key;
+        return;
+      }
 
       for (const { pattern, response, label } of allPatterns) {
         if (pattern.test(recent)) {
           console.log(`[CC-${sessionId}] 🔔 Detected prompt: ${label} — responding with "${response}"`);
 
-          focusTerminal();
+          backend.focusTerminal(terminal);
 
           if (response === '\r') {
-            pressEnter();
+            backend.pressEnter(terminal);
           } else {
-            typeText(response);
+            backend.typeText(response, terminal);
             // Small delay then Enter if the response is a char (y/n/1)
             if (response.length === 1) {
-              setTimeout(() => pressEnter(), 200);
+              setTimeout(() => backend.pressEnter(terminal), 200);
             }
           }
 
@@ -477,12 +643,12 @@ function watchForPrompts(sessionId, options = {}) {
         }
       }
     } catch (err) {
-      console.error(`[CC-${sessionId}] [watcher] ${err.message}`);
+      reportError(err);
     }
   }, intervalMs);
 
-  session.watcher = { intervalId };
-  console.log(`[CC-${sessionId}] ✅ Prompt watcher active`);
+  session.watcher = { intervalId, respond };
+  console.log(`[CC-${sessionId}] ✅ Prompt watcher ${respond ? 'active' : 'reporting prompts only'}`);
   return { sessionId, intervalMs };
 }
 
@@ -490,7 +656,7 @@ function watchForPrompts(sessionId, options = {}) {
  * Stop the active prompt watcher for a session.
  */
 function stopWatching(sessionId) {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   if (!session) throw new Error(`Invalid session: ${sessionId}`);
   if (!session.watcher) {
     console.warn(`[CC-${sessionId}] No active watcher to stop`);
@@ -505,44 +671,75 @@ function stopWatching(sessionId) {
 // ─── Core API ───────────────────────────────────────────────
 
 /**
- * Launch Claude Code in a VISIBLE Terminal.app window
+ * Launch Claude Code in a terminal — a VISIBLE Terminal.app window by default on macOS
+ *
+ * options:
+ *   backend   — 'applescript' | 'tmux' (default: applescript on macOS, tmux elsewhere)
+ *   command   — command line that starts Claude Code (backend default if omitted)
+ *   startupMs — how long to wait for Claude Code to load (default 5000)
+ *   headless  — run without a terminal (see launchHeadless)
+ *   events    — return a Session EventEmitter instead of the numeric id
+ *               (see lib/session.js); `watch` passes options to its watcher
+ *   ...any backend-specific options (e.g. cols/rows for tmux)
  */
 async function launch(projectPath, options = {}) {
-  const sessionId = ++sessionCounter;
   const normalizedPath = path.resolve(projectPath);
 
   if (!fs.existsSync(normalizedPath)) {
     throw new Error(`Project path does not exist: ${normalizedPath}`);
   }
 
-  console.log(`[CC-${sessionId}] 🚀 Opening Terminal.app with Claude Code at ${normalizedPath}`);
+  const sessionId = options.headless
+    ? launchHeadless(normalizedPath, options)
+    : await launchTerminal(normalizedPath, options);
 
-  // Open a new Terminal.app window and run claude code
-  runAppleScriptMulti([
-    'tell application "Terminal"',
-    '  activate',
-    `  do script "cd '${normalizedPath}' && claude code"`,
-    'end tell',
-  ]);
+  return options.events ? new Session(module.exports, sessionId, options).start() : sessionId;
+}
+
+/**
+ * Open a terminal with the chosen backend and start Claude Code in it
+ */
+async function launchTerminal(normalizedPath, options) {
+  const { backend: backendName = DEFAULT_BACKEND, startupMs = 5000 } = options;
+  const backend = getBackend(backendName);
+  const budget = usage.normalizeBudget(options.budget);
+  const sessionId = state.reserveSessionId();
+
+  console.log(`[CC-${sessionId}] 🚀 Opening ${backend.name} terminal with Claude Code at ${normalizedPath}`);
+
+  // Open a new terminal and run Claude Code in it
+  let terminal;
+  try {
+    terminal = backend.launch(normalizedPath, options);
+  } catch (err) {
+    state.removeSessionState(sessionId);
+    throw err;
+  }
 
   const session = {
     id: sessionId,
     path: normalizedPath,
+    backend,
+    terminal,
     created_at: Date.now(),
     commandCount: 0,
     sessionLog: [],
     ready: false,
     recording: null,
     watcher: null,
+    transcript: options.transcript !== false,
+    // Interactive sessions read /cost after each command only when asked to
+    usageTracking: !!(options.trackUsage ?? budget),
+    budget,
   };
 
   console.log(`[CC-${sessionId}] ⏳ Waiting for Claude Code to start...`);
 
   // Wait for Claude Code to appear (give it time to load)
-  await new Promise(resolve => setTimeout(resolve, 5000));
+  await new Promise(resolve => setTimeout(resolve, startupMs));
 
   // Take a screenshot to verify it's running
-  const screenshot = takeScreenshot();
+  const screenshot = backend.takeScreenshot(undefined, terminal);
   if (screenshot) {
     console.log(`[CC-${sessionId}] 📸 Screenshot captured: ${screenshot}`);
     session.sessionLog.push({
@@ -555,55 +752,147 @@ async function launch(projectPath, options = {}) {
 
   session.ready = true;
   sessions.set(sessionId, session);
+  persistSession(session);
 
   console.log(`[CC-${sessionId}] ✅ Claude Code should now be visible on screen`);
   return sessionId;
 }
 
 /**
- * Send a command to Claude Code by typing into Terminal.app
+ * Create a headless session: no window, each send() runs
+ * `claude -p ... --output-format stream-json` and parses the event stream.
+ *
+ * options:
+ *   command        — Claude Code executable (default 'claude')
+ *   model          — --model for every run
+ *   permissionMode — --permission-mode for every run (e.g. 'acceptEdits')
+ *   allowedTools   — --allowedTools for every run
+ *   extraArgs      — further arguments for every run
+ */
+function launchHeadless(normalizedPath, options) {
+  const budget = usage.normalizeBudget(options.budget);
+  const sessionId = state.reserveSessionId();
+  const { command = 'claude', model, permissionMode, allowedTools, extraArgs } = options;
+
+  const session = {
+    id: sessionId,
+    path: normalizedPath,
+    backend: null,
+    terminal: null,
+    headless: {
+      command,
+      model,
+      permissionMode,
+      allowedTools,
+      extraArgs,
+      claudeSessionId: null,
+      proc: null,
+    },
+    created_at: Date.now(),
+    commandCount: 0,
+    sessionLog: [],
+    ready: true,
+    recording: null,
+    watcher: null,
+    usageTracking: true,
+    budget,
+  };
+  sessions.set(sessionId, session);
+  persistSession(session);
+
+  console.log(`[CC-${sessionId}] 🚀 Headless Claude Code session at ${normalizedPath}`);
+  return sessionId;
+}
+
+/**
+ * Send a command to Claude Code by typing into Terminal.app, then wait
+ * until Claude Code is back at its idle input prompt.
+ *
+ * The third argument is either the hard timeout in seconds or an options object:
+ *   timeoutSeconds   — hard timeout (default 300)
+ *   stopOnPermission — resolve at permission prompts (default: unless a prompt watcher is answering them)
+ *   input            — typing options (lib/input.js INPUT_DEFAULTS: chunkSize, verify, ...).
+ *                      Newlines in the command become backslash-Enter, so it is sent as one prompt.
+ *   ...any IDLE_HEURISTICS key (pollMs, quietMs, idlePatterns, busyPatterns, ...)
+ *
+ * result.status is 'completed', 'permission' or 'timeout'. The terminal text
+ * before and after the command is diffed into result.output (new lines,
+ * chrome stripped), result.reply (assistant text), result.toolCalls
+ * ([{ tool, args, output }]) and result.files (files written or edited).
  */
-async function send(sessionId, command, waitSeconds = 10) {
-  const session = sessions.get(sessionId);
+async function send(sessionId, command, options = {}) {
+  const session = findSession(sessionId);
   if (!session) throw new Error(`Invalid session: ${sessionId}`);
 
+  const {
+    timeoutSeconds = 300,
+    stopOnPermission = !(session.watcher && session.watcher.respond),
+    input = {},
+    ...heuristics
+  } = typeof options === 'number' ? { timeoutSeconds: options } : options;
+
+  const overrun = checkBudgets(session);
+  if (overrun) {
+    throw new Error(`Budget exceeded for session ${sessionId} (${overrun.scope}): ${usage.describeOverrun(overrun)}`);
+  }
+
+  if (session.headless) return sendHeadless(session, command, timeoutSeconds);
+
   const startTime = Date.now();
   session.commandCount++;
 
   console.log(`[CC-${sessionId}] 📤 Typing command: ${command}`);
 
+  const { backend, terminal } = session;
+
+  // Snapshot the screen so the response can be diffed out afterwards
+  const before = backend.readTerminalContent(terminal);
+
   // Log the command
   session.sessionLog.push({
     type: 'command',
     timestamp: Date.now(),
     command,
+    ...transcriptFields(session, before),
   });
 
   // Bring Terminal to front
-  focusTerminal();
+  backend.focusTerminal(terminal);
 
-  // Type the command
-  typeText(command);
+  // Type the command (multi-line, chunked) and check it arrived intact
+  await typeInput(backend, terminal, command, input);
   await new Promise(resolve => setTimeout(resolve, 200));
 
   // Press Enter
-  pressEnter();
+  backend.pressEnter(terminal);
 
-  console.log(`[CC-${sessionId}] ⏳ Waiting ${waitSeconds}s for command to complete...`);
+  console.log(`[CC-${sessionId}] ⏳ Waiting up to ${timeoutSeconds}s for Claude Code to finish...`);
 
-  // Wait for command to process
-  await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
+  // Poll the terminal until Claude Code is idle, asks permission, or times out
+  const completion = await waitForCompletion(() => backend.readTerminalContent(terminal), {
+    ...heuristics,
+    timeoutMs: timeoutSeconds * 1000,
+    stopOnPermission,
+  });
 
   // Take screenshot to capture result
-  const screenshot = takeScreenshot();
+  const screenshot = backend.takeScreenshot(undefined, terminal);
   const duration = Date.now() - startTime;
 
+  const { output, reply, toolCalls, files } = extractResponse(before, completion.content, command);
+
   const result = {
     sessionId,
     command,
     duration_ms: duration,
     screenshot,
-    status: 'sent',
+    status: completion.status,
+    output,
+    reply,
+    toolCalls,
+    files,
+    usage: null,
+    budget: null,
   };
 
   // Log result
@@ -612,55 +901,731 @@ async function send(sessionId, command, waitSeconds = 10) {
     timestamp: Date.now(),
     duration_ms: duration,
     screenshot,
+    status: completion.status,
+    reply,
+    toolCalls,
+    files,
+    ...transcriptFields(session, completion.content),
   });
 
-  console.log(`[CC-${sessionId}] ✅ Command sent and screenshot captured (${duration}ms)`);
+  persistSession(session);
+
+  const statusLabels = {
+    completed: '✅ Claude Code finished',
+    permission: '🔔 Claude Code is waiting at a permission prompt',
+    timeout: `⌛ Timed out after ${timeoutSeconds}s`,
+  };
+  console.log(`[CC-${sessionId}] ${statusLabels[completion.status]} (${duration}ms)`);
+
+  // /cost needs the idle prompt, so only finished commands are counted
+  if (session.usageTracking && completion.status === 'completed') {
+    result.usage = await captureUsage(session, command);
+  }
+  result.budget = await enforceBudget(session);
 
   return result;
 }
 
 /**
- * Verify current screen state by analyzing screenshot
+ * send() for headless sessions: one print-mode run per command, resumed
+ * from the previous run so the conversation carries over.
+ *
+ * result.status is 'completed', 'permission' (tools were denied), 'error' or 'timeout'.
  */
-async function verifyScreen(sessionId, description) {
-  const session = sessions.get(sessionId);
+async function sendHeadless(session, command, timeoutSeconds) {
+  const sessionId = session.id;
+  const startTime = Date.now();
+  session.commandCount++;
+
+  console.log(`[CC-${sessionId}] 📤 Running headless: ${command}`);
+
+  session.sessionLog.push({
+    type: 'command',
+    timestamp: Date.now(),
+    command,
+  });
+
+  const { proc, ...runOptions } = session.headless;
+  const run = await headless.runPrompt(session.path, command, {
+    ...runOptions,
+    timeoutMs: timeoutSeconds * 1000,
+    onSpawn: (child) => { session.headless.proc = child; },
+    onEntry: (entry) => session.sessionLog.push(entry),
+  });
+
+  session.headless.proc = null;
+  if (run.claudeSessionId) session.headless.claudeSessionId = run.claudeSessionId;
+
+  const duration = Date.now() - startTime;
+  const cost = run.result ? run.result.total_cost_usd ?? null : null;
+
+  const result = {
+    sessionId,
+    command,
+    duration_ms: duration,
+    screenshot: null,
+    status: run.status,
+    output: run.result ? run.result.result || '' : '',
+    reply: run.reply,
+    toolCalls: run.toolCalls,
+    files: run.files,
+    cost_usd: cost,
+    usage: run.result ? usage.usageFromResult(run.result) : null,
+    budget: null,
+    error: run.error,
+  };
+
+  session.sessionLog.push({
+    type: 'response',
+    timestamp: Date.now(),
+    duration_ms: duration,
+    screenshot: null,
+    status: run.status,
+    reply: run.reply,
+    toolCalls: run.toolCalls,
+    files: run.files,
+  });
+
+  persistSession(session);
+
+  if (run.status === 'error') {
+    console.error(`[CC-${sessionId}] ❌ Headless run failed: ${run.error}`);
+  } else {
+    console.log(`[CC-${sessionId}] ✅ Headless run ${run.status} (${duration}ms)`);
+  }
+
+  if (result.usage) recordUsage(session, command, result.usage, 'headless');
+  result.budget = await enforceBudget(session);
+
+  return result;
+}
+
+// ─── Keys ───────────────────────────────────────────────────
+
+// The list Escape-Escape opens at an empty prompt
+const REWIND_PATTERN = /^\s*│?\s*(?:Rewind|Jump to a previous message)\b/m;
+
+/**
+ * Poll the session's screen until check(screen, content) passes.
+ * Returns the last parseScreen() result, and whether the check passed.
+ */
+async function waitForScreen(session, check, timeoutMs, pollMs = 100) {
+  const start = Date.now();
+  for (;;) {
+    const content = session.backend.readTerminalContent(session.terminal);
+    const screen = parseScreen(content);
+    if (check(screen, content)) return { screen, passed: true };
+    if (Date.now() - start >= timeoutMs) return { screen, passed: false };
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+}
+
+/**
+ * Press a key spec in the session's terminal: "escape", "shift+tab",
+ * "ctrl+c", "esc esc", "f5", ... (see lib/keys.js). Throws on unknown keys,
+ * and on keys the backend can't send (tmux has no Cmd key).
+ */
+function sendKeys(sessionId, keys) {
+  const session = getTerminalSession(sessionId);
+  const { backend, terminal } = session;
+
+  backend.focusTerminal(terminal);
+  backend.pressKey(keys, terminal);
+
+  session.sessionLog.push({ type: 'keys', timestamp: Date.now(), keys });
+  persistSession(session);
+  console.log(`[CC-${sessionId}] ⌨️  Pressed ${keys}`);
+}
+
+/**
+ * Interrupt whatever Claude Code is doing (Escape, like "esc to interrupt")
+ * and wait for the input prompt. Does nothing unless it is thinking or
+ * running a tool — Ctrl-C is not used, since twice in a row exits.
+ *
+ * Returns { interrupted, state }.
+ */
+async function interrupt(sessionId, options = {}) {
+  const { timeoutMs = 5000 } = options;
+  const session = getTerminalSession(sessionId);
+
+  const before = getScreenState(sessionId);
+  if (before.state !== 'thinking' && before.state !== 'tool_running') {
+    return { interrupted: false, state: before.state };
+  }
+
+  sendKeys(sessionId, 'escape');
+  const { screen } = await waitForScreen(session, s => s.state === 'idle', timeoutMs);
+  console.log(`[CC-${sessionId}] ✋ Interrupted (${before.state} → ${screen.state})`);
+  return { interrupted: true, state: screen.state };
+}
+
+/**
+ * Switch accept-edits mode on or off (toggles when `enabled` is omitted) by
+ * cycling shift+tab through Claude Code's modes. Needs the input prompt.
+ *
+ * Returns { mode } — 'accept-edits' or 'default'.
+ */
+async function toggleAutoAccept(sessionId, enabled) {
+  const session = getTerminalSession(sessionId);
+  let screen = getScreenState(sessionId);
+  if (screen.state !== 'idle') {
+    throw new Error(`Session ${sessionId} is not at the input prompt (state: ${screen.state})`);
+  }
+
+  const target = (enabled === undefined ? screen.mode !== 'accept-edits' : enabled) ? 'accept-edits' : 'default';
+  // default → accept-edits → plan (→ bypass) → default
+  for (let presses = 0; screen.mode !== target && presses < 4; presses++) {
+    const mode = screen.mode;
+    sendKeys(sessionId, 'shift+tab');
+    ({ screen } = await waitForScreen(session, s => s.state === 'idle' && s.mode !== mode, 2000));
+  }
+  if (screen.mode !== target) {
+    throw new Error(`Could not switch session ${sessionId} to ${target} mode (still ${screen.mode})`);
+  }
+
+  console.log(`[CC-${sessionId}] ⏵⏵ Mode: ${screen.mode}`);
+  return { mode: screen.mode };
+}
+
+/**
+ * Rewind the conversation: Escape twice opens the list of earlier messages,
+ * then pick the one `messages` back (default 1, the last prompt). Claude
+ * Code puts that prompt back in the input box, unsent.
+ *
+ * Returns { input } — the restored prompt.
+ */
+async function rewind(sessionId, options = {}) {
+  const { messages = 1, timeoutMs = 3000 } = options;
+  const session = getTerminalSession(sessionId);
+
+  const screen = getScreenState(sessionId);
+  if (screen.state !== 'idle') {
+    throw new Error(`Session ${sessionId} is not at the input prompt (state: ${screen.state})`);
+  }
+
+  sendKeys(sessionId, 'escape escape');
+  const opened = await waitForScreen(session, (s, content) => REWIND_PATTERN.test(content), timeoutMs);
+  if (!opened.passed) throw new Error(`Session ${sessionId} did not open the rewind list`);
+
+  sendKeys(sessionId, `${'up '.repeat(Math.max(1, messages))}enter`);
+  const { screen: after } = await waitForScreen(session, s => s.state === 'idle', timeoutMs);
+
+  console.log(`[CC-${sessionId}] ⏪ Rewound ${messages} message(s)`);
+  return { input: after.input || '' };
+}
+
+// ─── Usage and Budgets ──────────────────────────────────────
+
+// Budget across every session (see setGlobalBudget)
+let globalBudget = null;
+
+// Spend of the sessions this process has closed
+let closedUsage = usage.emptyUsage();
+
+/**
+ * Log one command's usage (see lib/usage.js)
+ */
+function recordUsage(session, command, spent, source) {
+  session.sessionLog.push({ type: 'usage', timestamp: Date.now(), command, source, ...spent });
+  persistSession(session);
+}
+
+/**
+ * Read /cost after a command and log what the command added. Returns the
+ * command's usage, or null when /cost could not be read or shows no usage
+ * (subscription plans).
+ */
+async function captureUsage(session, command) {
+  try {
+    const cost = await getCost(session.id, { log: false });
+    if (!cost || (cost.costUsd === null && !cost.inputTokens && !cost.outputTokens)) return null;
+    const spent = usage.subtractUsage(usage.usageFromCost(cost), usage.totalUsage(session.sessionLog));
+    recordUsage(session, command, spent, 'cost');
+    return spent;
+  } catch (err) {
+    console.error(`[CC-${session.id}] ⚠️  Could not read /cost: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Total usage of all live sessions (including other processes') plus the
+ * sessions this process has closed
+ */
+function getGlobalUsage() {
+  let total = closedUsage;
+  for (const saved of state.listSessionStates()) {
+    const live = sessions.get(saved.id);
+    total = usage.addUsage(total, usage.totalUsage(live ? live.sessionLog : saved.sessionLog));
+  }
+  return total;
+}
+
+/**
+ * The budget the session has used up, or null:
+ * { scope: 'session' | 'global', action, limit, spent, max }
+ */
+function checkBudgets(session) {
+  const own = usage.budgetExceeded(usage.totalUsage(session.sessionLog), session.budget);
+  if (own) return { scope: 'session', action: session.budget.action, ...own };
+  const shared = usage.budgetExceeded(getGlobalUsage(), globalBudget);
+  if (shared) return { scope: 'global', action: globalBudget.action, ...shared };
+  return null;
+}
+
+/**
+ * After a command: if a budget is used up, log it and apply its action —
+ * 'interrupt' stops a turn still running (later send() calls throw until
+ * the budget is raised), 'close' closes the session. Returns the overrun.
+ * Usage is only known once a turn ends, so one command can overshoot.
+ */
+async function enforceBudget(session) {
+  const overrun = checkBudgets(session);
+  if (!overrun) return null;
+
+  session.sessionLog.push({ type: 'budget', timestamp: Date.now(), ...overrun });
+  persistSession(session);
+  console.log(`[CC-${session.id}] 💸 ${overrun.scope === 'global' ? 'Global budget' : 'Budget'} used up: ${usage.describeOverrun(overrun)} — ${overrun.action}`);
+
+  if (overrun.action === 'close') {
+    await close(session.id);
+  } else if (!session.headless) {
+    await interrupt(session.id);
+  }
+  return overrun;
+}
+
+/**
+ * The session's usage: { total, commands: [usage log entries], budget }
+ */
+function getUsage(sessionId) {
+  const session = findSession(sessionId);
   if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  return {
+    total: usage.totalUsage(session.sessionLog),
+    commands: session.sessionLog.filter(e => e.type === 'usage'),
+    budget: session.budget || null,
+  };
+}
+
+/**
+ * Set or clear (null) the session's budget: { maxCostUsd, maxTokens, action }.
+ * Setting a budget on an interactive session turns usage tracking on.
+ */
+function setBudget(sessionId, budget) {
+  const session = findSession(sessionId);
+  if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  session.budget = usage.normalizeBudget(budget);
+  if (session.budget) session.usageTracking = true;
+  persistSession(session);
+  return session.budget;
+}
+
+/**
+ * Set or clear (null) the budget shared by all sessions. It is checked
+ * against getGlobalUsage() after every command, in this process only.
+ */
+function setGlobalBudget(budget) {
+  globalBudget = usage.normalizeBudget(budget);
+  return globalBudget;
+}
+
+// ─── Slash Commands ─────────────────────────────────────────
+
+/**
+ * Type a slash command at the idle prompt and wait for what it shows.
+ *
+ * options:
+ *   until     — (screen, content, output) → boolean, checked once the screen
+ *               has changed (default: back at the idle prompt)
+ *   timeoutMs — how long to wait (default 30000)
+ *   log       — add the command to the session log (default true)
+ *
+ * Returns { command, screen, content, output }, where output is the text the
+ * command added to the transcript. Throws if the session is not at the
+ * input prompt or `until` never passes.
+ */
+async function slashCommand(sessionId, command, options = {}) {
+  const { until = screen => screen.state === 'idle', timeoutMs = 30000, log = true } = options;
+  const session = getTerminalSession(sessionId);
+  const { backend, terminal } = session;
+
+  const before = backend.readTerminalContent(terminal);
+  const { state: current } = parseScreen(before);
+  if (current !== 'idle') {
+    throw new Error(`Session ${sessionId} is not at the input prompt (state: ${current})`);
+  }
+
+  backend.focusTerminal(terminal);
+  await typeInput(backend, terminal, command);
+  const typed = backend.readTerminalContent(terminal);
+  backend.pressEnter(terminal);
+
+  if (log) {
+    session.sessionLog.push({ type: 'command', timestamp: Date.now(), command });
+    persistSession(session);
+  }
+
+  // Wait until the screen has changed, passes `until`, and holds still briefly
+  const start = Date.now();
+  let last = typed;
+  let steadySince = Date.now();
+  let screen = null;
+  while (Date.now() - start < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const content = backend.readTerminalContent(terminal);
+    if (content !== last) {
+      last = content;
+      steadySince = Date.now();
+    }
+    if (content === typed) continue;
+    screen = parseScreen(content);
+    const output = diffContent(before, content, command);
+    if (until(screen, content, output) && Date.now() - steadySince >= 300) {
+      return { command, screen, content, output };
+    }
+  }
+  throw new Error(`${command.split(/\s/)[0]} did not finish within ${Math.round(timeoutMs / 1000)}s (screen: ${screen ? screen.state : 'unchanged'})`);
+}
+
+/**
+ * Open a list with a slash command; resolves with the list's screen
+ * (state 'menu', see parseMenu in lib/screen.js)
+ */
+async function openMenu(sessionId, command, title, options = {}) {
+  const { screen } = await slashCommand(sessionId, command, {
+    until: s => s.state === 'menu' && title.test(s.title),
+    ...options,
+  });
+  return screen;
+}
+
+/**
+ * Close an open list with Escape and wait for the input prompt
+ */
+async function closeMenu(sessionId, menu) {
+  sendKeys(sessionId, 'escape');
+  const { passed } = await waitForScreen(getTerminalSession(sessionId), s => s.state === 'idle', 5000);
+  if (!passed) throw new Error(`Session ${sessionId} did not close the "${menu.title}" list`);
+}
+
+/**
+ * /clear — start a new conversation. Returns { cleared: true }.
+ */
+async function clearConversation(sessionId) {
+  await slashCommand(sessionId, '/clear');
+  console.log(`[CC-${sessionId}] 🧽 Conversation cleared`);
+  return { cleared: true };
+}
+
+/**
+ * /compact [instructions] — summarize the conversation to free up context.
+ * Returns { compacted: true, line }; throws if compaction failed.
+ */
+async function compactConversation(sessionId, instructions = '', options = {}) {
+  const { timeoutMs = 300000 } = options;
+  const { output } = await slashCommand(sessionId, `/compact${instructions ? ` ${instructions}` : ''}`, {
+    until: (s, content, out) => s.state === 'idle' && (slash.SLASH_PATTERNS.compacted.test(out) || slash.SLASH_PATTERNS.compactFailed.test(out)),
+    timeoutMs,
+  });
+  const failed = output.match(slash.SLASH_PATTERNS.compactFailed);
+  if (failed) throw new Error(`Compaction failed: ${failed[0].trim()}`);
+
+  const line = output.split('\n').find(l => slash.SLASH_PATTERNS.compacted.test(l)).trim();
+  console.log(`[CC-${sessionId}] 🗜️  ${line}`);
+  return { compacted: true, line };
+}
+
+/**
+ * /cost — the session's spend and token usage so far, parsed (see
+ * parseCost in lib/slash.js): { costUsd, apiDurationMs, inputTokens, ... }
+ */
+async function getCost(sessionId, options = {}) {
+  const { output } = await slashCommand(sessionId, '/cost', {
+    until: (s, content, out) => s.state === 'idle' && slash.SLASH_PATTERNS.cost.test(out),
+    ...options,
+  });
+  return slash.parseCost(output);
+}
+
+/**
+ * /model — switch to `model` (an alias such as "opus" or a full model name)
+ * and return { model, id } as Claude Code confirmed it. Without a model,
+ * reads the picker instead and closes it: { model, options }, where model
+ * is the entry marked as current.
+ */
+async function switchModel(sessionId, model) {
+  if (!model) {
+    const menu = await openMenu(sessionId, '/model', slash.SLASH_PATTERNS.modelPicker);
+    const options = slash.parseModelOptions(menu);
+    await closeMenu(sessionId, menu);
+    const current = options.find(o => o.current);
+    return { model: current ? current.name : null, options };
+  }
+
+  const { output } = await slashCommand(sessionId, `/model ${model}`, {
+    until: (s, content, out) => s.state === 'idle' &&
+      [slash.SLASH_PATTERNS.modelSet, slash.SLASH_PATTERNS.modelKept, slash.SLASH_PATTERNS.modelError].some(p => p.test(out)),
+  });
+  const error = output.match(slash.SLASH_PATTERNS.modelError);
+  if (error) throw new Error(`Could not switch to model ${model}: ${error[0].trim()}`);
+
+  const changed = slash.parseModelChange(output);
+  console.log(`[CC-${sessionId}] 🧠 Model: ${changed.model}${changed.id ? ` (${changed.id})` : ''}`);
+  return changed;
+}
 
-  const screenshot = takeScreenshot();
-  if (!screenshot) {
-    return { verified: false, error: 'Screenshot failed' };
+/**
+ * /resume — list earlier conversations, and resume one when `pick` is given
+ * (list number, text in its label, or a RegExp). Returns
+ * { conversations: [{ number, modified, messages, gitBranch, summary, ... }], resumed }.
+ * Throws if Claude Code doesn't get back to the prompt after resuming.
+ */
+async function resumeConversation(sessionId, pick) {
+  const { screen, output } = await slashCommand(sessionId, '/resume', {
+    until: (s, content, out) => (s.state === 'menu' && slash.SLASH_PATTERNS.resumePicker.test(s.title)) ||
+      (s.state === 'idle' && slash.SLASH_PATTERNS.noConversations.test(out)),
+  });
+  if (screen.state === 'idle') {
+    console.log(`[CC-${sessionId}] ${output.match(slash.SLASH_PATTERNS.noConversations)[0].trim()}`);
+    return { conversations: [], resumed: null };
   }
 
+  const conversations = slash.parseResumeEntries(screen);
+  if (pick === undefined) {
+    await closeMenu(sessionId, screen);
+    return { conversations, resumed: null };
+  }
+
+  const entry = slash.findEntry(screen.options, pick);
+  if (!entry) {
+    await closeMenu(sessionId, screen);
+    throw new Error(`No conversation matches ${pick}`);
+  }
+  sendKeys(sessionId, slash.menuKeys(screen, entry));
+  const { passed } = await waitForScreen(getTerminalSession(sessionId), s => s.state === 'idle', 30000);
+  if (!passed) throw new Error(`Session ${sessionId} did not finish resuming`);
+
+  const resumed = conversations[screen.options.indexOf(entry)];
+  console.log(`[CC-${sessionId}] ↩️  Resumed: ${resumed.summary || resumed.label}`);
+  return { conversations, resumed };
+}
+
+/**
+ * /init — have Claude Code write a CLAUDE.md for the project. A model turn
+ * like any other: returns the send() result (files lists CLAUDE.md).
+ */
+function initProject(sessionId, options) {
+  return send(sessionId, '/init', options);
+}
+
+/**
+ * /review [target] — have Claude Code review the current changes (or a PR).
+ * Returns the send() result; the review is in result.reply.
+ */
+function reviewChanges(sessionId, target, options) {
+  return send(sessionId, `/review${target ? ` ${target}` : ''}`, options);
+}
+
+/**
+ * /memory — the memory files Claude Code loads: { files: [{ number, scope, path }] }.
+ * The list is closed again without opening an editor.
+ */
+async function listMemory(sessionId) {
+  const menu = await openMenu(sessionId, '/memory', slash.SLASH_PATTERNS.memoryPicker);
+  await closeMenu(sessionId, menu);
+  return { files: slash.parseMemoryFiles(menu) };
+}
+
+/**
+ * /permissions — the allow rules Claude Code has on record: { rules: ['Bash(npm:*)', ...] }
+ */
+async function listPermissions(sessionId) {
+  const menu = await openMenu(sessionId, '/permissions', slash.SLASH_PATTERNS.permissionsPicker);
+  await closeMenu(sessionId, menu);
+  return { rules: slash.parsePermissionRules(menu) };
+}
+
+/**
+ * Take a screenshot of the session's own terminal window
+ */
+function screenshot(sessionId, outputPath) {
+  const session = getTerminalSession(sessionId);
+  return session.backend.takeScreenshot(outputPath, session.terminal);
+}
+
+/**
+ * Verify the screen. With only a description this takes a screenshot for
+ * someone to look at and reports verified: true; with checks
+ * ({ text, regex, noText, state, timeoutMs }, see lib/assertions.js) the
+ * terminal text is checked and verified says whether every check passed.
+ *
+ * Returns { verified, screenshot, description }, plus { checks, error,
+ * diff } when checks were given.
+ */
+async function verifyScreen(sessionId, description, checks = null) {
+  const session = getTerminalSession(sessionId);
+  const assertions = checks ? checksToAssertions(checks) : [];
+
+  if (!assertions.length) {
+    const screenshot = session.backend.takeScreenshot(undefined, session.terminal);
+    if (!screenshot) {
+      return { verified: false, error: 'Screenshot failed' };
+    }
+    session.sessionLog.push({
+      type: 'verification',
+      timestamp: Date.now(),
+      screenshot,
+      description,
+      ...transcriptFields(session, session.backend.readTerminalContent(session.terminal)),
+    });
+    persistSession(session);
+    return { verified: true, screenshot, description };
+  }
+
+  const baseline = lastSnapshot(session);
+  const read = () => session.backend.readTerminalContent(session.terminal);
+  const results = [];
+  for (const assertion of assertions) {
+    results.push(await checkScreen(read, assertion, { timeoutMs: checks.timeoutMs || 0, baseline }));
+  }
+  const failed = results.find(result => !result.passed);
+  // Screen capture is optional here; tmux has none
+  const screenshot = session.backend.takeScreenshot(undefined, session.terminal);
+
   session.sessionLog.push({
     type: 'verification',
     timestamp: Date.now(),
     screenshot,
     description,
+    passed: !failed,
+    ...(failed ? { message: failed.message } : {}),
+    checks: results.map(result => ({ description: result.description, passed: result.passed, message: result.message })),
+    ...transcriptFields(session, results[results.length - 1].content),
   });
+  persistSession(session);
 
   return {
-    verified: true,
+    verified: !failed,
     screenshot,
     description,
+    checks: results.map(({ content, ...result }) => result),
+    error: failed ? failed.message : null,
+    diff: failed ? failed.diff : null,
   };
 }
 
+// ─── Assertions ─────────────────────────────────────────────
+
+function lastSnapshot(session) {
+  return lastTerminal(session.sessionLog);
+}
+
+/**
+ * Check an assertion (lib/assertions.js) against the session's terminal,
+ * polling for up to options.timeoutMs, and log it as a verification entry.
+ * With options.since, text is only looked for in what the screen gained
+ * after the previous logged snapshot (the whole screen if there is none).
+ *
+ * Returns { passed, description, matches: [{ line, text, excerpt }],
+ * waited_ms } (plus `screen` for state assertions). On failure throws an
+ * error whose message ends with the last screen, diffed against the
+ * snapshot logged with the previous step; err.assertion holds the result.
+ */
+async function assertScreen(sessionId, assertion, options = {}) {
+  const session = getTerminalSession(sessionId);
+  const read = () => session.backend.readTerminalContent(session.terminal);
+  const baseline = lastSnapshot(session);
+  const { content, ...result } = await checkScreen(read, assertion, {
+    ...options,
+    baseline,
+    since: options.since ? baseline : null,
+  });
+
+  session.sessionLog.push({
+    type: 'verification',
+    timestamp: Date.now(),
+    description: result.description,
+    passed: result.passed,
+    ...(result.passed ? {} : { message: result.message }),
+    ...transcriptFields(session, content),
+  });
+  persistSession(session);
+
+  if (!result.passed) {
+    const waited = options.timeoutMs ? ` after ${(result.waited_ms / 1000).toFixed(1)}s` : '';
+    const err = new Error(`${result.message}${waited}\n\nLast screen (diff against the previous snapshot):\n${result.diff}`);
+    err.assertion = result;
+    throw err;
+  }
+  return result;
+}
+
+/**
+ * Assert that `text` is on screen (plain, case-sensitive). options:
+ * { timeoutMs (default 0: check once), context (lines in each excerpt),
+ *   since (only count text added after the previous logged snapshot) }
+ */
+function expectText(sessionId, text, options) {
+  return assertScreen(sessionId, { kind: 'text', pattern: String(text) }, options);
+}
+
+/**
+ * Assert that a RegExp (or "/source/flags" string) matches the screen
+ */
+function expectRegex(sessionId, regex, options) {
+  return assertScreen(sessionId, { kind: 'regex', pattern: toRegExp(regex) }, options);
+}
+
+/**
+ * Assert that text (or a RegExp) is not on screen; with timeoutMs, wait
+ * for it to go away
+ */
+function expectNoText(sessionId, text, options) {
+  return assertScreen(sessionId, { kind: 'no-text', pattern: text instanceof RegExp ? text : String(text) }, options);
+}
+
+/**
+ * Wait for text (or a RegExp) to appear. The third argument is the timeout
+ * in ms (default 30000) or an options object as for expectText. Only text
+ * added after the previous logged snapshot counts (since: true) unless
+ * since: false is passed, so a reply already on screen doesn't satisfy it.
+ */
+function waitForText(sessionId, text, options = {}) {
+  const settings = typeof options === 'number'
+    ? { timeoutMs: options, since: true }
+    : { timeoutMs: 30000, since: true, ...options };
+  const assertion = text instanceof RegExp
+    ? { kind: 'regex', pattern: text, name: 'waitForText' }
+    : { kind: 'text', pattern: String(text), name: 'waitForText' };
+  return assertScreen(sessionId, assertion, settings);
+}
+
+/**
+ * Assert the screen state (see getScreenState): 'idle', or a list such as
+ * ['idle', 'permission']. With timeoutMs, wait for it.
+ */
+function expectState(sessionId, state, options) {
+  return assertScreen(sessionId, { kind: 'state', state }, options);
+}
+
 /**
  * Handle Claude Code security prompt (approve project access)
  */
 async function approveSecurity(sessionId) {
-  const session = sessions.get(sessionId);
-  if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  const session = getTerminalSession(sessionId);
 
   console.log(`[CC-${sessionId}] 🔓 Approving security prompt...`);
 
+  const { backend, terminal } = session;
+
   // Bring Terminal to front
-  focusTerminal();
+  backend.focusTerminal(terminal);
 
   // Press 1 for "Yes, I trust this folder"
-  typeText('1');
+  backend.typeText('1', terminal);
   await new Promise(resolve => setTimeout(resolve, 200));
-  pressEnter();
+  backend.pressEnter(terminal);
 
   await new Promise(resolve => setTimeout(resolve, 2000));
 
@@ -671,17 +1636,18 @@ async function approveSecurity(sessionId) {
  * Handle Claude Code login flow
  */
 async function handleLogin(sessionId) {
-  const session = sessions.get(sessionId);
-  if (!session) throw new Error(`Invalid session: ${sessionId}`);
+  const session = getTerminalSession(sessionId);
 
   console.log(`[CC-${sessionId}] 🔐 Handling login...`);
 
+  const { backend, terminal } = session;
+
   // Bring Terminal to front
-  focusTerminal();
+  backend.focusTerminal(terminal);
 
   // Type /login command
-  typeText('/login');
-  pressEnter();
+  backend.typeText('/login', terminal);
+  backend.pressEnter(terminal);
 
   console.log(`[CC-${sessionId}] 🔐 Login command sent. User should complete auth in browser.`);
   console.log(`[CC-${sessionId}] ⏳ Waiting for authentication to complete...`);
@@ -691,38 +1657,105 @@ async function handleLogin(sessionId) {
  * Get session status
  */
 function getStatus(sessionId) {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   if (!session) return null;
   return {
-    sessionId,
+    sessionId: session.id,
     path: session.path,
+    backend: session.headless ? 'headless' : session.backend.name,
+    terminal: session.terminal,
+    claudeSessionId: session.headless ? session.headless.claudeSessionId : null,
     uptime_ms: Date.now() - session.created_at,
     commands_sent: session.commandCount,
     ready: session.ready,
     logEntries: session.sessionLog.length,
-    recording: session.recording ? { videoPath: session.recording.videoPath } : null,
+    recording: session.recording ? { videoPath: session.recording.videoPath, castPath: session.recording.castPath } : null,
     watching: !!session.watcher,
+    usage: usage.totalUsage(session.sessionLog),
+    budget: session.budget || null,
   };
 }
 
 /**
- * Save session recording (all screenshots + commands)
+ * Attach to a session started by another process (e.g. an earlier
+ * `node -e` invocation). Every session-level function also attaches on
+ * first use, so this is only needed to check up front that it exists.
+ */
+function attach(sessionId) {
+  const session = findSession(sessionId);
+  if (!session) {
+    throw new Error(`No saved session ${sessionId} in ${state.stateDir()}`);
+  }
+  if (session.backend && !session.backend.terminalExists(session.terminal)) {
+    console.warn(`[CC-${session.id}] ⚠️  Terminal for this session no longer exists`);
+  }
+  console.log(`[CC-${session.id}] 🔗 Attached to session at ${session.path}`);
+  return session.id;
+}
+
+/**
+ * List every saved session, whichever process started it
  */
-async function saveSession(sessionId, filepath) {
-  const session = sessions.get(sessionId);
+function listSessions() {
+  return state.listSessionStates().map((saved) => {
+    const backend = saved.backend ? getBackend(saved.backend) : null;
+    return {
+      sessionId: saved.id,
+      path: saved.path,
+      backend: saved.headless ? 'headless' : saved.backend,
+      created_at: new Date(saved.created_at).toISOString(),
+      commands_sent: saved.commandCount,
+      recording: saved.recording ? { videoPath: saved.recording.videoPath } : null,
+      ownerPid: saved.ownerPid,
+      attached: sessions.has(saved.id),
+      alive: backend ? backend.terminalExists(saved.terminal) : true,
+    };
+  });
+}
+
+/**
+ * Save the session recording. The format follows the file extension:
+ *   .txt  — plain-text transcript (each command and what the terminal showed)
+ *   .md   — Markdown transcript (reply, tool calls, files, usage, terminal)
+ *   .html — self-contained HTML report with screenshots (lib/report.js)
+ *   anything else — the JSON recording, with the full log
+ *
+ * options.transcripts: with a JSON path, also write the .txt and .md
+ * transcripts next to it (same name, other extension).
+ */
+async function saveSession(sessionId, filepath, options = {}) {
+  const session = findSession(sessionId);
   if (!session) throw new Error(`Invalid session: ${sessionId}`);
 
   const recording = {
-    sessionId,
+    sessionId: session.id,
     path: session.path,
+    backend: session.headless ? 'headless' : session.backend.name,
     duration_ms: Date.now() - session.created_at,
     commands_sent: session.commandCount,
     createdAt: new Date(session.created_at).toISOString(),
+    usage: usage.totalUsage(session.sessionLog),
+    budget: session.budget || null,
     log: session.sessionLog,
   };
 
-  fs.writeFileSync(filepath, JSON.stringify(recording, null, 2));
-  console.log(`[CC-${sessionId}] 💾 Session saved to ${filepath}`);
+  const formats = {
+    '.txt': transcriptText,
+    '.md': transcriptMarkdown,
+    '.html': renderReport,
+  };
+  const write = (file) => {
+    const format = formats[path.extname(file).toLowerCase()];
+    fs.writeFileSync(file, format ? format(recording) : JSON.stringify(recording, null, 2));
+    console.log(`[CC-${sessionId}] 💾 Session saved to ${file}`);
+  };
+
+  write(filepath);
+  if (options.transcripts && !formats[path.extname(filepath).toLowerCase()]) {
+    const base = filepath.slice(0, filepath.length - path.extname(filepath).length);
+    write(`${base}.txt`);
+    write(`${base}.md`);
+  }
   return filepath;
 }
 
@@ -730,25 +1763,46 @@ async function saveSession(sessionId, filepath) {
  * Close Claude Code session
  */
 async function close(sessionId) {
-  const session = sessions.get(sessionId);
+  const session = findSession(sessionId);
   if (!session) return;
 
   console.log(`[CC-${sessionId}] 🧹 Closing Claude Code...`);
 
+  // Closed sessions still count against the global budget
+  closedUsage = usage.addUsage(closedUsage, usage.totalUsage(session.sessionLog));
+
   // Stop watcher if active
   if (session.watcher) stopWatching(sessionId);
 
   // Stop recording if active
   if (session.recording) await stopRecording(sessionId);
 
+  if (session.headless) {
+    // Nothing to exit — just stop a run that is still in flight
+    if (session.headless.proc) {
+      try { session.headless.proc.kill('SIGTERM'); } catch {}
+    }
+    sessions.delete(session.id);
+    state.removeSessionState(session.id);
+    console.log(`[CC-${sessionId}] ✅ Session closed`);
+    return;
+  }
+
+  const { backend, terminal } = session;
+
   // Bring Terminal to front and send Escape + exit
-  focusTerminal();
-  pressKey('escape');
+  backend.focusTerminal(terminal);
+  backend.pressKey('escape', terminal);
   await new Promise(resolve => setTimeout(resolve, 500));
-  typeText('/exit');
-  pressEnter();
+  backend.typeText('/exit', terminal);
+  backend.pressEnter(terminal);
 
-  sessions.delete(sessionId);
+  // Give Claude Code a moment to exit before releasing the terminal
+  await new Promise(resolve => setTimeout(resolve, 500));
+  backend.closeTerminal(terminal);
+
+  sessions.delete(session.id);
+  state.removeSessionState(session.id);
   console.log(`[CC-${sessionId}] ✅ Session closed`);
 }
 
@@ -765,24 +1819,30 @@ module.exports = {
   // Core session API
   launch,
   send,
+  screenshot,
   verifyScreen,
   approveSecurity,
+  answerPermission,
   handleLogin,
   getStatus,
   saveSession,
   close,
   closeAll,
 
-  // Screenshot helpers
-  takeScreenshot,
-  focusTerminal,
-  getTerminalWindowBounds,
-  typeText,
-  pressEnter,
-  pressKey,
+  // Sessions from other processes
+  attach,
+  listSessions,
+
+  // Screenshot helpers (Terminal.app front window)
+  takeScreenshot: applescript.takeScreenshot,
+  focusTerminal: applescript.focusTerminal,
+  getTerminalWindowBounds: applescript.getTerminalWindowBounds,
+  typeText: applescript.typeText,
+  pressEnter: applescript.pressEnter,
+  pressKey: applescript.pressKey,
 
   // Window resize
-  resizeTerminal,
+  resizeTerminal: applescript.resizeTerminal,
 
   // FFmpeg video recording
   startRecording,
@@ -791,9 +1851,51 @@ module.exports = {
 
   // Terminal content + prompt watching
   readTerminalContent: readTerminalContentForSession,
+  getScreenState,
   watchForPrompts,
   stopWatching,
 
+  // Assertions on the terminal text (see lib/assertions.js)
+  expectText,
+  expectRegex,
+  expectNoText,
+  waitForText,
+  expectState,
+
+  // Keys (key specs, see lib/keys.js)
+  sendKeys,
+  interrupt,
+  toggleAutoAccept,
+  rewind,
+
+  // Usage and budgets
+  getUsage,
+  getGlobalUsage,
+  setBudget,
+  setGlobalBudget,
+
+  // Slash commands
+  slashCommand,
+  clearConversation,
+  compactConversation,
+  getCost,
+  switchModel,
+  resumeConversation,
+  initProject,
+  reviewChanges,
+  listMemory,
+  listPermissions,
+
+  // Event-emitting sessions (launch(path, { events: true }))
+  Session,
+
+  // Terminal backends
+  getBackend,
+  BACKENDS,
+
   // Constants
   WINDOW_PRESETS,
+  IDLE_HEURISTICS,
+  INPUT_DEFAULTS,
+  ASSERTION_DEFAULTS,
 };
@@ -0,0 +1,96 @@
+/**
+ * Command-line option parsing shared by cli.js, watcher.js and
+ * tasks/route-task.js
+ *
+ *   parseArgs(['send', '3', 'hi', '--timeout=60', '--json'], { string: ['timeout'], boolean: ['json'] })
+ *   → { positional: ['send', '3', 'hi'], options: { timeout: '60', json: true } }
+ *
+ * `--name value` and `--name=value` set string options, names in
+ * spec.array collect every occurrence into a list, names in
+ * spec.boolean never take a value, spec.alias maps short flags (`-h`) to
+ * long names, and `--` ends option parsing. Kebab-case names are camelCased
+ * (`--startup-ms` → options.startupMs). Unknown options throw a usage error.
+ */
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  timeout: 3,
+  permission: 4,
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_CODES.usage;
+  return err;
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function parseArgs(argv, spec = {}) {
+  const strings = new Set(spec.string || []);
+  const arrays = new Set(spec.array || []);
+  const booleans = new Set(spec.boolean || []);
+  const alias = spec.alias || {};
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      [name, value] = arg.slice(2).split(/=(.*)/s);
+    } else {
+      name = alias[arg.slice(1)];
+      if (!name) throw usageError(`Unknown option: ${arg}`);
+    }
+
+    if (booleans.has(name)) {
+      if (value !== undefined) throw usageError(`Option --${name} does not take a value`);
+      options[camelCase(name)] = true;
+    } else if (strings.has(name) || arrays.has(name)) {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw usageError(`Option --${name} needs a value`);
+        value = argv[++i];
+      }
+      const key = camelCase(name);
+      if (arrays.has(name)) options[key] = [...(options[key] || []), value];
+      else options[key] = value;
+    } else {
+      throw usageError(`Unknown option: --${name}`);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Parse a numeric option value, or return fallback when it is absent
+ */
+function toNumber(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw usageError(`--${name} must be a number, got "${value}"`);
+  return number;
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  toNumber,
+  usageError,
+};
@@ -0,0 +1,350 @@
+/**
+ * Asciicast recording
+ *
+ * An alternative to the FFmpeg recorder that needs no screen capture: the
+ * terminal's text is sampled every intervalMs and written as an asciicast v2
+ * file (https://docs.asciinema.org/manual/asciicast/v2/), playable with
+ * `asciinema play` or any asciinema player:
+ *
+ *   {"version": 2, "width": 100, "height": 40, "timestamp": 1700000000, ...}
+ *   [0.51, "o", "\u001b[H\u001b[2J╭────╮\r\n│ > │ ..."]
+ *
+ * Each sample that differs from the last becomes one "o" event that redraws
+ * the screen. Events are appended as they happen, so the file stays valid
+ * if the recorder is killed.
+ *
+ * castToFrames() goes the other way: it plays a .cast (ours or one recorded
+ * by asciinema) through a small terminal emulator and writes one SVG image
+ * per frame, for getFrames() and the video-generator.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getBackend } = require('./backends');
+
+const CAST_DEFAULTS = {
+  intervalMs: 250,   // how often the terminal is sampled
+  cols: 80,          // screen size when the backend can't tell
+  rows: 24,
+};
+
+// SVG frame geometry, in pixels
+const FRAME_STYLE = {
+  fontSize: 14,
+  charWidth: 8.4,
+  lineHeight: 18,
+  padding: 16,
+  background: '#1e1e1e',
+  foreground: '#e5e5e5',
+};
+
+const CLEAR_SCREEN = '\u001b[H\u001b[2J';
+
+/**
+ * The visible part of a readTerminalContent() snapshot: long lines wrapped
+ * at `cols`, then the last `rows` lines
+ */
+function visibleLines(content, cols, rows) {
+  const lines = [];
+  for (const line of String(content || '').replace(/\s+$/, '').split('\n')) {
+    const chars = Array.from(line.replace(/\s+$/, ''));
+    if (!chars.length) lines.push('');
+    for (let start = 0; start < chars.length; start += cols) lines.push(chars.slice(start, start + cols).join(''));
+  }
+  return lines.slice(-rows);
+}
+
+/**
+ * Start sampling a terminal into a .cast file.
+ *
+ * options:
+ *   read        — () => terminal content (e.g. backend.readTerminalContent)
+ *   outputPath  — .cast file to write
+ *   cols, rows  — screen size for the header and the redraws
+ *   intervalMs  — sampling interval (default 250)
+ *   title       — header title
+ *
+ * Returns { castPath, stop() }; stop() takes a last sample and returns
+ * { castPath, events, duration_ms }.
+ */
+function createCastRecorder(options) {
+  const {
+    read,
+    outputPath,
+    cols = CAST_DEFAULTS.cols,
+    rows = CAST_DEFAULTS.rows,
+    intervalMs = CAST_DEFAULTS.intervalMs,
+    title,
+  } = options;
+
+  const startTime = Date.now();
+  const header = { version: 2, width: cols, height: rows, timestamp: Math.floor(startTime / 1000) };
+  if (title) header.title = title;
+  header.env = { TERM: 'xterm-256color' };
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, `${JSON.stringify(header)}\n`);
+
+  let last = null;
+  let events = 0;
+  const sample = () => {
+    let content;
+    try {
+      content = read();
+    } catch {
+      return; // terminal gone or busy — try again next tick
+    }
+    const screen = visibleLines(content, cols, rows).join('\r\n');
+    if (screen === last) return;
+    last = screen;
+    const time = Number(((Date.now() - startTime) / 1000).toFixed(3));
+    fs.appendFileSync(outputPath, `${JSON.stringify([time, 'o', CLEAR_SCREEN + screen])}\n`);
+    events++;
+  };
+
+  sample();
+  const timer = setInterval(sample, intervalMs);
+
+  return {
+    castPath: outputPath,
+    stop() {
+      clearInterval(timer);
+      sample();
+      return { castPath: outputPath, events, duration_ms: Date.now() - startTime };
+    },
+  };
+}
+
+/**
+ * Read an asciicast v2 file: { header, events: [[time, type, data]] }
+ */
+function readCast(castPath) {
+  const lines = fs.readFileSync(castPath, 'utf-8').split('\n').filter(line => line.trim());
+  if (!lines.length) throw new Error(`Empty asciicast file: ${castPath}`);
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (err) {
+    throw new Error(`Invalid asciicast header in ${castPath}: ${err.message}`);
+  }
+  if (header.version !== 2) {
+    throw new Error(`Unsupported asciicast version in ${castPath}: ${header.version} (only v2 is supported)`);
+  }
+
+  const events = lines.slice(1).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid asciicast event on line ${i + 2} of ${castPath}: ${err.message}`);
+    }
+  });
+  return { header, events };
+}
+
+/**
+ * A minimal terminal emulator: printable text, CR/LF/BS/TAB, cursor
+ * movement and erase sequences. Colours and modes are ignored.
+ *
+ * Returns { write(data), text() }.
+ */
+function createScreen(cols, rows) {
+  const blank = () => Array(cols).fill(' ');
+  let grid = Array.from({ length: rows }, blank);
+  let x = 0;
+  let y = 0;
+
+  const clamp = (value, max) => Math.max(0, Math.min(value, max - 1));
+  const lineFeed = () => {
+    if (y < rows - 1) {
+      y++;
+    } else {
+      grid.shift();
+      grid.push(blank());
+    }
+  };
+  const eraseLine = (row, from, to) => {
+    for (let col = from; col < to; col++) grid[row][col] = ' ';
+  };
+
+  function csi(params, final) {
+    const args = params.replace(/^[?>=]/, '').split(';').map(n => parseInt(n, 10));
+    const n = Number.isNaN(args[0]) ? 1 : Math.max(args[0], 1);
+    const mode = Number.isNaN(args[0]) ? 0 : args[0];
+    switch (final) {
+      case 'H':
+      case 'f':
+        y = clamp((Number.isNaN(args[0]) ? 1 : args[0]) - 1, rows);
+        x = clamp((Number.isNaN(args[1]) || args[1] === undefined ? 1 : args[1]) - 1, cols);
+        break;
+      case 'A': y = clamp(y - n, rows); break;
+      case 'B': y = clamp(y + n, rows); break;
+      case 'C': x = clamp(x + n, cols); break;
+      case 'D': x = clamp(x - n, cols); break;
+      case 'G': x = clamp(n - 1, cols); break;
+      case 'd': y = clamp(n - 1, rows); break;
+      case 'J':
+        if (mode === 0) {
+          eraseLine(y, x, cols);
+          for (let row = y + 1; row < rows; row++) grid[row] = blank();
+        } else if (mode === 1) {
+          for (let row = 0; row < y; row++) grid[row] = blank();
+          eraseLine(y, 0, x + 1);
+        } else {
+          grid = Array.from({ length: rows }, blank);
+        }
+        break;
+      case 'K':
+        if (mode === 0) eraseLine(y, x, cols);
+        else if (mode === 1) eraseLine(y, 0, x + 1);
+        else eraseLine(y, 0, cols);
+        break;
+      default:
+        break; // colours (m), modes (h/l) and the rest don't change the text
+    }
+  }
+
+  function write(data) {
+    // CSI sequences, OSC strings, other escapes, or one character
+    const tokens = /\u001b\[([0-9;?>=]*)[ -/]*([@-~])|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)?|\u001b[^[\]]?|[\s\S]/gu;
+    for (const match of String(data).matchAll(tokens)) {
+      const [token, params, final] = match;
+      if (final !== undefined) {
+        csi(params, final);
+        continue;
+      }
+      if (token[0] === '\u001b') continue;
+      if (token === '\r') x = 0;
+      else if (token === '\n') lineFeed();
+      else if (token === '\b') x = Math.max(0, x - 1);
+      else if (token === '\t') x = Math.min(cols - 1, (Math.floor(x / 8) + 1) * 8);
+      else if (token >= ' ' && token !== '\u007f') {
+        if (x >= cols) {
+          x = 0;
+          lineFeed();
+        }
+        grid[y][x++] = token;
+      }
+    }
+  }
+
+  function text() {
+    return grid.map(row => row.join('').replace(/\s+$/, '')).join('\n').replace(/\n+$/, '');
+  }
+
+  return { write, text };
+}
+
+/**
+ * Screen text at every 1/fps seconds of a cast, from its first output event
+ * to its last
+ */
+function castScreens(cast, fps = 1) {
+  const { width = CAST_DEFAULTS.cols, height = CAST_DEFAULTS.rows } = cast.header;
+  const screen = createScreen(width, height);
+  const output = cast.events.filter(([, type]) => type === 'o');
+  if (!output.length) return [];
+  const first = output[0][0];
+  const last = output[output.length - 1][0];
+
+  const screens = [];
+  let next = 0;
+  for (let frame = 0; first + frame / fps <= last + 1e-9; frame++) {
+    const time = first + frame / fps;
+    while (next < output.length && output[next][0] <= time + 1e-9) screen.write(output[next++][2]);
+    screens.push(screen.text());
+  }
+  // The last event may fall between two frames
+  if (next < output.length) {
+    while (next < output.length) screen.write(output[next++][2]);
+    screens.push(screen.text());
+  }
+  return screens;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render screen text as an SVG image of a cols × rows terminal
+ */
+function renderScreenSvg(text, cols, rows) {
+  const { fontSize, charWidth, lineHeight, padding, background, foreground } = FRAME_STYLE;
+  const width = Math.ceil(cols * charWidth + padding * 2);
+  const height = Math.ceil(rows * lineHeight + padding * 2);
+  const lines = text.split('\n').map((line, i) => {
+    const top = padding + (i + 1) * lineHeight - (lineHeight - fontSize) / 2;
+    return `  <text x="${padding}" y="${top}" xml:space="preserve">${escapeXml(line)}</text>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <rect width="100%" height="100%" fill="${background}"/>`,
+    `  <g font-family="Menlo, Monaco, 'DejaVu Sans Mono', monospace" font-size="${fontSize}" fill="${foreground}">`,
+    ...lines,
+    '  </g>',
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Convert a .cast file into a directory of frames (frame_0001.svg, ...).
+ *
+ * options:
+ *   fps        — frames per second of cast time (default 1)
+ *   outputDir  — directory for the frames (created if missing)
+ *
+ * Returns the frame paths in order.
+ */
+function castToFrames(castPath, options = {}) {
+  const { fps = 1, outputDir } = options;
+  if (!outputDir) throw new Error('castToFrames needs an outputDir');
+  if (!(fps > 0)) throw new Error(`fps must be a positive number, got ${fps}`);
+
+  const cast = readCast(castPath);
+  const { width = CAST_DEFAULTS.cols, height = CAST_DEFAULTS.rows } = cast.header;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  return castScreens(cast, fps).map((text, i) => {
+    const framePath = path.join(outputDir, `frame_${String(i + 1).padStart(4, '0')}.svg`);
+    fs.writeFileSync(framePath, renderScreenSvg(text, width, height));
+    return framePath;
+  });
+}
+
+/**
+ * Recorder entry point for detached recordings (startRecording with
+ * detach: true): node lib/asciicast.js <config-json>. Runs until SIGINT or
+ * SIGTERM, or until the terminal goes away.
+ */
+function runDetached(config) {
+  const backend = getBackend(config.backend);
+  const recorder = createCastRecorder({ ...config, read: () => backend.readTerminalContent(config.terminal) });
+
+  const finish = () => {
+    clearInterval(watch);
+    recorder.stop();
+    process.exit(0);
+  };
+  const watch = setInterval(() => {
+    if (!backend.terminalExists(config.terminal)) finish();
+  }, 2000);
+  process.on('SIGINT', finish);
+  process.on('SIGTERM', finish);
+}
+
+if (require.main === module) {
+  runDetached(JSON.parse(process.argv[2]));
+}
+
+module.exports = {
+  CAST_DEFAULTS,
+  visibleLines,
+  createCastRecorder,
+  readCast,
+  createScreen,
+  castScreens,
+  renderScreenSvg,
+  castToFrames,
+};
@@ -0,0 +1,224 @@
+/**
+ * Screen assertions
+ *
+ * Checks against the terminal's text (readTerminalContent), behind
+ * expectText / expectRegex / expectNoText / waitForText / expectState and
+ * verifyScreen's checks in index.js:
+ *
+ *   evaluateAssertion({ kind: 'text', pattern: 'hello.py' }, content)
+ *   → { passed: true, message: null,
+ *       matches: [{ line: 12, text: 'hello.py', excerpt: '⏺ Created hello.py' }] }
+ *
+ * Kinds: text (plain, case-sensitive), regex, no-text (plain or RegExp) and
+ * state (a parseScreen() state, or a list of them). checkScreen() polls
+ * until the assertion holds or timeoutMs runs out; a failure comes with a
+ * diff of the last screen against a baseline, so it says what the screen
+ * showed instead. With `since`, text assertions only look at the lines
+ * added after an earlier screen, so text that was already there (or is in
+ * the command just sent) doesn't count.
+ */
+
+const { stripAnsi, diffContent } = require('./extract');
+const { parseScreen, STATES } = require('./screen');
+const { snapshotDiff } = require('./transcript');
+
+const ASSERTION_DEFAULTS = {
+  timeoutMs: 0,       // check once
+  pollMs: 250,
+  context: 1,         // lines either side of a match in its excerpt
+  maxMatches: 10,
+  diffContext: 3,     // unchanged lines around the changes in a failure diff
+};
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function toLines(text) {
+  return stripAnsi(text || '').replace(/\s+$/, '').split('\n');
+}
+
+/**
+ * RegExp from a RegExp, "/source/flags" or a bare source string
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const m = String(pattern).match(/^\/(.+)\/([a-z]*)$/s);
+  return m ? new RegExp(m[1], m[2]) : new RegExp(String(pattern));
+}
+
+function showPattern(pattern) {
+  return pattern instanceof RegExp ? String(pattern) : JSON.stringify(pattern);
+}
+
+/**
+ * A text assertion for a pattern written as text: "/source/flags" is a
+ * regex, anything else plain text. With `negate`, a no-text assertion.
+ */
+function patternAssertion(value, negate = false) {
+  const pattern = /^\/.+\/[a-z]*$/s.test(String(value)) ? toRegExp(value) : String(value);
+  if (negate) return { kind: 'no-text', pattern };
+  return pattern instanceof RegExp ? { kind: 'regex', pattern } : { kind: 'text', pattern };
+}
+
+/**
+ * Every place `pattern` (plain text or RegExp) occurs in the content:
+ * [{ line (1-based), text (what matched), excerpt (the lines around it) }]
+ */
+function findMatches(content, pattern, options = {}) {
+  const { context = ASSERTION_DEFAULTS.context, maxMatches = ASSERTION_DEFAULTS.maxMatches } = options;
+  const text = toLines(content).join('\n');
+  const lines = text.split('\n');
+  const lineAt = offset => text.slice(0, offset).split('\n').length;
+
+  const found = [];
+  if (pattern instanceof RegExp) {
+    const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    for (const m of text.matchAll(global)) found.push({ index: m.index, text: m[0] });
+  } else if (pattern !== '') {
+    for (let i = text.indexOf(pattern); i >= 0; i = text.indexOf(pattern, i + pattern.length)) {
+      found.push({ index: i, text: pattern });
+    }
+  }
+
+  return found.slice(0, maxMatches).map(({ index, text: matched }) => {
+    const first = lineAt(index);
+    const last = first + matched.split('\n').length - 1;
+    const excerpt = lines.slice(Math.max(0, first - 1 - context), last + context).join('\n');
+    return { line: first, text: matched, excerpt };
+  });
+}
+
+/**
+ * "expectText("hello.py")" — how an assertion reads in logs and errors
+ */
+function describeAssertion(assertion) {
+  const name = assertion.name || {
+    text: 'expectText', regex: 'expectRegex', 'no-text': 'expectNoText', state: 'expectState',
+  }[assertion.kind];
+  const subject = assertion.kind === 'state' ? [].concat(assertion.state).join(' | ') : showPattern(assertion.pattern);
+  return `${name}(${subject})`;
+}
+
+/**
+ * Check one assertion against terminal content: { passed, message, matches }
+ * plus `screen` (the parseScreen() result) for state assertions. Throws on
+ * an unknown kind or state.
+ */
+function evaluateAssertion(assertion, content, options = {}) {
+  const { kind, pattern } = assertion;
+  switch (kind) {
+    case 'text':
+    case 'regex': {
+      const matches = findMatches(content, kind === 'regex' ? toRegExp(pattern) : String(pattern), options);
+      const message = kind === 'regex'
+        ? `Expected ${toRegExp(pattern)} to match the screen`
+        : `Expected ${showPattern(String(pattern))} on screen`;
+      return { passed: matches.length > 0, message: matches.length ? null : message, matches };
+    }
+    case 'no-text': {
+      const matches = findMatches(content, pattern instanceof RegExp ? pattern : String(pattern), options);
+      const message = matches.length
+        ? `Expected ${showPattern(pattern)} not to be on screen (line ${matches[0].line}: "${toLines(content)[matches[0].line - 1].trim()}")`
+        : null;
+      return { passed: !matches.length, message, matches };
+    }
+    case 'state': {
+      const expected = [].concat(assertion.state);
+      const unknown = expected.find(state => !STATES.includes(state));
+      if (unknown !== undefined) throw new Error(`Unknown screen state "${unknown}" (expected one of ${STATES.join(', ')})`);
+      const screen = parseScreen(content);
+      const passed = expected.includes(screen.state);
+      const message = passed
+        ? null
+        : `Expected the screen to be ${expected.join(' or ')}, but it is ${screen.state}${screen.line ? ` ("${screen.line.trim()}")` : ''}`;
+      return { passed, message, matches: [], screen };
+    }
+    default:
+      throw new Error(`Unknown assertion kind "${kind}" (expected text, regex, no-text or state)`);
+  }
+}
+
+/**
+ * The last screen as a diff against `before`: changed lines marked "-" and
+ * "+", with `context` unchanged lines around them. An unchanged screen is
+ * shown in full.
+ */
+function screenDiff(before, after, context = ASSERTION_DEFAULTS.diffContext) {
+  const lines = toLines(after);
+  if (before === null || before === undefined) return lines.map(line => `+ ${line}`).join('\n');
+
+  const { start, deleteCount, insert } = snapshotDiff(before, after);
+  if (!deleteCount && !insert.length) return lines.map(line => `  ${line}`).join('\n');
+
+  const removed = toLines(before).slice(start, start + deleteCount);
+  const from = Math.max(0, start - context);
+  const to = Math.min(lines.length, start + insert.length + context);
+  return [
+    `@@ line ${start + 1} @@`,
+    ...lines.slice(from, start).map(line => `  ${line}`),
+    ...removed.map(line => `- ${line}`),
+    ...insert.map(line => `+ ${line}`),
+    ...lines.slice(start + insert.length, to).map(line => `  ${line}`),
+  ].join('\n');
+}
+
+/**
+ * Poll `read()` until the assertion holds or options.timeoutMs has passed.
+ *
+ * options: any ASSERTION_DEFAULTS key, plus
+ *   baseline — screen text the failure diff is taken against
+ *   since    — screen text: text assertions only see the lines added after
+ *              it (diffContent), and match line numbers count from there.
+ *              State assertions always see the whole screen.
+ *   command  — with since, a command whose echoed prompt line is left out
+ *
+ * Returns the evaluateAssertion() result with { description, content (the
+ * last screen), waited_ms }, and `diff` when it failed.
+ */
+async function checkScreen(read, assertion, options = {}) {
+  const settings = { ...ASSERTION_DEFAULTS, ...options };
+  const onlyNew = typeof settings.since === 'string' && assertion.kind !== 'state';
+  const start = Date.now();
+  let content;
+  let outcome;
+  for (;;) {
+    content = stripAnsi(String(read() || '')).replace(/\s+$/, '');
+    const checked = onlyNew ? diffContent(settings.since, content, settings.command || '') : content;
+    outcome = evaluateAssertion(assertion, checked, settings);
+    if (outcome.passed || Date.now() - start >= settings.timeoutMs) break;
+    await pause(settings.pollMs);
+  }
+
+  const result = { ...outcome, description: describeAssertion(assertion), content, waited_ms: Date.now() - start };
+  if (!outcome.passed) result.diff = screenDiff(settings.baseline, content, settings.diffContext);
+  return result;
+}
+
+/**
+ * verifyScreen() checks → assertions:
+ * { text, regex, noText, state } (each a value or a list of values)
+ */
+function checksToAssertions(checks = {}) {
+  const kinds = { text: 'text', regex: 'regex', noText: 'no-text' };
+  const unknown = Object.keys(checks).find(key => !(key in kinds) && key !== 'state' && key !== 'timeoutMs');
+  if (unknown) throw new Error(`Unknown verifyScreen check "${unknown}" (expected text, regex, noText, state or timeoutMs)`);
+
+  const assertions = [];
+  for (const [key, kind] of Object.entries(kinds)) {
+    if (checks[key] === undefined) continue;
+    for (const pattern of [].concat(checks[key])) assertions.push({ kind, pattern });
+  }
+  if (checks.state !== undefined) assertions.push({ kind: 'state', state: checks.state });
+  return assertions;
+}
+
+module.exports = {
+  ASSERTION_DEFAULTS,
+  toRegExp,
+  patternAssertion,
+  findMatches,
+  describeAssertion,
+  evaluateAssertion,
+  screenDiff,
+  checkScreen,
+  checksToAssertions,
+};
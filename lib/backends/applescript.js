@@ -0,0 +1,369 @@
+/**
+ * Terminal.app backend
+ *
+ * Uses macOS AppleScript to:
+ * 1. Open a REAL visible Terminal.app window running Claude Code
+ * 2. Send keystrokes via System Events
+ * 3. Read the window's text contents
+ * 4. Take screenshots with screencapture
+ * 5. Resize the window to preset dimensions
+ *
+ * Each session's target remembers the id of the window its `do script`
+ * created, so keystrokes, reads, resizes and captures go to that window
+ * rather than whichever one is in front. Without a target the helpers
+ * fall back to Terminal's front window.
+ */
+
+const { execSync, execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const { parseKeys, MODIFIERS } = require('../keys');
+
+const name = 'applescript';
+
+// Terminal.app windows can be screen-captured and recorded with FFmpeg
+const screenCapture = true;
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/**
+ * Run AppleScript and return output
+ */
+function runAppleScript(script) {
+  try {
+    return execSync(`osascript -e '${script.replace(/'/g, "'\\''")}'`, {
+      encoding: 'utf-8',
+      timeout: 10000,
+    }).trim();
+  } catch (err) {
+    console.error(`[AppleScript Error] ${err.message}`);
+    return '';
+  }
+}
+
+/**
+ * Run multi-line AppleScript
+ */
+function runAppleScriptMulti(lines) {
+  const script = lines.join('\n');
+  const tmpFile = `/tmp/cc-applescript-${Date.now()}.scpt`;
+  fs.writeFileSync(tmpFile, script);
+  try {
+    return execSync(`osascript ${tmpFile}`, {
+      encoding: 'utf-8',
+      timeout: 15000,
+    }).trim();
+  } catch (err) {
+    console.error(`[AppleScript Error] ${err.message}`);
+    return '';
+  } finally {
+    try { fs.unlinkSync(tmpFile); } catch {}
+  }
+}
+
+/**
+ * AppleScript reference to the target's window (front window if untargeted)
+ */
+function windowRef(target) {
+  return target && target.windowId ? `window id ${target.windowId}` : 'front window';
+}
+
+/**
+ * AppleScript lines that raise the target's window so System Events
+ * keystrokes land in it. Prepended to every keystroke script so focusing
+ * and typing happen in one osascript run.
+ */
+function raiseWindowLines(target) {
+  if (!target || !target.windowId) return [];
+  return [
+    'tell application "Terminal"',
+    '  activate',
+    `  set index of ${windowRef(target)} to 1`,
+    'end tell',
+    'delay 0.1',
+  ];
+}
+
+// ─── Backend API ────────────────────────────────────────────
+
+/**
+ * Open a new Terminal.app window and run Claude Code in it.
+ *
+ * options:
+ *   command — command line to run (default 'claude code')
+ *
+ * Returns the terminal target handle for the session: { windowId }.
+ */
+function launch(projectPath, options = {}) {
+  const { command = 'claude code' } = options;
+
+  const result = runAppleScriptMulti([
+    'tell application "Terminal"',
+    '  activate',
+    `  set newTab to do script "cd '${projectPath}' && ${command}"`,
+    '  repeat with w in windows',
+    '    if tabs of w contains newTab then return id of w',
+    '  end repeat',
+    'end tell',
+  ]);
+
+  const windowId = Number(result);
+  if (!windowId) {
+    console.warn('[AppleScript] Could not determine the new window id — falling back to the front window');
+    return {};
+  }
+  return { windowId };
+}
+
+/**
+ * Bring the target's Terminal.app window to the front and focus it
+ */
+function focusTerminal(target) {
+  runAppleScriptMulti([
+    'tell application "Terminal"',
+    '  activate',
+    `  set targetWindow to ${windowRef(target)}`,
+    '  set index of targetWindow to 1',
+    'end tell',
+  ]);
+  // Small pause to let the window actually come forward
+  execSync('sleep 1');
+}
+
+/**
+ * Get the target's Terminal.app window bounds {x, y, w, h}
+ */
+function getTerminalWindowBounds(target) {
+  const result = runAppleScriptMulti([
+    'tell application "Terminal"',
+    `  set b to bounds of ${windowRef(target)}`,
+    '  return (item 1 of b as text) & "," & (item 2 of b as text) & "," & (item 3 of b as text) & "," & (item 4 of b as text)',
+    'end tell',
+  ]);
+  if (!result) return null;
+  const [x1, y1, x2, y2] = result.split(',').map(Number);
+  return { x: x1, y: y1, w: x2 - x1, h: y2 - y1 };
+}
+
+/**
+ * Resize the target's Terminal.app window to specified pixel dimensions.
+ * Keeps the window's current top-left position.
+ */
+function resizeTerminal(width, height, target) {
+  const bounds = getTerminalWindowBounds(target);
+  const x = bounds ? bounds.x : 0;
+  const y = bounds ? bounds.y : 25; // leave room for menu bar
+  const x2 = x + width;
+  const y2 = y + height;
+
+  runAppleScriptMulti([
+    'tell application "Terminal"',
+    `  set bounds of ${windowRef(target)} to {${x}, ${y}, ${x2}, ${y2}}`,
+    'end tell',
+  ]);
+
+  // Give the window time to resize
+  execSync('sleep 0.5');
+  console.log(`[resize] Terminal resized to ${width}x${height}`);
+}
+
+/**
+ * Take a screenshot of the target's Terminal.app window only.
+ * Falls back to full screen if window bounds can't be detected.
+ */
+function takeScreenshot(outputPath, target) {
+  const filePath = outputPath || `/tmp/cc-screenshot-${Date.now()}.png`;
+  try {
+    // First, focus Terminal so it's on top
+    focusTerminal(target);
+
+    // Terminal's window id is the CGWindowID, so capture that window directly;
+    // otherwise try to get window bounds for a targeted capture
+    const bounds = target && target.windowId ? null : getTerminalWindowBounds(target);
+    if (target && target.windowId) {
+      execSync(`screencapture -x -o -l ${target.windowId} "${filePath}"`, { timeout: 5000 });
+    } else if (bounds) {
+      // screencapture -R x,y,w,h captures a specific region
+      execSync(`screencapture -x -R "${bounds.x},${bounds.y},${bounds.w},${bounds.h}" "${filePath}"`, { timeout: 5000 });
+    } else {
+      // Fallback: capture the whole screen
+      execSync(`screencapture -x "${filePath}"`, { timeout: 5000 });
+    }
+
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  } catch (err) {
+    console.error(`[Screenshot Error] ${err.message}`);
+  }
+  return null;
+}
+
+/**
+ * AppleScript string literal (backslashes and double quotes escaped)
+ */
+function appleScriptString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Type text via System Events — into the target's window if given,
+ * otherwise into the frontmost application. Short printable ASCII is sent
+ * as keystrokes; anything longer, non-ASCII or multi-line is pasted.
+ */
+function typeText(text, target) {
+  if (text.length <= 50 && /^[\x20-\x7e]*$/.test(text)) {
+    runAppleScriptMulti([
+      ...raiseWindowLines(target),
+      'tell application "System Events"',
+      `  keystroke ${appleScriptString(text)}`,
+      'end tell',
+    ]);
+    return;
+  }
+  pasteText(text, target);
+}
+
+/**
+ * Paste text with Cmd-V, then put back what was on the clipboard before.
+ * The text goes to pbcopy on stdin, so nothing is shell-quoted; only the
+ * plain-text contents of the clipboard survive the round trip.
+ */
+function pasteText(text, target) {
+  const env = { ...process.env, LANG: 'en_US.UTF-8' };
+  const saved = spawnSync('pbpaste', { env, timeout: 5000 });
+  execFileSync('pbcopy', { input: text, env, timeout: 5000 });
+  try {
+    runAppleScriptMulti([
+      ...raiseWindowLines(target),
+      'tell application "System Events"',
+      '  keystroke "v" using command down',
+      'end tell',
+      // Let Terminal read the clipboard before it is restored
+      'delay 0.3',
+    ]);
+  } finally {
+    if (saved.status === 0) execFileSync('pbcopy', { input: saved.stdout, env, timeout: 5000 });
+  }
+}
+
+/**
+ * Press Enter/Return key
+ */
+function pressEnter(target) {
+  runAppleScriptMulti([
+    ...raiseWindowLines(target),
+    'tell application "System Events"',
+    '  key code 36',
+    'end tell',
+  ]);
+}
+
+// System Events key codes for the named keys of lib/keys.js
+const KEY_CODES = {
+  enter: 36,
+  escape: 53,
+  tab: 48,
+  space: 49,
+  backspace: 51,
+  forwarddelete: 117,
+  up: 126,
+  down: 125,
+  left: 123,
+  right: 124,
+  home: 115,
+  end: 119,
+  pageup: 116,
+  pagedown: 121,
+  f1: 122, f2: 120, f3: 99, f4: 118, f5: 96, f6: 97,
+  f7: 98, f8: 100, f9: 101, f10: 109, f11: 103, f12: 111,
+};
+
+const MODIFIER_NAMES = { ctrl: 'control down', shift: 'shift down', alt: 'option down', cmd: 'command down' };
+
+/**
+ * The System Events line that presses one chord of parseKeys()
+ */
+function chordLine(chord) {
+  const modifiers = MODIFIERS.filter(m => chord[m]).map(m => MODIFIER_NAMES[m]);
+  const using = modifiers.length ? ` using {${modifiers.join(', ')}}` : '';
+  const press = KEY_CODES[chord.key] !== undefined
+    ? `key code ${KEY_CODES[chord.key]}`
+    : `keystroke ${appleScriptString(chord.key)}`;
+  return `  ${press}${using}`;
+}
+
+/**
+ * Press a key spec: "escape", "shift+tab", "ctrl+c", "esc esc", "cmd+k"
+ * (see lib/keys.js). Throws on unknown keys.
+ */
+function pressKey(keys, target) {
+  const lines = parseKeys(keys).map(chordLine);
+  runAppleScriptMulti([
+    ...raiseWindowLines(target),
+    'tell application "System Events"',
+    ...lines.flatMap((line, i) => (i ? ['  delay 0.05', line] : [line])),
+    'end tell',
+  ]);
+}
+
+/**
+ * Read the target's Terminal.app window text content via AppleScript.
+ */
+function readTerminalContent(target) {
+  return runAppleScriptMulti([
+    'tell application "Terminal"',
+    `  set c to contents of ${windowRef(target)}`,
+    '  return c',
+    'end tell',
+  ]);
+}
+
+/**
+ * The window's size in characters: { cols, rows }
+ */
+function getTerminalSize(target) {
+  const result = runAppleScriptMulti([
+    'tell application "Terminal"',
+    `  set t to selected tab of ${windowRef(target)}`,
+    '  return (number of columns of t as string) & " " & (number of rows of t as string)',
+    'end tell',
+  ]);
+  const [cols, rows] = String(result || '').trim().split(' ').map(Number);
+  return cols && rows ? { cols, rows } : null;
+}
+
+/**
+ * Whether the target's Terminal.app window is still open
+ */
+function terminalExists(target) {
+  if (!target || !target.windowId) return false;
+  return runAppleScript(`tell application "Terminal" to exists window id ${target.windowId}`) === 'true';
+}
+
+/**
+ * Release the terminal after Claude Code has exited.
+ * The Terminal.app window is left open so the user can inspect it.
+ */
+function closeTerminal() {}
+
+module.exports = {
+  name,
+  screenCapture,
+  launch,
+  focusTerminal,
+  getTerminalWindowBounds,
+  resizeTerminal,
+  takeScreenshot,
+  typeText,
+  pasteText,
+  pressEnter,
+  pressKey,
+  readTerminalContent,
+  getTerminalSize,
+  terminalExists,
+  closeTerminal,
+
+  // Raw AppleScript helpers
+  runAppleScript,
+  runAppleScriptMulti,
+};
@@ -0,0 +1,49 @@
+/**
+ * Terminal backend registry
+ *
+ * Every backend exposes the same functions, each taking the session's
+ * terminal target as its last argument:
+ *
+ *   launch(projectPath, options)            → target
+ *   focusTerminal(target)
+ *   getTerminalWindowBounds(target)         → {x, y, w, h} | null
+ *   resizeTerminal(width, height, target)
+ *   takeScreenshot(outputPath, target)      → path | null
+ *   typeText(text, target)
+ *   pressEnter(target)
+ *   pressKey(keys, target)                  (key spec, see lib/keys.js)
+ *   readTerminalContent(target)             → string
+ *   getTerminalSize(target)                 → {cols, rows} | null
+ *   terminalExists(target)                  → boolean
+ *   closeTerminal(target)
+ *
+ * plus `name` and `screenCapture` (whether FFmpeg recording can work).
+ */
+
+const applescript = require('./applescript');
+const tmux = require('./tmux');
+
+const BACKENDS = {
+  applescript,
+  tmux,
+};
+
+// Terminal.app on macOS, tmux everywhere else
+const DEFAULT_BACKEND = process.platform === 'darwin' ? 'applescript' : 'tmux';
+
+/**
+ * Look up a backend by name (defaults to the platform's backend)
+ */
+function getBackend(backendName = DEFAULT_BACKEND) {
+  const backend = BACKENDS[backendName];
+  if (!backend) {
+    throw new Error(`Unknown backend: ${backendName}. Valid: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return backend;
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_BACKEND,
+  getBackend,
+};
@@ -0,0 +1,285 @@
+/**
+ * tmux backend
+ *
+ * Runs Claude Code inside a detached tmux session so it can be driven on
+ * Linux CI boxes and dev containers without a display:
+ * 1. Start `claude` in its own tmux session (private server socket)
+ * 2. Type input with `send-keys -l` (literal, no shell quoting)
+ * 3. Read the pane contents with `capture-pane`
+ * 4. Send special keys by their tmux key names
+ *
+ * There is no window to screenshot or screen-record, so takeScreenshot()
+ * returns null and FFmpeg recording is unavailable.
+ */
+
+const { execFileSync } = require('child_process');
+const { parseKeys, formatChord } = require('../keys');
+
+const name = 'tmux';
+
+// Detached panes have no pixels to capture
+const screenCapture = false;
+
+// Private server so sessions never mix with the user's own tmux
+const TMUX_SOCKET = process.env.CC_TMUX_SOCKET || 'cc-control';
+
+// Approximate character cell size used to map pixel presets to columns/rows
+const CELL_SIZE = { width: 8, height: 16 };
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/**
+ * Run a tmux command against the private server and return its output
+ */
+function runTmux(args) {
+  try {
+    return execFileSync('tmux', ['-L', TMUX_SOCKET, ...args], {
+      encoding: 'utf-8',
+      timeout: 10000,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    console.error(`[tmux Error] ${err.message.trim()}`);
+    return '';
+  }
+}
+
+/**
+ * Check whether a tmux session exists on the private server
+ */
+function hasSession(tmuxSession) {
+  try {
+    execFileSync('tmux', ['-L', TMUX_SOCKET, 'has-session', '-t', tmuxSession], {
+      timeout: 5000,
+      stdio: 'ignore',
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function requireTarget(target) {
+  if (!target || !target.tmuxSession) {
+    throw new Error('The tmux backend needs a session target');
+  }
+  return target.tmuxSession;
+}
+
+// ─── Backend API ────────────────────────────────────────────
+
+/**
+ * Start Claude Code in a new detached tmux session.
+ *
+ * options:
+ *   command     — command line to run (default 'claude')
+ *   tmuxSession — tmux session name (default cc-control-<pid>-<timestamp>)
+ *   cols / rows — pane size in characters (default 160x48)
+ *
+ * Returns the terminal target handle for the session.
+ */
+function launch(projectPath, options = {}) {
+  const {
+    command = 'claude',
+    tmuxSession = `cc-control-${process.pid}-${Date.now()}`,
+    cols = 160,
+    rows = 48,
+  } = options;
+
+  try {
+    execFileSync('tmux', [
+      '-L', TMUX_SOCKET,
+      // Keep the pane around after Claude Code exits so its last screen can
+      // be read. Set globally on our private server before the session
+      // exists, so even an instant exit leaves the pane behind.
+      'start-server', ';',
+      'set-option', '-g', 'remain-on-exit', 'on', ';',
+      'new-session', '-d',
+      '-s', tmuxSession,
+      '-x', String(cols),
+      '-y', String(rows),
+      '-c', projectPath,
+      command,
+    ], { timeout: 10000, stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (err) {
+    const detail = err.code === 'ENOENT' ? 'tmux is not installed' : err.message.trim();
+    throw new Error(`Could not start tmux session: ${detail}`);
+  }
+
+  // Claude Code redraws by clearing the screen; don't let tmux push the old
+  // screen (answered dialogs and all) into the scrollback we read back.
+  // Older tmux versions lack the option, which is harmless.
+  try {
+    execFileSync('tmux', ['-L', TMUX_SOCKET, 'set-option', '-p', '-t', tmuxSession, 'scroll-on-clear', 'off'], {
+      timeout: 5000,
+      stdio: 'ignore',
+    });
+  } catch {}
+
+  return { tmuxSession };
+}
+
+/**
+ * Detached sessions have no focus — nothing to do.
+ */
+function focusTerminal() {}
+
+/**
+ * There is no on-screen window to measure.
+ */
+function getTerminalWindowBounds() {
+  return null;
+}
+
+/**
+ * Resize the pane to roughly match the given pixel dimensions.
+ */
+function resizeTerminal(width, height, target) {
+  const tmuxSession = requireTarget(target);
+  const cols = Math.round(width / CELL_SIZE.width);
+  const rows = Math.round(height / CELL_SIZE.height);
+  runTmux(['resize-window', '-t', tmuxSession, '-x', String(cols), '-y', String(rows)]);
+  console.log(`[resize] tmux pane resized to ${cols}x${rows}`);
+}
+
+/**
+ * Screenshots need a visible window; the tmux backend has none.
+ */
+function takeScreenshot() {
+  return null;
+}
+
+/**
+ * Type text into the pane literally
+ */
+function typeText(text, target) {
+  const tmuxSession = requireTarget(target);
+  runTmux(['send-keys', '-t', tmuxSession, '-l', '--', text]);
+}
+
+/**
+ * Press Enter/Return key
+ */
+function pressEnter(target) {
+  const tmuxSession = requireTarget(target);
+  runTmux(['send-keys', '-t', tmuxSession, 'Enter']);
+}
+
+// tmux key names for the named keys of lib/keys.js
+const KEY_NAMES = {
+  enter: 'Enter',
+  escape: 'Escape',
+  tab: 'Tab',
+  space: 'Space',
+  backspace: 'BSpace',
+  forwarddelete: 'DC',
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PPage',
+  pagedown: 'NPage',
+};
+for (let n = 1; n <= 12; n++) KEY_NAMES[`f${n}`] = `F${n}`;
+
+/**
+ * send-keys arguments for one chord of parseKeys()
+ */
+function chordArgs(chord) {
+  if (chord.cmd) {
+    throw new Error(`${formatChord(chord)} is not supported by the tmux backend (terminals have no Cmd key)`);
+  }
+  const named = KEY_NAMES[chord.key];
+  // Plain characters go through literally, so "y", ";" and "~" are never key names
+  if (!named && !chord.ctrl && !chord.alt) {
+    return ['-l', '--', chord.shift ? chord.key.toUpperCase() : chord.key];
+  }
+  if (chord.key === 'tab' && chord.shift && !chord.ctrl && !chord.alt) return ['BTab'];
+
+  const prefix = `${chord.ctrl ? 'C-' : ''}${chord.alt ? 'M-' : ''}${chord.shift ? 'S-' : ''}`;
+  return [`${prefix}${named || chord.key}`];
+}
+
+/**
+ * Press a key spec: "escape", "shift+tab", "ctrl+c", "esc esc"
+ * (see lib/keys.js). Throws on unknown keys.
+ */
+function pressKey(keys, target) {
+  const tmuxSession = requireTarget(target);
+  for (const args of parseKeys(keys).map(chordArgs)) {
+    runTmux(['send-keys', '-t', tmuxSession, ...args]);
+  }
+}
+
+/**
+ * Read the pane's text content, including scrollback. Once the program has
+ * exited, tmux's "Pane is dead (status N, ...)" line is added at the end — a
+ * capture that includes the scrollback leaves it out.
+ */
+function readTerminalContent(target) {
+  const tmuxSession = requireTarget(target);
+  const output = runTmux([
+    'capture-pane', '-p', '-J', '-S', '-', '-t', tmuxSession,
+    ';', 'display-message', '-p', '-t', tmuxSession, '#{pane_dead}',
+  ]).replace(/\s+$/, '');
+
+  const split = output.lastIndexOf('\n');
+  const content = output.slice(0, Math.max(split, 0)).replace(/\s+$/, '');
+  if (output.slice(split + 1) !== '1' || /Pane is dead/.test(content.slice(-200))) return content;
+
+  // tmux draws the line (with the exit status) a moment after the pane dies
+  const visible = runTmux(['capture-pane', '-p', '-t', tmuxSession]);
+  const deadLine = visible.split('\n').reverse().find(line => /^Pane is dead/.test(line));
+  return `${content}\n\n${deadLine ? deadLine.trim() : 'Pane is dead'}`;
+}
+
+/**
+ * Whether the target's tmux session still exists
+ */
+function terminalExists(target) {
+  return !!(target && target.tmuxSession) && hasSession(target.tmuxSession);
+}
+
+/**
+ * The pane's size in characters: { cols, rows }
+ */
+function getTerminalSize(target) {
+  const tmuxSession = requireTarget(target);
+  const [cols, rows] = runTmux(['display-message', '-p', '-t', tmuxSession, '#{pane_width} #{pane_height}'])
+    .trim().split(' ').map(Number);
+  return { cols, rows };
+}
+
+/**
+ * Kill the tmux session once Claude Code has exited.
+ */
+function closeTerminal(target) {
+  const tmuxSession = requireTarget(target);
+  if (hasSession(tmuxSession)) {
+    runTmux(['kill-session', '-t', tmuxSession]);
+  }
+}
+
+module.exports = {
+  name,
+  screenCapture,
+  launch,
+  focusTerminal,
+  getTerminalWindowBounds,
+  resizeTerminal,
+  takeScreenshot,
+  typeText,
+  pressEnter,
+  pressKey,
+  readTerminalContent,
+  getTerminalSize,
+  terminalExists,
+  closeTerminal,
+
+  // Raw tmux helpers
+  runTmux,
+  hasSession,
+  TMUX_SOCKET,
+};
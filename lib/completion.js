@@ -0,0 +1,117 @@
+/**
+ * Completion detection for send()
+ *
+ * Polls a session's terminal text and decides when Claude Code has finished
+ * working on a command. Claude Code animates a spinner ("✻ Thinking… (esc to
+ * interrupt)") the whole time it is busy, so a screen that has stopped
+ * changing and shows the input prompt without a busy marker means it is idle
+ * again. A static permission dialog is reported separately so callers can
+ * answer it.
+ */
+
+const { parsePermissionPrompt } = require('./policy');
+
+/**
+ * Default idle heuristics. Any of these can be overridden per call.
+ *
+ *   pollMs             — how often to read the terminal
+ *   quietMs            — how long the screen must stay unchanged
+ *   recentLines        — how many trailing lines to inspect
+ *   idlePatterns       — Claude Code's empty input prompt (an echoed command does not match)
+ *   busyPatterns       — spinner / "esc to interrupt" while working
+ *   permissionPatterns — other prompts waiting for an answer ([Y/n]); numbered
+ *                        dialogs are recognized by parsePermissionPrompt
+ */
+const IDLE_HEURISTICS = {
+  pollMs: 500,
+  quietMs: 2000,
+  recentLines: 15,
+  idlePatterns: [
+    /^\s*│?\s*[>❯]\s*│?\s*$/m,
+    /^\s*│?\s*[>❯] Try "/m,
+    /\? for shortcuts/i,
+  ],
+  busyPatterns: [
+    /esc to interrupt/i,
+    /^\s*[✻✽✶✳✢·*]\s+\S+…/m,
+  ],
+  permissionPatterns: [
+    /\[Y\/n\]/i,
+    /\[y\/N\]/i,
+  ],
+};
+
+/**
+ * Classify the tail of the terminal text as 'permission', 'busy', 'idle'
+ * or 'unknown'
+ */
+function classifyRecent(content, heuristics = IDLE_HEURISTICS) {
+  const lines = content.split('\n').slice(-heuristics.recentLines);
+  const recent = lines.join('\n');
+  const lastIndex = test => lines.reduce((found, line, i) => (test(line) ? i : found), -1);
+  const promptAt = lastIndex(line => heuristics.idlePatterns.some(p => p.test(line)));
+
+  // Only a numbered dialog below any input prompt counts: "Do you want to
+  // add tests?" in a reply above the prompt is a question, not a dialog
+  const dialog = parsePermissionPrompt(recent);
+  if (dialog && dialog.options.length && lastIndex(line => /Do you want to/i.test(line)) > promptAt) {
+    return 'permission';
+  }
+  if (heuristics.busyPatterns.some(p => p.test(recent))) return 'busy';
+  if (promptAt >= 0) return 'idle';
+  if (heuristics.permissionPatterns.some(p => p.test(recent))) return 'permission';
+  return 'unknown';
+}
+
+/**
+ * Poll readContent() until Claude Code is idle, stops at a permission
+ * prompt, or the hard timeout expires.
+ *
+ * options:
+ *   timeoutMs        — hard timeout (default 300000)
+ *   stopOnPermission — resolve at permission prompts (default true)
+ *   ...any IDLE_HEURISTICS key
+ *
+ * Resolves { status: 'completed' | 'permission' | 'timeout', content, elapsed_ms }.
+ */
+async function waitForCompletion(readContent, options = {}) {
+  const { timeoutMs = 300000, stopOnPermission = true, ...overrides } = options;
+  const heuristics = { ...IDLE_HEURISTICS, ...overrides };
+  const startTime = Date.now();
+
+  let lastContent = null;
+  let lastChange = startTime;
+
+  for (;;) {
+    const content = readContent() || '';
+    const now = Date.now();
+
+    if (content !== lastContent) {
+      lastContent = content;
+      lastChange = now;
+    }
+
+    if (now - lastChange >= heuristics.quietMs) {
+      const state = classifyRecent(content, heuristics);
+      if (state === 'idle' || (state === 'permission' && stopOnPermission)) {
+        return {
+          status: state === 'idle' ? 'completed' : 'permission',
+          content,
+          elapsed_ms: now - startTime,
+        };
+      }
+    }
+
+    if (now - startTime >= timeoutMs) {
+      return { status: 'timeout', content, elapsed_ms: now - startTime };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, heuristics.pollMs));
+  }
+}
+
+module.exports = {
+  IDLE_HEURISTICS,
+  classifyRecent,
+  waitForCompletion,
+};
@@ -0,0 +1,217 @@
+/**
+ * Response extraction for send()
+ *
+ * Turns the terminal text captured before and after a command into what
+ * Claude Code actually answered:
+ *   - the new lines since the command was typed (ANSI codes, the echoed
+ *     prompt and TUI chrome removed)
+ *   - the assistant's reply text
+ *   - the tool calls it ran ("⏺ Bash(npm test)") with their output
+ *   - the files it reported writing or editing
+ *
+ * Claude Code transcript lines look like:
+ *
+ *   > add a hello script
+ *
+ *   ⏺ Write(hello.py)
+ *     ⎿  Wrote 2 lines to hello.py
+ *
+ *   ⏺ Created hello.py.
+ */
+
+// CSI / OSC escape sequences and stray control characters
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]|[\x00-\x08\x0b-\x1f\x7f]/g;
+
+// Spinner lines and rules, dropped wherever they appear in the new output
+const CHROME_PATTERNS = [
+  /^\s*[─━]{3,}\s*$/,
+  /esc to interrupt/i,
+  /^\s*[✻✽✶✳✢·*]\s+\S+…/,
+];
+
+// The input box and footer. Only dropped at the bottom of the screen, so a
+// reply that draws a box or mentions "auto-accept edits" keeps those lines.
+const FOOTER_PATTERNS = [
+  /^\s*[╭╰][─]+[╮╯]\s*$/,
+  /^\s*│\s*[>❯]?.*│\s*$/,
+  /^\s*[>❯]\s*$/,
+  /^\s*[>❯] Try "/,
+  /\? for shortcuts/i,
+  /^\s*⏵⏵ /,
+  /auto-accept edits/i,
+  /Context left until auto-compact/i,
+];
+
+// The input prompt line ("│ > │", "> text"), not a numbered dialog option
+const INPUT_LINE_PATTERN = /^\s*│?\s*[>❯](?!\s*\d+\.)(?:\s|$)/;
+
+// Bullet that starts every assistant message and tool call
+const BULLET_PATTERN = /^\s*[⏺●]\s?/;
+
+// "⏺ Bash(npm test)" / "● Update(src/app.js)"
+const TOOL_CALL_PATTERN = /^\s*[⏺●]\s*([A-Z][A-Za-z]*)\((.*)\)\s*$/;
+
+// Tool result marker
+const TOOL_OUTPUT_PATTERN = /^\s*⎿\s*/;
+
+// Tools whose argument is the file they modify
+const FILE_TOOLS = ['Write', 'Edit', 'Update', 'MultiEdit', 'Create', 'NotebookEdit'];
+
+// Result lines that name a modified file
+const FILE_RESULT_PATTERNS = [
+  /^Wrote \d+ lines? to (\S+)/,
+  /^Updated (\S+) with/,
+  /^Created (\S+)/,
+];
+
+/**
+ * Remove ANSI escape sequences and control characters (keeps \n and \t)
+ */
+function stripAnsi(text) {
+  return (text || '').replace(ANSI_PATTERN, '');
+}
+
+function isChrome(line) {
+  return CHROME_PATTERNS.some(p => p.test(line)) || FOOTER_PATTERNS.some(p => p.test(line));
+}
+
+/**
+ * Drop the input box, footer and blank lines from the end of `lines`. With
+ * an input prompt on screen, nothing above its box goes; without one (a
+ * dialog is open, say), every chrome line at the bottom does.
+ */
+function trimFooter(lines) {
+  let end = lines.length;
+  const drop = test => {
+    while (end > 0 && test(lines[end - 1])) end--;
+  };
+  drop(line => !line.trim() || (isChrome(line) && !INPUT_LINE_PATTERN.test(line)));
+  if (end > 0 && INPUT_LINE_PATTERN.test(lines[end - 1])) {
+    end--;
+    if (end > 0 && /^\s*(?:╭─|[─━]{3,})/.test(lines[end - 1])) end--;
+    drop(line => !line.trim());
+  } else {
+    drop(line => !line.trim() || isChrome(line));
+  }
+  return lines.slice(0, end);
+}
+
+/**
+ * Return the lines of `after` that were not already on screen in `before`.
+ * Uses the common leading lines of both snapshots; when the screen has
+ * scrolled so nothing lines up, everything after the last echo of the
+ * command is taken instead.
+ */
+function diffContent(before, after, command) {
+  const beforeLines = stripAnsi(before).split('\n');
+  const afterLines = stripAnsi(after).split('\n');
+
+  // Chrome at the bottom of the old screen is redrawn below the new output
+  beforeLines.splice(trimFooter(beforeLines).length);
+
+  let common = 0;
+  while (common < beforeLines.length && common < afterLines.length && beforeLines[common] === afterLines[common]) {
+    common++;
+  }
+
+  let newLines = afterLines.slice(common);
+
+  // Drop everything up to and including the echoed prompt line
+  const firstCommandLine = (command || '').split('\n')[0].trim();
+  if (firstCommandLine) {
+    let echoIndex = -1;
+    newLines.forEach((line, i) => {
+      if (/^\s*[>❯]\s/.test(line) && line.includes(firstCommandLine.slice(0, 40))) echoIndex = i;
+    });
+    if (echoIndex !== -1) {
+      // Multi-line prompts echo their continuation lines indented below the first
+      let end = echoIndex + 1;
+      while (end < newLines.length && newLines[end].trim() && !BULLET_PATTERN.test(newLines[end]) && /^\s{2,}/.test(newLines[end])) {
+        end++;
+      }
+      newLines = newLines.slice(end);
+    }
+  }
+
+  return trimFooter(newLines)
+    .filter(line => !CHROME_PATTERNS.some(p => p.test(line)))
+    .join('\n')
+    .replace(/^\n+|\s+$/g, '');
+}
+
+/**
+ * Split cleaned transcript text into reply text, tool calls and touched files.
+ */
+function parseTranscript(text) {
+  const lines = (text || '').split('\n');
+  const replyParts = [];
+  const toolCalls = [];
+  const files = [];
+  let current = null; // { kind: 'text' | 'tool', lines|call }
+
+  const addFile = (file) => {
+    if (file && !files.includes(file)) files.push(file);
+  };
+
+  for (const line of lines) {
+    const toolMatch = line.match(TOOL_CALL_PATTERN);
+    if (toolMatch) {
+      const call = { tool: toolMatch[1], args: toolMatch[2], output: '' };
+      toolCalls.push(call);
+      if (FILE_TOOLS.includes(call.tool)) addFile(call.args.trim());
+      current = { kind: 'tool', call };
+      continue;
+    }
+
+    if (BULLET_PATTERN.test(line)) {
+      current = { kind: 'text', lines: [line.replace(BULLET_PATTERN, '')] };
+      replyParts.push(current.lines);
+      continue;
+    }
+
+    if (current && current.kind === 'tool') {
+      const outputLine = line.replace(TOOL_OUTPUT_PATTERN, '').replace(/^\s{2,5}/, '');
+      if (TOOL_OUTPUT_PATTERN.test(line)) {
+        for (const pattern of FILE_RESULT_PATTERNS) {
+          const m = outputLine.match(pattern);
+          if (m) addFile(m[1]);
+        }
+      }
+      current.call.output += (current.call.output ? '\n' : '') + outputLine;
+      continue;
+    }
+
+    if (current && current.kind === 'text') {
+      current.lines.push(line.replace(/^\s{2}/, ''));
+    } else if (line.trim()) {
+      // Text before any bullet (plain output, e.g. from a slash command)
+      current = { kind: 'text', lines: [line] };
+      replyParts.push(current.lines);
+    }
+  }
+
+  for (const call of toolCalls) call.output = call.output.replace(/\s+$/, '');
+
+  return {
+    reply: replyParts.map(part => part.join('\n').trim()).filter(Boolean).join('\n\n'),
+    toolCalls,
+    files,
+  };
+}
+
+/**
+ * Extract Claude Code's response to `command` from before/after snapshots.
+ *
+ * Returns { output, reply, toolCalls: [{ tool, args, output }], files }.
+ */
+function extractResponse(before, after, command) {
+  const output = diffContent(before, after, command);
+  return { output, ...parseTranscript(output) };
+}
+
+module.exports = {
+  stripAnsi,
+  diffContent,
+  parseTranscript,
+  extractResponse,
+};
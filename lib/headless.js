@@ -0,0 +1,235 @@
+/**
+ * Headless sessions
+ *
+ * Runs Claude Code in print mode with machine-readable output instead of
+ * driving a terminal:
+ *
+ *   claude -p "<prompt>" --output-format stream-json --verbose [--resume <id>]
+ *
+ * Every send() spawns one print-mode run; the Claude Code session id from
+ * the first run is passed to --resume on the next so the conversation
+ * continues. The JSON event stream is turned into the same kind of
+ * sessionLog entries a terminal session records.
+ */
+
+const { spawn } = require('child_process');
+
+// Tools whose input names the file they modify
+const FILE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+/**
+ * Build the print-mode argument list for one prompt
+ *
+ * options:
+ *   claudeSessionId — Claude Code session to resume
+ *   model           — --model
+ *   permissionMode  — --permission-mode (e.g. 'acceptEdits')
+ *   allowedTools    — --allowedTools list
+ *   extraArgs       — any further arguments
+ */
+function buildArgs(prompt, options = {}) {
+  const args = ['-p', prompt, '--output-format', 'stream-json', '--verbose'];
+  if (options.claudeSessionId) args.push('--resume', options.claudeSessionId);
+  if (options.model) args.push('--model', options.model);
+  if (options.permissionMode) args.push('--permission-mode', options.permissionMode);
+  if (options.allowedTools && options.allowedTools.length) {
+    args.push('--allowedTools', options.allowedTools.join(','));
+  }
+  if (options.extraArgs) args.push(...options.extraArgs);
+  return args;
+}
+
+/**
+ * Short human-readable argument for a tool call, matching the terminal's
+ * "Bash(npm test)" header
+ */
+function summarizeToolInput(input = {}) {
+  return input.command || input.file_path || input.notebook_path || input.pattern ||
+    input.url || input.path || JSON.stringify(input);
+}
+
+/**
+ * Flatten tool_result content (string or content blocks) to text
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => (block.type === 'text' ? block.text : '')).join('');
+  }
+  return '';
+}
+
+/**
+ * Turn one stream-json event into sessionLog entries
+ */
+function eventToEntries(event, timestamp = Date.now()) {
+  const content = (event.message && event.message.content) || [];
+
+  if (event.type === 'assistant') {
+    return content.flatMap((block) => {
+      if (block.type === 'text') {
+        return [{ type: 'assistant', timestamp, text: block.text }];
+      }
+      if (block.type === 'tool_use') {
+        return [{ type: 'tool_use', timestamp, id: block.id, tool: block.name, input: block.input }];
+      }
+      return [];
+    });
+  }
+
+  if (event.type === 'user') {
+    return content
+      .filter(block => block.type === 'tool_result')
+      .map(block => ({
+        type: 'tool_result',
+        timestamp,
+        toolUseId: block.tool_use_id,
+        output: toolResultText(block.content),
+        isError: !!block.is_error,
+      }));
+  }
+
+  if (event.type === 'result') {
+    return [{
+      type: 'cost',
+      timestamp,
+      total_cost_usd: event.total_cost_usd ?? event.cost_usd ?? 0,
+      duration_ms: event.duration_ms,
+      num_turns: event.num_turns,
+      usage: event.usage || null,
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Summarise sessionLog entries from one run into send()'s result fields
+ */
+function summarizeEntries(entries) {
+  const toolCalls = [];
+  const files = [];
+  const replyParts = [];
+  const byId = new Map();
+
+  for (const entry of entries) {
+    if (entry.type === 'assistant') {
+      replyParts.push(entry.text);
+    } else if (entry.type === 'tool_use') {
+      const call = { tool: entry.tool, args: summarizeToolInput(entry.input), input: entry.input, output: '' };
+      toolCalls.push(call);
+      byId.set(entry.id, call);
+      const file = entry.input && (entry.input.file_path || entry.input.notebook_path);
+      if (FILE_TOOLS.includes(entry.tool) && file && !files.includes(file)) files.push(file);
+    } else if (entry.type === 'tool_result' && byId.has(entry.toolUseId)) {
+      byId.get(entry.toolUseId).output = entry.output;
+    }
+  }
+
+  return { reply: replyParts.join('\n\n').trim(), toolCalls, files };
+}
+
+/**
+ * Run one prompt in print mode and collect its event stream.
+ *
+ * options:
+ *   command   — Claude Code executable (default 'claude')
+ *   timeoutMs — hard timeout (default 300000)
+ *   onSpawn   — callback(childProcess) once the run has started
+ *   onEntry   — callback(entry) for each sessionLog entry as it arrives
+ *   ...buildArgs options
+ *
+ * Resolves { status: 'completed' | 'permission' | 'error' | 'timeout',
+ *            entries, reply, toolCalls, files, claudeSessionId, result, error }.
+ */
+function runPrompt(projectPath, prompt, options = {}) {
+  const {
+    command = 'claude',
+    timeoutMs = 300000,
+    onSpawn = null,
+    onEntry = null,
+  } = options;
+
+  return new Promise((resolve) => {
+    const entries = [];
+    let claudeSessionId = options.claudeSessionId || null;
+    let resultEvent = null;
+    let stdoutBuffer = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const proc = spawn(command, buildArgs(prompt, options), {
+      cwd: projectPath,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: process.env,
+    });
+    if (typeof onSpawn === 'function') onSpawn(proc);
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        return; // not part of the JSON stream
+      }
+      if (event.session_id) claudeSessionId = event.session_id;
+      if (event.type === 'result') resultEvent = event;
+      for (const entry of eventToEntries(event)) {
+        entries.push(entry);
+        if (typeof onEntry === 'function') onEntry(entry);
+      }
+    };
+
+    proc.stdout.on('data', (data) => {
+      stdoutBuffer += data.toString();
+      const lines = stdoutBuffer.split('\n');
+      stdoutBuffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { proc.kill('SIGTERM'); } catch {}
+    }, timeoutMs);
+
+    let finished = false;
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      handleLine(stdoutBuffer);
+      stdoutBuffer = '';
+
+      let status = 'completed';
+      if (timedOut) status = 'timeout';
+      else if (error || !resultEvent || resultEvent.is_error) status = 'error';
+      else if (resultEvent.permission_denials && resultEvent.permission_denials.length) status = 'permission';
+
+      resolve({
+        status,
+        entries,
+        ...summarizeEntries(entries),
+        claudeSessionId,
+        result: resultEvent,
+        error: status === 'error'
+          ? (error && error.message) || (resultEvent && resultEvent.result) || stderr.trim() || 'Claude Code exited without a result'
+          : null,
+      });
+    };
+
+    proc.on('error', finish);
+    proc.on('close', () => finish(null));
+  });
+}
+
+module.exports = {
+  buildArgs,
+  eventToEntries,
+  summarizeEntries,
+  runPrompt,
+};
@@ -0,0 +1,102 @@
+/**
+ * Prompt input for send()
+ *
+ * Gets a prompt into Claude Code's input box intact before Enter submits it:
+ *
+ *   - Newlines use Claude Code's multi-line convention — a backslash at the
+ *     end of a line plus Enter starts a new line instead of submitting
+ *   - Long lines are typed in chunks with a short pause in between, so
+ *     neither the terminal nor the backend's command line overflows
+ *   - Unicode is passed through untouched (backends type literally, or paste
+ *     with the clipboard restored afterwards; see lib/backends)
+ *   - Afterwards the input box is read back and must end with the prompt's
+ *     last line, so a dropped or mangled keystroke fails loudly instead of
+ *     sending half a prompt
+ */
+
+const INPUT_DEFAULTS = {
+  chunkSize: 500,      // characters per typeText() call
+  chunkDelayMs: 50,    // pause between chunks
+  lineDelayMs: 100,    // pause after each backslash-Enter
+  verify: true,        // read the input box back before returning
+  verifyTimeoutMs: 3000,
+  verifyChars: 40,     // how much of the last line must be visible
+};
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Split text into typing steps: { text } chunks and { newline: true }
+ * between lines. "\r\n" and "\r" count as newlines.
+ */
+function inputSteps(text, chunkSize = INPUT_DEFAULTS.chunkSize) {
+  const steps = [];
+  String(text).replace(/\r\n?/g, '\n').split('\n').forEach((line, i) => {
+    if (i > 0) steps.push({ newline: true });
+    // Split on code points so surrogate pairs stay whole
+    const chars = Array.from(line);
+    for (let start = 0; start < chars.length; start += chunkSize) {
+      steps.push({ text: chars.slice(start, start + chunkSize).join('') });
+    }
+  });
+  return steps;
+}
+
+// Box borders, whitespace and the prompt marker don't take part in comparisons
+function squash(text) {
+  return text.replace(/[\s│╭╮╰╯─>❯]/g, '');
+}
+
+/**
+ * Whether the screen's input box shows the end of text. Claude Code folds
+ * big pastes into "[Pasted text #1 +12 lines]", which counts as shown.
+ */
+function inputShown(content, text, options = {}) {
+  const { verifyChars = INPUT_DEFAULTS.verifyChars } = options;
+  const tail = (content || '').split('\n').slice(-30).join('\n');
+  if (/\[Pasted text #\d+/.test(tail)) return true;
+  const lastLine = String(text).replace(/\r\n?/g, '\n').split('\n').pop();
+  const expected = squash(Array.from(lastLine).slice(-verifyChars).join(''));
+  return !expected || squash(tail).includes(expected);
+}
+
+/**
+ * Type text into the terminal's input box without submitting it.
+ *
+ * options: any INPUT_DEFAULTS key. Throws if verification is on and the
+ * input box never shows the end of the text.
+ */
+async function typeInput(backend, terminal, text, options = {}) {
+  const settings = { ...INPUT_DEFAULTS, ...options };
+  const steps = inputSteps(text, settings.chunkSize);
+
+  for (const [i, step] of steps.entries()) {
+    if (step.newline) {
+      backend.typeText('\\', terminal);
+      backend.pressEnter(terminal);
+      await pause(settings.lineDelayMs);
+      continue;
+    }
+    backend.typeText(step.text, terminal);
+    if (i < steps.length - 1) await pause(settings.chunkDelayMs);
+  }
+
+  if (!settings.verify) return;
+  const start = Date.now();
+  let content = '';
+  while (Date.now() - start < settings.verifyTimeoutMs) {
+    content = backend.readTerminalContent(terminal);
+    if (inputShown(content, text, settings)) return;
+    await pause(100);
+  }
+  const lastLine = String(text).split('\n').pop();
+  const seen = (content || '').split('\n').filter(l => l.trim()).slice(-3).join(' ⏎ ');
+  throw new Error(`Input check failed: the input box does not end with "${lastLine.slice(-settings.verifyChars)}" (screen ends: "${seen.slice(-200)}")`);
+}
+
+module.exports = {
+  INPUT_DEFAULTS,
+  inputSteps,
+  inputShown,
+  typeInput,
+};
@@ -0,0 +1,96 @@
+/**
+ * Key specs for pressKey()
+ *
+ * A key spec is one or more chords separated by spaces, each chord being
+ * modifiers and a key joined with "+":
+ *
+ *   "enter"   "shift+tab"   "ctrl+c"   "esc esc"   "cmd+k"   "f5"   "y"
+ *
+ * parseKeys() turns a spec into chords — { key, ctrl, shift, alt, cmd } —
+ * and each backend maps those to its own key names or codes. Unknown keys
+ * and modifiers throw instead of quietly pressing something else.
+ */
+
+// Canonical key names, and the aliases accepted for them
+const KEY_ALIASES = {
+  enter: ['enter', 'return', 'cr'],
+  escape: ['escape', 'esc'],
+  tab: ['tab'],
+  space: ['space'],
+  // "delete" is the Mac name for the backspace key
+  backspace: ['backspace', 'delete', 'bs'],
+  forwarddelete: ['forwarddelete', 'del'],
+  up: ['up'],
+  down: ['down'],
+  left: ['left'],
+  right: ['right'],
+  home: ['home'],
+  end: ['end'],
+  pageup: ['pageup', 'pgup'],
+  pagedown: ['pagedown', 'pgdn'],
+};
+for (let n = 1; n <= 12; n++) KEY_ALIASES[`f${n}`] = [`f${n}`];
+
+const MODIFIER_ALIASES = {
+  ctrl: ['ctrl', 'control', 'c'],
+  shift: ['shift', 's'],
+  alt: ['alt', 'option', 'opt', 'meta', 'm'],
+  cmd: ['cmd', 'command', 'super'],
+};
+
+const KEYS = Object.keys(KEY_ALIASES);
+const MODIFIERS = Object.keys(MODIFIER_ALIASES);
+
+function lookup(aliases, name) {
+  return Object.keys(aliases).find(canonical => aliases[canonical].includes(name)) || null;
+}
+
+/**
+ * Parse one chord ("ctrl+shift+p", "C-c", "q")
+ */
+function parseChord(chord, spec) {
+  // "+" and "-" are keys too: "ctrl++" or a lone "-"
+  const parts = chord.length > 1 ? chord.split(/[+-](?=.)/) : [chord];
+  const name = parts.pop();
+  const result = { key: null, ctrl: false, shift: false, alt: false, cmd: false };
+
+  for (const part of parts) {
+    const modifier = lookup(MODIFIER_ALIASES, part.toLowerCase());
+    if (!modifier) throw new Error(`Unknown key modifier: "${part}" in "${spec}". Valid: ${MODIFIERS.join(', ')}`);
+    result[modifier] = true;
+  }
+
+  // Single printable characters are keys of their own ("y", "1", "/")
+  if ([...name].length === 1 && name > ' ') {
+    result.key = result.ctrl || result.alt || result.cmd ? name.toLowerCase() : name;
+    return result;
+  }
+
+  const key = lookup(KEY_ALIASES, name.toLowerCase());
+  if (!key) throw new Error(`Unknown key: "${name}" in "${spec}". Valid: ${KEYS.join(', ')} or a single character`);
+  result.key = key;
+  return result;
+}
+
+/**
+ * Parse a key spec into a list of chords
+ */
+function parseKeys(spec) {
+  const chords = String(spec || '').trim().split(/\s+/).filter(Boolean);
+  if (!chords.length) throw new Error('Empty key spec');
+  return chords.map(chord => parseChord(chord, spec));
+}
+
+/**
+ * Format a chord back into spec form ("ctrl+c"), for messages
+ */
+function formatChord(chord) {
+  return [...MODIFIERS.filter(m => chord[m]), chord.key].join('+');
+}
+
+module.exports = {
+  KEYS,
+  MODIFIERS,
+  parseKeys,
+  formatChord,
+};
@@ -0,0 +1,302 @@
+/**
+ * Multi-session monitor
+ *
+ * Watches every live terminal session (and optionally the front Terminal.app
+ * window), classifies what is on screen with the screen state parser
+ * (lib/screen.js) and dispatches events to pluggable notifiers
+ * (lib/notifiers.js):
+ *
+ *   prompt     — Claude Code is waiting for a human
+ *   answered   — a prompt was answered by autoApprove or the policy
+ *   error      — Claude Code needs a login, hit a rate limit or exited
+ *   completion — Claude Code went back to its input prompt after working
+ *
+ * Screens the parser does not recognise (e.g. a plain shell in the front
+ * window) fall back to the pattern registry (lib/patterns.js), error and
+ * completion patterns included.
+ *
+ * Each category has its own cooldown per session, so one noisy error does
+ * not hide a permission prompt that follows it.
+ *
+ *   const monitor = createMonitor({
+ *     policy: { allow: [{ tool: 'Bash', command: '^npm test$' }], default: 'escalate' },
+ *     notifiers: [event => console.log(event.text), webhookNotifier('http://localhost:8080/cc')],
+ *   }).start();
+ */
+
+const { EventEmitter } = require('events');
+const { classifyScreen } = require('./patterns');
+const { parseScreen } = require('./screen');
+const { parsePermissionPrompt, evaluatePolicy, answerKeys, pressKeys } = require('./policy');
+const { toNotifier } = require('./notifiers');
+
+const DEFAULT_COOLDOWNS = {
+  prompt: 30000,
+  answered: 5000,
+  error: 30000,
+  completion: 30000,
+};
+
+class Monitor extends EventEmitter {
+  /**
+   * options:
+   *   cc          — session API (default: this package's index.js)
+   *   intervalMs  — polling interval (default 3000)
+   *   cooldowns   — per-category cooldowns in ms (see DEFAULT_COOLDOWNS)
+   *   notifiers   — notifier objects or callbacks
+   *   autoApprove — answer every prompt with "yes"
+   *   policy      — allow/deny rules for permission dialogs (lib/policy.js);
+   *                 escalations become prompt events
+   *   sessionIds  — only watch these sessions (default: every live one)
+   *   frontWindow — also watch Terminal.app's front window: true, false, or
+   *                 'auto' (only on macOS when there are no live sessions)
+   *   recentLines — trailing lines to classify (default 15)
+   *   log         — logger (default console.log)
+   */
+  constructor(options = {}) {
+    super();
+    this.cc = options.cc || require('../index');
+    this.intervalMs = options.intervalMs || 3000;
+    this.cooldowns = { ...DEFAULT_COOLDOWNS, ...options.cooldowns };
+    this.notifiers = (options.notifiers || []).map(toNotifier);
+    this.autoApprove = !!options.autoApprove;
+    this.policy = options.policy || null;
+    this.sessionIds = options.sessionIds ? options.sessionIds.map(Number) : null;
+    this.frontWindow = options.frontWindow ?? false;
+    this.recentLines = options.recentLines || 15;
+    this.log = options.log || console.log;
+    this.timer = null;
+    this.polling = false;
+    this.targetState = new Map(); // target id → { lastContent, lastScreen, lastEvent: { category: time } }
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.log(`🔍 Monitor started (interval: ${this.intervalMs}ms, auto-approve: ${this.autoApprove}, policy: ${this.policy ? 'yes' : 'none'})`);
+    return this;
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.log('👋 Monitor stopped');
+  }
+
+  /**
+   * Terminals to watch this round: { id, path, backend, terminal }
+   */
+  targets() {
+    const targets = this.cc.listSessions()
+      .filter(s => s.alive && s.backend !== 'headless')
+      .filter(s => !this.sessionIds || this.sessionIds.includes(s.sessionId))
+      .map((s) => {
+        const status = this.cc.getStatus(s.sessionId);
+        return status && {
+          id: s.sessionId,
+          path: status.path,
+          backend: this.cc.getBackend(status.backend),
+          terminal: status.terminal,
+        };
+      })
+      .filter(Boolean);
+
+    const watchFront = this.frontWindow === 'auto'
+      ? process.platform === 'darwin' && !targets.length
+      : this.frontWindow;
+    if (watchFront) {
+      targets.push({ id: 'front', path: null, backend: this.cc.getBackend('applescript'), terminal: undefined });
+    }
+    return targets;
+  }
+
+  /**
+   * Check every target once. Overlapping rounds are skipped.
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const targets = this.targets();
+      const ids = new Set(targets.map(t => t.id));
+      Array.from(this.targetState.keys()).filter(id => !ids.has(id)).forEach(id => this.targetState.delete(id));
+      for (const target of targets) {
+        await this.check(target);
+      }
+    } catch (err) {
+      this.fail(err);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async check(target) {
+    if (!this.targetState.has(target.id)) {
+      this.targetState.set(target.id, { lastContent: '', lastScreen: null, lastEvent: {} });
+    }
+    const state = this.targetState.get(target.id);
+
+    const content = target.backend.readTerminalContent(target.terminal);
+    if (!content || content === state.lastContent) return;
+    state.lastContent = content;
+
+    const screen = parseScreen(content);
+    const previous = state.lastScreen;
+    state.lastScreen = screen.state;
+    const match = screenMatch(screen, previous) || (PATTERN_STATES.includes(screen.state)
+      ? classifyScreen(content, { recentLines: this.recentLines })
+      : null);
+    if (!match) return;
+
+    const event = {
+      sessionId: target.id,
+      category: match.category,
+      label: match.label,
+      excerpt: match.line,
+      prompt: null,
+      decision: null,
+      timestamp: Date.now(),
+    };
+
+    if (match.category === 'prompt') {
+      event.prompt = parsePermissionPrompt(content);
+      const { decision, rule, intent, feedback } = this.decide(event.prompt, match, target);
+      event.decision = decision;
+      event.rule = rule;
+      event.intent = intent || null;
+
+      if (decision === 'allow' || decision === 'deny') {
+        if (!this.coolDown(state, 'answered', event.timestamp)) {
+          state.lastContent = ''; // still showing — try again next round
+          return;
+        }
+        await this.answer(target, event.prompt, match, intent || decision, feedback);
+        event.category = 'answered';
+      }
+    }
+
+    if (event.category !== 'answered' && !this.coolDown(state, event.category, event.timestamp)) return;
+    event.text = describe(event);
+    this.log(`${ICONS[event.category]} ${event.text}`);
+    await this.dispatch(event);
+  }
+
+  /**
+   * What to do about a prompt:
+   * { decision: 'allow' | 'deny' | 'escalate' | null, rule, intent?, feedback? }
+   */
+  decide(prompt, match, target) {
+    if (this.policy && prompt) return evaluatePolicy(prompt, this.policy, { cwd: target.path || undefined });
+    const answerable = prompt || match.response !== undefined;
+    if (this.autoApprove && answerable) return { decision: 'allow', rule: 'auto-approve' };
+    return { decision: null, rule: null };
+  }
+
+  /**
+   * Answer a dialog by intent ('allow-once', 'allow-session', 'deny'), or a
+   * pattern prompt with its response
+   */
+  async answer(target, prompt, match, intent, feedback) {
+    const { backend, terminal } = target;
+    if (prompt && prompt.options.length) {
+      await pressKeys(backend, terminal, answerKeys(prompt, intent, { feedback }));
+      return;
+    }
+
+    const text = intent === 'deny' ? 'n' : (match.response ?? 'y');
+    const steps = text === '\r' ? [{ key: 'enter' }] : [{ text }, { wait: 200 }, { key: 'enter' }];
+    await pressKeys(backend, terminal, steps);
+  }
+
+  /**
+   * True (and the cooldown restarts) if the category may fire again
+   */
+  coolDown(state, category, now) {
+    const last = state.lastEvent[category] || 0;
+    if (now - last < (this.cooldowns[category] || 0)) return false;
+    state.lastEvent[category] = now;
+    return true;
+  }
+
+  async dispatch(event) {
+    this.emit('event', event);
+    for (const notifier of this.notifiers) {
+      if (notifier.categories && !notifier.categories.includes(event.category)) continue;
+      try {
+        await notifier.notify(event);
+      } catch (err) {
+        this.fail(new Error(`Notifier ${notifier.name || 'callback'} failed: ${err.message}`));
+      }
+    }
+  }
+
+  fail(err) {
+    if (this.listenerCount('error')) this.emit('error', err);
+    else this.log(`⚠️  ${err.message}`);
+  }
+}
+
+// Screen states left to the pattern registry: dialogs get their prompt
+// entries (and responses), unrecognised screens the error/completion ones
+const PATTERN_STATES = ['permission', 'trust', 'unknown'];
+
+const SCREEN_ERRORS = {
+  login: 'login-required',
+  rate_limited: 'rate-limited',
+  crashed: 'crashed',
+};
+
+// States Claude Code reaches idle from when it has finished something
+const WORKING_STATES = ['thinking', 'tool_running', 'permission'];
+
+/**
+ * Events the screen state implies on its own, in classifyScreen's shape
+ */
+function screenMatch(screen, previous) {
+  if (SCREEN_ERRORS[screen.state]) {
+    return { category: 'error', label: SCREEN_ERRORS[screen.state], response: undefined, line: screen.line };
+  }
+  if (screen.state === 'idle' && WORKING_STATES.includes(previous)) {
+    return { category: 'completion', label: 'claude-code-idle', response: undefined, line: screen.line };
+  }
+  return null;
+}
+
+const ICONS = {
+  prompt: '🔔',
+  answered: '✅',
+  error: '❌',
+  completion: '🏁',
+};
+
+/**
+ * One-line summary of an event for logs and text notifiers
+ */
+function describe(event) {
+  const where = event.sessionId === 'front' ? 'Claude Code' : `Claude Code session ${event.sessionId}`;
+  const what = event.prompt ? `${event.prompt.tool}(${event.prompt.argument})` : event.label;
+
+  switch (event.category) {
+    case 'prompt':
+      return event.decision === 'escalate'
+        ? `${where} wants ${what} — no policy rule matched`
+        : `${where} needs input — ${what}`;
+    case 'answered':
+      return `${where}: ${event.decision === 'allow' ? 'approved' : 'denied'} ${what}${event.intent === 'allow-session' ? ' for the session' : ''} (${event.rule})`;
+    case 'error':
+      return `${event.label} in ${where} — ${event.excerpt.slice(0, 100)}`;
+    default:
+      return `${where} appears done — ${event.label}`;
+  }
+}
+
+function createMonitor(options) {
+  return new Monitor(options);
+}
+
+module.exports = {
+  Monitor,
+  createMonitor,
+  DEFAULT_COOLDOWNS,
+};
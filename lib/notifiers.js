@@ -0,0 +1,267 @@
+/**
+ * Notifiers for the session monitor
+ *
+ * A notifier is { name, categories?, notify(event) } — or just a function,
+ * which is treated as a callback notifier. `categories` limits it to some
+ * event categories (prompt, answered, error, completion); notify may return
+ * a promise. Events look like:
+ *
+ *   {
+ *     sessionId,            // session id, or 'front' for the front Terminal.app window
+ *     category, label,      // e.g. 'error', 'module-error'
+ *     text,                 // one-line human summary
+ *     excerpt,              // the matching screen line
+ *     prompt, decision,     // parsed permission dialog and what was done about it
+ *     timestamp,
+ *   }
+ *
+ * Notifiers can also be described as specs — strings for the command line
+ * (`--notify slack:https://hooks.slack.com/...`) or objects in a config file
+ * (`{ "type": "jsonl", "path": "events.jsonl", "categories": ["error"] }`):
+ *
+ *   callback   — code only: callbackNotifier(fn)
+ *   webhook    — webhook:<url>   POST the event as JSON
+ *   slack      — slack:<url>     POST a Slack incoming-webhook message
+ *   desktop    — desktop         notify-send (Linux) / Notification Center (macOS)
+ *   jsonl      — jsonl:<path>    append the event as one JSON line
+ *   file       — file:<path>     append a "[timestamp] text" line
+ *   exec       — exec:<command>  run a shell command with CC_* environment variables
+ *   openclaw   — openclaw        `openclaw system event --text ... --mode now`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+function run(file, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: 10000, ...options }, err => (err ? reject(err) : resolve()));
+  });
+}
+
+async function postJson(url, body, timeoutMs) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+}
+
+/**
+ * Call fn(event) for every event
+ */
+function callbackNotifier(fn, options = {}) {
+  return { name: 'callback', categories: options.categories, notify: fn };
+}
+
+/**
+ * POST the event as JSON to a (local) URL
+ */
+function webhookNotifier(url, options = {}) {
+  const { timeoutMs = 10000 } = options;
+  return {
+    name: `webhook ${url}`,
+    categories: options.categories,
+    notify(event) {
+      return postJson(url, event, timeoutMs);
+    },
+  };
+}
+
+/**
+ * POST to a Slack-style incoming webhook ({ text, blocks })
+ */
+function slackNotifier(url, options = {}) {
+  const { timeoutMs = 10000 } = options;
+  return {
+    name: `slack ${url}`,
+    categories: options.categories,
+    notify(event) {
+      const excerpt = event.excerpt ? `\n\`\`\`${event.excerpt}\`\`\`` : '';
+      return postJson(url, {
+        text: event.text,
+        blocks: [{
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${event.category}* · ${event.text}${excerpt}` },
+        }],
+      }, timeoutMs);
+    },
+  };
+}
+
+/**
+ * Show a desktop notification: notify-send on Linux, Notification Center on
+ * macOS. Text is passed as arguments, never as script source.
+ */
+function desktopNotifier(options = {}) {
+  const { title = 'Claude Code' } = options;
+  return {
+    name: 'desktop',
+    categories: options.categories,
+    notify(event) {
+      if (process.platform === 'darwin') {
+        return run('osascript', [
+          '-e', 'on run argv',
+          '-e', 'display notification (item 2 of argv) with title (item 1 of argv)',
+          '-e', 'end run',
+          title, event.text,
+        ]);
+      }
+      return run('notify-send', [title, event.text]);
+    },
+  };
+}
+
+/**
+ * Run a command given as an argv array (no shell). `{text}`, `{label}`,
+ * `{category}`, `{sessionId}` and `{excerpt}` in arguments are replaced with
+ * the event's fields.
+ */
+function commandNotifier(argv, options = {}) {
+  const [file, ...args] = argv;
+  return {
+    name: options.name || `command ${file}`,
+    categories: options.categories,
+    notify(event) {
+      const fill = arg => arg.replace(/\{(text|label|category|sessionId|excerpt)\}/g, (_, key) => String(event[key] ?? ''));
+      return run(file, args.map(fill), { timeout: options.timeoutMs || 10000 });
+    },
+  };
+}
+
+/**
+ * Wake an OpenClaw agent with `openclaw system event`
+ */
+function openclawNotifier(options = {}) {
+  const { prefix = 'Watcher: ' } = options;
+  return commandNotifier(['openclaw', 'system', 'event', '--text', `${prefix}{text}`, '--mode', 'now'], {
+    ...options,
+    name: 'openclaw',
+  });
+}
+
+/**
+ * Run a shell command per event. Event fields are passed as environment
+ * variables (CC_SESSION_ID, CC_CATEGORY, CC_LABEL, CC_TEXT, CC_EXCERPT), never
+ * spliced into the command line, e.g. `notify-send "Claude Code" "$CC_TEXT"`.
+ */
+function shellNotifier(command, options = {}) {
+  const { timeoutMs = 10000 } = options;
+  return {
+    name: `shell ${command}`,
+    categories: options.categories,
+    notify(event) {
+      return run('/bin/sh', ['-c', command], {
+        timeout: timeoutMs,
+        env: {
+          ...process.env,
+          CC_SESSION_ID: String(event.sessionId),
+          CC_CATEGORY: event.category,
+          CC_LABEL: event.label,
+          CC_TEXT: event.text,
+          CC_EXCERPT: event.excerpt || '',
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Append one "[timestamp] text" line per event to a log file
+ */
+function fileNotifier(filePath, options = {}) {
+  return {
+    name: `file ${filePath}`,
+    categories: options.categories,
+    notify(event) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `[${new Date(event.timestamp).toISOString()}] ${event.text}\n`);
+    },
+  };
+}
+
+/**
+ * Append the event as one JSON line
+ */
+function jsonlNotifier(filePath, options = {}) {
+  return {
+    name: `jsonl ${filePath}`,
+    categories: options.categories,
+    notify(event) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${JSON.stringify(event)}\n`);
+    },
+  };
+}
+
+// Spec type → factory(spec)
+const NOTIFIER_TYPES = {
+  webhook: spec => webhookNotifier(requireField(spec, 'url'), spec),
+  slack: spec => slackNotifier(requireField(spec, 'url'), spec),
+  desktop: spec => desktopNotifier(spec),
+  jsonl: spec => jsonlNotifier(requireField(spec, 'path'), spec),
+  file: spec => fileNotifier(requireField(spec, 'path'), spec),
+  exec: spec => (Array.isArray(spec.command)
+    ? commandNotifier(spec.command, spec)
+    : shellNotifier(requireField(spec, 'command'), spec)),
+  openclaw: spec => openclawNotifier(spec),
+};
+
+// Which field the part after "type:" fills in a command-line spec
+const SPEC_ARGUMENT = {
+  webhook: 'url',
+  slack: 'url',
+  jsonl: 'path',
+  file: 'path',
+  exec: 'command',
+};
+
+function requireField(spec, field) {
+  if (!spec[field]) throw new Error(`${spec.type} notifier needs "${field}"`);
+  return spec[field];
+}
+
+/**
+ * Build a notifier from a spec string ("slack:https://...", "desktop") or
+ * object ({ type, url | path | command, categories })
+ */
+function createNotifier(spec) {
+  if (typeof spec === 'string') {
+    const [type, argument] = spec.split(/:(.*)/s);
+    spec = { type };
+    if (argument) spec[SPEC_ARGUMENT[type] || 'argument'] = argument;
+  }
+  const factory = NOTIFIER_TYPES[spec.type];
+  if (!factory) {
+    throw new Error(`Unknown notifier: ${spec.type}. Valid: ${Object.keys(NOTIFIER_TYPES).join(', ')}`);
+  }
+  return factory(spec);
+}
+
+/**
+ * Accept a function or a notifier object
+ */
+function toNotifier(notifier) {
+  if (typeof notifier === 'function') return callbackNotifier(notifier);
+  if (!notifier || typeof notifier.notify !== 'function') {
+    throw new Error('A notifier must be a function or an object with notify(event)');
+  }
+  return notifier;
+}
+
+module.exports = {
+  callbackNotifier,
+  webhookNotifier,
+  slackNotifier,
+  desktopNotifier,
+  commandNotifier,
+  openclawNotifier,
+  shellNotifier,
+  fileNotifier,
+  jsonlNotifier,
+  createNotifier,
+  toNotifier,
+  NOTIFIER_TYPES,
+};
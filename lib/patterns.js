@@ -0,0 +1,92 @@
+/**
+ * Shared pattern registry
+ *
+ * One list of the things worth reacting to on a Claude Code screen, used by
+ * watchForPrompts (prompts it can answer) and the session monitor
+ * (prompts, errors and completion signals it notifies about):
+ *
+ *   prompt     — Claude Code is waiting for input. Entries with a `response`
+ *                can be answered automatically by typing it.
+ *   error      — something failed
+ *   completion — the task looks finished
+ *   ignore     — harmless shell noise that would otherwise look like an error
+ *
+ * Each entry: { pattern: RegExp, label: string, response?: string }
+ */
+
+const PATTERNS = {
+  prompt: [
+    { pattern: /Do you want.*\?/i,          response: 'y', label: 'Do-you-want prompt' },
+    { pattern: /\[Y\/n\]/i,                 response: 'y', label: 'Y/n prompt' },
+    { pattern: /\[y\/N\]/i,                 response: 'y', label: 'y/N prompt' },
+    { pattern: /Allow.*\?.*\(y\/n\)/i,      response: 'y', label: 'Allow prompt' },
+    { pattern: /Press.*to continue/i,       response: '\r', label: 'Press-to-continue' },
+    { pattern: /Trust this folder.*\[1\]/i, response: '1', label: 'Trust folder' },
+    { pattern: /Do you trust the files/i,   label: 'Trust dialog' },
+    { pattern: /Allow .+\?/i,               label: 'Allow question' },
+  ],
+  error: [
+    { pattern: /Error:/i,                label: 'error' },
+    { pattern: /FATAL/i,                 label: 'fatal-error' },
+    { pattern: /panic/i,                 label: 'panic' },
+    { pattern: /Cannot find module/i,    label: 'module-error' },
+    { pattern: /command not found/i,     label: 'command-not-found' },
+  ],
+  completion: [
+    { pattern: /openclaw system event/i, label: 'completion-signal' },
+    { pattern: /Done:/i,                 label: 'done' },
+    { pattern: /Task completed/i,        label: 'task-completed' },
+    { pattern: /❯ Try "write a test/i,   label: 'claude-code-idle' },
+  ],
+  ignore: [
+    { pattern: /compdef/i,               label: 'zsh-compdef' },
+    { pattern: /zsh.*completion/i,       label: 'zsh-completion' },
+    { pattern: /insecure directories/i,  label: 'zsh-insecure-directories' },
+  ],
+};
+
+// Prompts watchForPrompts can answer on its own
+const PROMPT_PATTERNS = PATTERNS.prompt.filter(entry => entry.response !== undefined);
+
+/**
+ * First entry of a category whose pattern matches text
+ */
+function findPattern(category, text, patterns = PATTERNS) {
+  return (patterns[category] || []).find(entry => entry.pattern.test(text)) || null;
+}
+
+/**
+ * Classify the tail of the terminal text.
+ *
+ * Returns { category: 'prompt' | 'error' | 'completion', label, response, line }
+ * for the first match (prompts before errors before completion signals), or
+ * null. Errors and completion signals are skipped when shell noise from the
+ * ignore list is showing.
+ */
+function classifyScreen(content, options = {}) {
+  const { recentLines = 15, patterns = PATTERNS } = options;
+  const lines = (content || '').split('\n').slice(-recentLines);
+  const recent = lines.join('\n');
+
+  const prompt = findPattern('prompt', recent, patterns);
+  if (prompt) return { category: 'prompt', label: prompt.label, response: prompt.response, line: lastLine(lines, prompt) };
+
+  if (findPattern('ignore', recent, patterns)) return null;
+
+  for (const category of ['error', 'completion']) {
+    const match = findPattern(category, recent, patterns);
+    if (match) return { category, label: match.label, response: undefined, line: lastLine(lines, match) };
+  }
+  return null;
+}
+
+function lastLine(lines, entry) {
+  return (lines.filter(line => entry.pattern.test(line)).pop() || '').trim();
+}
+
+module.exports = {
+  PATTERNS,
+  PROMPT_PATTERNS,
+  findPattern,
+  classifyScreen,
+};
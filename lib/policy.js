@@ -0,0 +1,294 @@
+/**
+ * Permission policies for watchForPrompts
+ *
+ * Parses Claude Code's permission dialog to find which tool wants to run and
+ * on what, then evaluates it against allow/deny rules:
+ *
+ *   {
+ *     deny:  [{ tool: 'Bash', command: /rm\s+-rf/ }],
+ *     allow: [
+ *       { tool: ['Write', 'Edit'], path: 'src/**' },
+ *       { tool: 'Bash', command: '^npm (test|run lint)\\b', name: 'npm scripts' },
+ *     ],
+ *     default: 'escalate',                        // 'allow' | 'deny' | 'escalate'
+ *     onEscalate: async (prompt, sessionId) => 'deny',
+ *   }
+ *
+ * Deny rules are checked first, then allow rules, then the default. Rule
+ * fields (all optional, all must match):
+ *   tool    — tool name or list of names (Bash, Write, Edit, WebFetch, ...)
+ *   command — RegExp or regex string tested against a Bash command (all of
+ *             its lines, when it is wrapped or spans several)
+ *   path    — glob tested against a file path, absolute or relative to the project
+ *   url     — RegExp or regex string tested against a WebFetch URL
+ *   name    — label used in the session log
+ *
+ * and, for what happens when a rule matches:
+ *   remember — allow rules: pick "Yes, and don't ask again" when offered
+ *   feedback — deny rules: tell Claude what to do instead
+ *
+ * Dialog answers are expressed as intents — 'allow-once', 'allow-session'
+ * or 'deny' — which answerKeys() maps onto whichever numbered option the
+ * dialog offers for them, reached with the arrow keys.
+ */
+
+const path = require('path');
+
+const DECISIONS = ['allow', 'deny', 'escalate'];
+
+const INTENTS = ['allow-once', 'allow-session', 'deny'];
+
+// Dialog option labels → intents; the first match wins
+const OPTION_INTENTS = [
+  { pattern: /^Yes,? (?:and )?(?:don't ask again|allow all|always allow)/i, intent: 'allow-session' },
+  { pattern: /^Yes\b/i, intent: 'allow-once' },
+  { pattern: /^No\b/i, intent: 'deny' },
+];
+
+// Dialog headers → tool names
+const DIALOG_TOOLS = [
+  { pattern: /^Bash command/i, tool: 'Bash' },
+  { pattern: /^(Create|Write) file/i, tool: 'Write' },
+  { pattern: /^Edit file/i, tool: 'Edit' },
+  { pattern: /^Fetch/i, tool: 'WebFetch' },
+];
+
+// ─── Prompt parsing ─────────────────────────────────────────
+
+/**
+ * Strip the dialog's box-drawing border from a line
+ */
+function unbox(line) {
+  return line.replace(/^\s*│/, '').replace(/│\s*$/, '').replace(/\s+$/, '');
+}
+
+/**
+ * Find the permission dialog at the bottom of the terminal text.
+ *
+ * Returns { tool, argument, question, options: [{ number, label, selected }] }
+ * or null when no dialog is showing.
+ */
+function parsePermissionPrompt(content) {
+  const lines = (content || '').split('\n').slice(-30);
+
+  let questionIndex = -1;
+  lines.forEach((line, i) => {
+    if (/Do you want to/i.test(line)) questionIndex = i;
+  });
+  if (questionIndex === -1) return null;
+
+  // Dialog body: from the box top (or a blank run) above the question
+  let top = questionIndex;
+  while (top > 0 && !/^\s*╭/.test(lines[top - 1])) top--;
+  const body = lines.slice(top, questionIndex).map(unbox).filter(l => l.trim());
+
+  const question = unbox(lines[questionIndex]).trim();
+
+  const options = [];
+  for (const line of lines.slice(questionIndex + 1)) {
+    const m = unbox(line).match(/^\s*(❯)?\s*(\d+)\.\s+(.*)$/);
+    if (m) options.push({ number: Number(m[2]), label: m[3].trim(), selected: !!m[1] });
+  }
+
+  const header = body[0] ? body[0].trim() : '';
+  const known = DIALOG_TOOLS.find(d => d.pattern.test(header));
+  const tool = known ? known.tool : (header.split(/\s+/)[0] || 'Unknown');
+  let argument = '';
+  let description = null;
+
+  if (tool === 'Bash') {
+    // Every line of a wrapped or multi-line command, then (when there is
+    // more than one line) Claude's one-line description of it
+    const lines = body.slice(1).map(line => line.trim());
+    description = lines.length > 1 ? lines.pop() : null;
+    argument = lines.join('\n');
+  } else if (tool === 'WebFetch') {
+    const url = body.join('\n').match(/https?:\/\/\S+/);
+    argument = url ? url[0] : '';
+  } else {
+    const target = question.match(/Do you want to (?:create|make this edit to|write to|edit) (.+?)\?/i);
+    argument = target ? target[1].trim() : (body[1] ? body[1].trim() : '');
+  }
+
+  return { tool, argument, description, question, options };
+}
+
+// ─── Rule evaluation ────────────────────────────────────────
+
+function toRegExp(value) {
+  return value instanceof RegExp ? value : new RegExp(value);
+}
+
+/**
+ * Convert a glob (`*`, `**`, `?`) to an anchored RegExp
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function pathMatches(glob, filePath, cwd) {
+  if (!filePath) return false;
+  const re = globToRegExp(glob);
+  const candidates = [filePath];
+  if (cwd) {
+    const absolute = path.resolve(cwd, filePath);
+    candidates.push(absolute, path.relative(cwd, absolute));
+  }
+  return candidates.some(c => re.test(c));
+}
+
+function ruleMatches(rule, prompt, cwd, list) {
+  if (rule.tool && ![].concat(rule.tool).includes(prompt.tool)) return false;
+  if (rule.command) {
+    // The line taken for the description may be the end of a wrapped
+    // command, so deny rules see it too
+    const command = list === 'deny' && prompt.description ? `${prompt.argument}\n${prompt.description}` : prompt.argument;
+    if (!(prompt.tool === 'Bash' && toRegExp(rule.command).test(command))) return false;
+  }
+  if (rule.path && !pathMatches(rule.path, prompt.argument, cwd)) return false;
+  if (rule.url && !toRegExp(rule.url).test(prompt.argument)) return false;
+  return true;
+}
+
+/**
+ * Human-readable rule label for the session log
+ */
+function describeRule(rule, list) {
+  if (rule.name) return rule.name;
+  const parts = [list];
+  if (rule.tool) parts.push([].concat(rule.tool).join('|'));
+  if (rule.command) parts.push(`command ${toRegExp(rule.command)}`);
+  if (rule.path) parts.push(`path ${rule.path}`);
+  if (rule.url) parts.push(`url ${toRegExp(rule.url)}`);
+  return parts.join(' ');
+}
+
+/**
+ * Decide what to do with a parsed permission prompt.
+ *
+ * Returns { decision: 'allow' | 'deny' | 'escalate', rule, intent, feedback }
+ * where rule is the matching rule's label (or 'default') and intent the
+ * dialog answer to give (null when escalating).
+ */
+function evaluatePolicy(prompt, policy = {}, { cwd } = {}) {
+  for (const list of ['deny', 'allow']) {
+    for (const rule of policy[list] || []) {
+      if (ruleMatches(rule, prompt, cwd, list)) {
+        return {
+          decision: list,
+          rule: describeRule(rule, list),
+          intent: list === 'deny' ? 'deny' : (rule.remember ? 'allow-session' : 'allow-once'),
+          feedback: list === 'deny' ? rule.feedback || null : null,
+        };
+      }
+    }
+  }
+
+  const fallback = policy.default || 'escalate';
+  if (!DECISIONS.includes(fallback)) {
+    throw new Error(`Unknown policy default: ${fallback}. Valid: ${DECISIONS.join(', ')}`);
+  }
+  return { decision: fallback, rule: 'default', intent: decisionIntent(fallback), feedback: null };
+}
+
+// ─── Answering ──────────────────────────────────────────────
+
+/**
+ * 'allow' → 'allow-once'; intents pass through; anything else is null
+ */
+function decisionIntent(decision) {
+  if (decision === 'allow') return 'allow-once';
+  return INTENTS.includes(decision) ? decision : null;
+}
+
+/**
+ * The intent a dialog option stands for, or null
+ */
+function optionIntent(label) {
+  const known = OPTION_INTENTS.find(entry => entry.pattern.test(label));
+  return known ? known.intent : null;
+}
+
+/**
+ * The dialog option that carries out an intent, or null if it has none
+ */
+function findOption(prompt, intent) {
+  return prompt.options.find(option => optionIntent(option.label) === intent) || null;
+}
+
+/**
+ * Keystrokes that answer a prompt with an intent ('allow-once',
+ * 'allow-session', 'deny'; 'allow' means 'allow-once'), as a list of steps
+ * for pressKeys(): { key } for pressKey, { text } for typeText, { wait } in ms.
+ *
+ * Numbered dialogs are answered by moving the selection with the arrow keys
+ * and pressing Enter. Denying with feedback then types the feedback as the
+ * next message. Plain prompts take y/n followed by Enter.
+ */
+function answerKeys(prompt, decision, options = {}) {
+  const intent = decisionIntent(decision);
+  if (!intent) throw new Error(`Unknown answer: ${decision}. Valid: ${INTENTS.join(', ')}`);
+  const feedback = intent === 'deny' ? options.feedback : null;
+
+  const steps = [];
+  if (prompt.options.length) {
+    const option = findOption(prompt, intent);
+    if (!option) {
+      throw new Error(`The ${prompt.tool} dialog has no "${intent}" option (offers: ${prompt.options.map(o => o.label).join(' / ')})`);
+    }
+    const current = Math.max(0, prompt.options.findIndex(o => o.selected));
+    const target = prompt.options.indexOf(option);
+    for (let i = current; i !== target; i += Math.sign(target - current)) {
+      steps.push({ key: target > current ? 'down' : 'up' });
+    }
+    steps.push({ key: 'enter' });
+  } else {
+    steps.push({ text: intent === 'deny' ? 'n' : 'y' }, { wait: 200 }, { key: 'enter' });
+  }
+
+  if (feedback) steps.push({ wait: 500 }, { text: feedback }, { wait: 200 }, { key: 'enter' });
+  return steps;
+}
+
+/**
+ * Play answerKeys() steps on a terminal backend
+ */
+async function pressKeys(backend, terminal, steps, { delayMs = 100 } = {}) {
+  const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+  backend.focusTerminal(terminal);
+  for (const [i, step] of steps.entries()) {
+    if (step.wait) {
+      await pause(step.wait);
+      continue;
+    }
+    if (i > 0) await pause(delayMs);
+    if (step.key) backend.pressKey(step.key, terminal);
+    else if (step.text) backend.typeText(step.text, terminal);
+  }
+}
+
+module.exports = {
+  INTENTS,
+  parsePermissionPrompt,
+  evaluatePolicy,
+  optionIntent,
+  findOption,
+  answerKeys,
+  pressKeys,
+  globToRegExp,
+};
@@ -0,0 +1,225 @@
+/**
+ * Session replay
+ *
+ * Plays a recording written by saveSession() back in the terminal: commands
+ * are typed out, terminal snapshots (see lib/transcript.js) redrawn, and
+ * screenshots, verifications, permission decisions and usage listed as they
+ * happened — at the recorded pace, faster, or all at once.
+ *
+ *   const recording = loadRecording('./session.json');
+ *   await replay(recording, { speed: 10, from: 3, until: /error/i });
+ *
+ * Recordings made before terminal snapshots were logged still replay; the
+ * reply text stands in for the screen.
+ */
+
+const fs = require('fs');
+const { responseLines, terminalSnapshots } = require('./transcript');
+
+const REPLAY_DEFAULTS = {
+  speed: 1,          // 2 = twice as fast
+  instant: false,    // no pauses at all
+  maxIdleMs: null,   // cap on any single pause (recorded time)
+  typingMs: 30,      // per character when typing out a command
+  redraw: false,     // clear and redraw the screen for each snapshot
+};
+
+const CLEAR_SCREEN = '\u001b[H\u001b[2J';
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a saveSession() JSON file
+ */
+function loadRecording(filepath) {
+  let recording;
+  try {
+    recording = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read recording ${filepath}: ${err.message}`);
+  }
+  if (!recording || !Array.isArray(recording.log)) {
+    throw new Error(`Not a session recording: ${filepath} (no "log" array)`);
+  }
+  return recording;
+}
+
+/**
+ * "+1:02:03" / "+02:03" since the recording started
+ */
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const [h, m, s] = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+  const pad = n => String(n).padStart(2, '0');
+  return `+${h ? `${h}:${pad(m)}` : pad(m)}:${pad(s)}`;
+}
+
+/**
+ * The text an `until` pattern is tested against: what the entry added, not
+ * the whole screen (that would match everything after the first hit)
+ */
+function entryText(entry) {
+  return [
+    entry.command,
+    entry.reply,
+    entry.text,
+    entry.description,
+    entry.tool,
+    entry.argument,
+    entry.keys,
+    entry.terminalDiff ? entry.terminalDiff.insert.join('\n') : null,
+  ].filter(value => typeof value === 'string').join('\n');
+}
+
+function matches(pattern, text) {
+  return pattern instanceof RegExp
+    ? pattern.test(text)
+    : text.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * The entries a replay covers: from the `from`th command (1-based) up to and
+ * including the first entry matching `until`.
+ *
+ * Returns { entries, commandIndex (of the first entry's command, 1-based),
+ * stoppedAt (the matching entry, or null) }.
+ */
+function selectEntries(log, { from = 1, until = null } = {}) {
+  const commandPositions = log.map((entry, i) => (entry.type === 'command' ? i : -1)).filter(i => i >= 0);
+  if (!Number.isInteger(from) || from < 1) throw new Error(`Command to seek to must be 1 or more, got ${from}`);
+  if (from > 1 && from > commandPositions.length) {
+    throw new Error(`Recording has only ${commandPositions.length} command(s), cannot seek to command ${from}`);
+  }
+
+  const start = from > 1 ? commandPositions[from - 1] : 0;
+  let entries = log.slice(start);
+  let stoppedAt = null;
+  if (until !== null && until !== undefined) {
+    const end = entries.findIndex(entry => matches(until, entryText(entry)));
+    if (end >= 0) {
+      stoppedAt = entries[end];
+      entries = entries.slice(0, end + 1);
+    }
+  }
+  return { entries, commandIndex: from, stoppedAt };
+}
+
+/**
+ * Text to print for one log entry (without the typed-out command)
+ */
+function describeEntry(entry, redraw) {
+  switch (entry.type) {
+    case 'response': {
+      const lines = redraw && (typeof entry.terminal === 'string' || entry.terminalDiff) ? [] : responseLines(entry);
+      const seconds = Math.round((entry.duration_ms || 0) / 1000);
+      const details = [`${entry.status}, ${seconds}s`];
+      if (entry.toolCalls && entry.toolCalls.length) details.push(`${entry.toolCalls.length} tool call(s)`);
+      if (entry.files && entry.files.length) details.push(`files: ${entry.files.join(', ')}`);
+      const shot = entry.screenshot ? [`📷 ${entry.screenshot}`] : [];
+      return [...lines, `[${details.join(' · ')}]`, ...shot];
+    }
+    case 'screenshot':
+      return [`📷 Screenshot${entry.event ? ` (${entry.event})` : ''}: ${entry.path}`];
+    case 'verification': {
+      const outcome = entry.passed === undefined ? '' : entry.passed ? ' ✔' : ` ✘ ${entry.message || ''}`.trimEnd();
+      return [`🔍 Verify: ${entry.description}${outcome}${entry.screenshot ? ` — ${entry.screenshot}` : ''}`];
+    }
+    case 'permission':
+      return [`🔐 ${entry.tool}${entry.argument ? `(${entry.argument})` : ''}: ${entry.decision}${entry.intent ? ` → ${entry.intent}` : ''}${entry.rule ? ` [${typeof entry.rule === 'string' ? entry.rule : JSON.stringify(entry.rule)}]` : ''}`];
+    case 'keys':
+      return [`⌨️  ${entry.keys}`];
+    case 'usage':
+      return [`💰 $${entry.costUsd.toFixed(4)} · ${entry.inputTokens} in / ${entry.outputTokens} out`];
+    case 'budget':
+      return [`💸 Budget (${entry.scope}) used up — ${entry.action}`];
+    case 'recording':
+      return [`🎥 Recording saved: ${entry.videoPath || entry.castPath}`];
+    case 'assistant':
+      return [`⏺ ${entry.text}`];
+    case 'tool_use':
+      return [`⏺ ${entry.tool}(${JSON.stringify(entry.input)})`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Play a recording back.
+ *
+ * options: any REPLAY_DEFAULTS key, plus
+ *   from   — start at this command (1-based); the screen starts as it was then
+ *   until  — string (case-insensitive) or RegExp; stop after the first entry
+ *            whose command, reply, output or description matches
+ *   write  — where output goes (default process.stdout.write)
+ *
+ * Returns { commands, entries, stoppedAt, duration_ms (recorded time played) }.
+ */
+async function replay(recording, options = {}) {
+  const settings = { ...REPLAY_DEFAULTS, ...options };
+  const write = settings.write || (text => process.stdout.write(text));
+  if (!(settings.speed > 0)) throw new Error(`Replay speed must be a positive number, got ${settings.speed}`);
+
+  const { entries, commandIndex, stoppedAt } = selectEntries(recording.log, settings);
+  // Most snapshots are stored as diffs, so rebuild them from the whole log
+  const snapshots = terminalSnapshots(recording.log);
+  const terminals = new Map(recording.log.map((entry, i) => [entry, snapshots[i]]));
+  const terminalOf = entry => terminals.get(entry);
+  const totalCommands = recording.log.filter(entry => entry.type === 'command').length;
+  const startedAt = recording.createdAt ? Date.parse(recording.createdAt) : (recording.log[0] || {}).timestamp;
+
+  const wait = async (recordedMs) => {
+    if (settings.instant || recordedMs <= 0) return;
+    const capped = settings.maxIdleMs === null ? recordedMs : Math.min(recordedMs, settings.maxIdleMs);
+    await pause(capped / settings.speed);
+  };
+  const redraw = (terminal) => {
+    if (settings.redraw && typeof terminal === 'string') write(`${CLEAR_SCREEN}${terminal}\n`);
+  };
+
+  write(`▶ Session ${recording.sessionId} — ${recording.path} (${recording.backend || 'unknown backend'}), ${totalCommands} command(s)\n`);
+
+  let commands = 0;
+  let previous = entries.length ? entries[0].timestamp : 0;
+  for (const entry of entries) {
+    await wait(entry.timestamp - previous);
+    previous = entry.timestamp;
+
+    if (entry.type === 'command') {
+      redraw(terminalOf(entry));
+      const number = commandIndex + commands++;
+      write(`\n── Command ${number}/${totalCommands} · ${formatElapsed(entry.timestamp - startedAt)} ${'─'.repeat(30)}\n> `);
+      if (settings.instant) {
+        write(entry.command);
+      } else {
+        // Type it out, but never take more than two seconds over it
+        const perChar = Math.min(settings.typingMs / settings.speed, 2000 / Math.max(entry.command.length, 1));
+        for (const char of entry.command) {
+          write(char);
+          await pause(perChar);
+        }
+      }
+      write('\n');
+      continue;
+    }
+
+    if (entry.type === 'response' || entry.type === 'verification') redraw(terminalOf(entry));
+    const lines = describeEntry(entry, settings.redraw);
+    if (lines.length) write(`${lines.join('\n')}\n`);
+  }
+
+  if (stoppedAt) write(`\n⏹ Stopped at ${stoppedAt.type} matching ${settings.until}\n`);
+  return {
+    commands,
+    entries: entries.length,
+    stoppedAt,
+    duration_ms: entries.length ? entries[entries.length - 1].timestamp - entries[0].timestamp : 0,
+  };
+}
+
+module.exports = {
+  REPLAY_DEFAULTS,
+  loadRecording,
+  selectEntries,
+  formatElapsed,
+  replay,
+};
@@ -0,0 +1,335 @@
+/**
+ * HTML session reports
+ *
+ * Turns a saveSession() recording into one self-contained HTML page to
+ * attach to a code review: a timeline of commands with status, duration and
+ * cost, then each command's reply, tool calls, permission decisions,
+ * terminal output and screenshots. Images are embedded as data URIs, so the
+ * page can be mailed or uploaded on its own.
+ *
+ *   writeReport('./session.json', './session.html', { frames, videoPath });
+ *
+ * Also written by saveSession() for .html paths and by routeTask() with
+ * report: true.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { totalUsage } = require('./usage');
+const { responseLines } = require('./transcript');
+const { readCast, castScreens, renderScreenSvg } = require('./asciicast');
+const { loadRecording } = require('./replay');
+
+const REPORT_DEFAULTS = {
+  maxFrames: 40,                     // frames shown in the gallery (evenly sampled)
+  maxEmbedBytes: 25 * 1024 * 1024,   // larger videos are linked, not embedded
+};
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+};
+
+const STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 1100px; margin: 2em auto; padding: 0 1em; }
+  h1 { margin-bottom: 0.2em; }
+  .meta { color: #59636e; }
+  table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #d1d9e0; vertical-align: top; }
+  th { background: #f6f8fa; }
+  td.num { text-align: right; white-space: nowrap; }
+  section { border: 1px solid #d1d9e0; border-radius: 6px; padding: 0.5em 1em 1em; margin: 1.5em 0; }
+  pre { background: #1e1e1e; color: #e5e5e5; padding: 0.8em; border-radius: 6px; overflow-x: auto; font: 12px/1.4 Menlo, Monaco, monospace; }
+  blockquote { border-left: 4px solid #d1d9e0; margin: 0.5em 0; padding: 0 1em; white-space: pre-wrap; }
+  img, video { max-width: 100%; border: 1px solid #d1d9e0; border-radius: 4px; }
+  .status { font-weight: 600; padding: 1px 6px; border-radius: 4px; }
+  .completed, .allow, .passed { background: #dafbe1; color: #116329; }
+  .timeout, .permission, .escalate { background: #fff8c5; color: #7d4e00; }
+  .error, .deny, .closed, .failed { background: #ffebe9; color: #a40e26; }
+  .frames { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 8px; }
+  .event { color: #59636e; margin: 0.3em 0; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+function formatCost(usage) {
+  return usage ? `$${usage.costUsd.toFixed(4)}` : '—';
+}
+
+function formatBudget(budget) {
+  if (!budget) return 'none';
+  const limits = [
+    budget.maxCostUsd !== null ? `$${budget.maxCostUsd}` : null,
+    budget.maxTokens !== null ? `${budget.maxTokens} tokens` : null,
+  ].filter(Boolean);
+  return `${limits.join(' / ')} (${budget.action})`;
+}
+
+/**
+ * A file as a data URI, or null if it is missing or of an unknown type
+ */
+function dataUri(filepath) {
+  const mime = MIME_TYPES[path.extname(filepath || '').toLowerCase()];
+  if (!mime || !fs.existsSync(filepath)) return null;
+  return `data:${mime};base64,${fs.readFileSync(filepath).toString('base64')}`;
+}
+
+function imageHtml(filepath, caption) {
+  const uri = dataUri(filepath);
+  if (!uri) return `<p class="event">📷 ${escapeHtml(caption)} — <code>${escapeHtml(filepath)}</code> (not found)</p>`;
+  return `<figure><img src="${uri}" alt="${escapeHtml(caption)}"><figcaption class="event">${escapeHtml(caption)}</figcaption></figure>`;
+}
+
+// `count` items spread evenly over the list, first and last included
+function sample(items, count) {
+  if (items.length <= count) return items;
+  return Array.from({ length: count }, (_, i) => items[Math.round(i * (items.length - 1) / (count - 1))]);
+}
+
+/**
+ * Split the log into what happened before the first command and one group
+ * per command: { command, response, usage, entries }
+ */
+function groupEntries(log) {
+  const preamble = [];
+  const groups = [];
+  for (const entry of log) {
+    if (entry.type === 'command') {
+      groups.push({ command: entry, response: null, usage: null, entries: [] });
+      continue;
+    }
+    const group = groups[groups.length - 1];
+    if (!group) {
+      preamble.push(entry);
+      continue;
+    }
+    if (entry.type === 'response' && !group.response) group.response = entry;
+    else if (entry.type === 'usage' && !group.usage) group.usage = entry;
+    else group.entries.push(entry);
+  }
+  return { preamble, groups };
+}
+
+function eventHtml(entry) {
+  switch (entry.type) {
+    case 'screenshot':
+      return imageHtml(entry.path, `Screenshot${entry.event ? ` (${entry.event})` : ''}`);
+    case 'verification': {
+      const outcome = entry.passed ? 'passed' : 'failed';
+      const badge = entry.passed === undefined ? '' : ` <span class="status ${outcome}">${outcome}</span>${entry.message ? ` ${escapeHtml(entry.message)}` : ''}`;
+      return `<p class="event">🔍 Verify: ${escapeHtml(entry.description)}${badge}</p>${entry.screenshot ? imageHtml(entry.screenshot, entry.description) : ''}`;
+    }
+    case 'permission': {
+      const rule = entry.rule ? ` — rule ${escapeHtml(typeof entry.rule === 'string' ? entry.rule : JSON.stringify(entry.rule))}` : '';
+      const feedback = entry.feedback ? ` — “${escapeHtml(entry.feedback)}”` : '';
+      return `<p class="event">🔐 <code>${escapeHtml(entry.tool)}${entry.argument ? `(${escapeHtml(entry.argument)})` : ''}</code> <span class="status ${escapeHtml(entry.decision)}">${escapeHtml(entry.decision)}</span>${entry.intent ? ` ${escapeHtml(entry.intent)}` : ''}${rule}${feedback}</p>`;
+    }
+    case 'keys':
+      return `<p class="event">⌨️ <code>${escapeHtml(entry.keys)}</code></p>`;
+    case 'budget':
+      return `<p class="event">💸 <span class="status error">Budget (${escapeHtml(entry.scope)}) used up</span> — ${escapeHtml(entry.action)}</p>`;
+    case 'recording':
+      return `<p class="event">🎥 Recording saved: <code>${escapeHtml(entry.videoPath || entry.castPath)}</code> (${formatDuration(entry.duration_ms)})</p>`;
+    default:
+      return '';
+  }
+}
+
+function commandHtml({ command, response, usage, entries }, number) {
+  const out = [`<section id="command-${number}">`, `<h3>${number}. <code>${escapeHtml(command.command.split('\n')[0])}</code></h3>`];
+  if (command.command.includes('\n')) out.push(`<pre>${escapeHtml(command.command)}</pre>`);
+
+  if (response) {
+    out.push(`<p><span class="status ${escapeHtml(response.status)}">${escapeHtml(response.status)}</span> in ${formatDuration(response.duration_ms)}${usage ? ` · ${formatCost(usage)} · ${usage.inputTokens} input / ${usage.outputTokens} output tokens` : ''}</p>`);
+  } else {
+    out.push('<p class="event">No response recorded.</p>');
+  }
+
+  // Decisions and other events, in the order they happened
+  out.push(...entries.map(eventHtml).filter(Boolean));
+
+  if (response) {
+    if (response.reply) out.push(`<blockquote>${escapeHtml(response.reply)}</blockquote>`);
+    if (response.toolCalls && response.toolCalls.length) {
+      out.push('<h4>Tool calls</h4>', '<ul>');
+      for (const call of response.toolCalls) {
+        const output = call.output ? `<details><summary>output</summary><pre>${escapeHtml(call.output)}</pre></details>` : '';
+        out.push(`<li><code>${escapeHtml(call.tool)}(${escapeHtml(call.args)})</code>${output}</li>`);
+      }
+      out.push('</ul>');
+    }
+    if (response.files && response.files.length) {
+      out.push(`<p><strong>Files:</strong> ${response.files.map(f => `<code>${escapeHtml(f)}</code>`).join(', ')}</p>`);
+    }
+    const lines = responseLines(response);
+    if (response.terminalDiff && lines.length) {
+      out.push(`<details open><summary>Terminal</summary><pre>${escapeHtml(lines.join('\n'))}</pre></details>`);
+    }
+    if (response.screenshot) out.push(imageHtml(response.screenshot, `After command ${number}`));
+  }
+  out.push('</section>');
+  return out.join('\n');
+}
+
+/**
+ * Frames for the gallery: the given image files, or frames rendered from
+ * the recording's .cast
+ */
+function galleryHtml(frames, castPath, maxFrames) {
+  if (frames && frames.length) {
+    return sample(frames, maxFrames).map((frame, i) => imageHtml(frame, `Frame ${i + 1}`)).join('\n');
+  }
+  if (castPath && fs.existsSync(castPath)) {
+    const cast = readCast(castPath);
+    return sample(castScreens(cast, 1), maxFrames).map((text, i) => {
+      const svg = renderScreenSvg(text, cast.header.width || 80, cast.header.height || 24);
+      return `<figure><img src="data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}" alt="Frame ${i + 1}"><figcaption class="event">Frame ${i + 1}</figcaption></figure>`;
+    }).join('\n');
+  }
+  return '';
+}
+
+function videoHtml(videoPath, maxEmbedBytes) {
+  if (!videoPath || !fs.existsSync(videoPath)) return '';
+  const size = fs.statSync(videoPath).size;
+  const uri = size <= maxEmbedBytes ? dataUri(videoPath) : null;
+  if (!uri) return `<p class="event">🎥 Video: <a href="${escapeHtml(`file://${path.resolve(videoPath)}`)}">${escapeHtml(videoPath)}</a> (${(size / 1024 / 1024).toFixed(1)} MB, not embedded)</p>`;
+  return `<video controls src="${uri}"></video>`;
+}
+
+/**
+ * Render a recording as an HTML page.
+ *
+ * options: any REPORT_DEFAULTS key, plus
+ *   frames     — image paths for the frame gallery (e.g. from getFrames())
+ *   videoPath  — video to embed (default: the last video in the log)
+ *   castPath   — asciicast to render frames from (default: the last in the log)
+ *   screenshots — extra screenshot paths not in the log (e.g. a final one)
+ *   title      — page title
+ */
+function renderReport(recording, options = {}) {
+  const settings = { ...REPORT_DEFAULTS, ...options };
+  const log = recording.log || [];
+  const { preamble, groups } = groupEntries(log);
+  const usage = recording.usage || totalUsage(log);
+  const recordings = log.filter(entry => entry.type === 'recording');
+  const lastOf = field => (recordings.filter(entry => entry[field]).pop() || {})[field];
+  const videoPath = settings.videoPath || lastOf('videoPath');
+  const castPath = settings.castPath || lastOf('castPath');
+  const title = settings.title || `Session ${recording.sessionId} — ${path.basename(recording.path || '')}`;
+
+  const statuses = groups.reduce((counts, { response }) => {
+    const status = response ? response.status : 'no response';
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+  }, {});
+  const permissions = log.filter(entry => entry.type === 'permission');
+
+  const rows = groups.map(({ command, response, usage: spent }, i) => [
+    '<tr>',
+    `<td class="num"><a href="#command-${i + 1}">${i + 1}</a></td>`,
+    `<td>${escapeHtml(new Date(command.timestamp).toISOString().slice(11, 19))}</td>`,
+    `<td><code>${escapeHtml(command.command.split('\n')[0].slice(0, 120))}</code></td>`,
+    `<td>${response ? `<span class="status ${escapeHtml(response.status)}">${escapeHtml(response.status)}</span>` : '—'}</td>`,
+    `<td class="num">${formatDuration(response ? response.duration_ms : null)}</td>`,
+    `<td class="num">${formatCost(spent)}</td>`,
+    '</tr>',
+  ].join(''));
+
+  const gallery = galleryHtml(settings.frames, castPath, settings.maxFrames);
+  const video = videoHtml(videoPath, settings.maxEmbedBytes);
+  const extra = (settings.screenshots || []).filter(Boolean).map(shot => imageHtml(shot, path.basename(shot))).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta"><code>${escapeHtml(recording.path || '')}</code> · ${escapeHtml(recording.backend || 'unknown backend')} · started ${escapeHtml(recording.createdAt || '—')} · ${formatDuration(recording.duration_ms)}</p>
+
+<h2>Summary</h2>
+<table>
+<tr><th>Commands</th><td>${groups.length} (${Object.entries(statuses).map(([status, count]) => `${count} ${escapeHtml(status)}`).join(', ') || 'none'})</td></tr>
+<tr><th>Cost</th><td>${formatCost(usage)} · ${usage.inputTokens} input / ${usage.outputTokens} output tokens · ${usage.cacheReadTokens} cache read / ${usage.cacheWriteTokens} cache write</td></tr>
+<tr><th>Budget</th><td>${escapeHtml(formatBudget(recording.budget))}</td></tr>
+<tr><th>Permission decisions</th><td>${permissions.length ? permissions.map(p => `<span class="status ${escapeHtml(p.decision)}">${escapeHtml(p.decision)}</span> <code>${escapeHtml(p.tool)}</code>`).join(' ') : 'none'}</td></tr>
+</table>
+
+<h2>Timeline</h2>
+<table>
+<tr><th>#</th><th>Time (UTC)</th><th>Command</th><th>Status</th><th>Duration</th><th>Cost</th></tr>
+${rows.join('\n')}
+</table>
+${preamble.map(eventHtml).filter(Boolean).join('\n')}
+
+<h2>Commands</h2>
+${groups.map((group, i) => commandHtml(group, i + 1)).join('\n')}
+${extra ? `\n<h2>Screenshots</h2>\n${extra}` : ''}
+${video ? `\n<h2>Recording</h2>\n${video}` : ''}
+${gallery ? `\n<h2>Frames</h2>\n<div class="frames">\n${gallery}\n</div>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * The recording with relative screenshot, video and cast paths in its log
+ * resolved against baseDir
+ */
+function resolveLogPaths(recording, baseDir) {
+  const resolve = file => (typeof file === 'string' && file && !path.isAbsolute(file) ? path.resolve(baseDir, file) : file);
+  const log = (recording.log || []).map((entry) => {
+    const resolved = { ...entry };
+    for (const field of ['screenshot', 'videoPath', 'castPath']) {
+      if (field in entry) resolved[field] = resolve(entry[field]);
+    }
+    if (entry.type === 'screenshot') resolved.path = resolve(entry.path);
+    return resolved;
+  });
+  return { ...recording, log };
+}
+
+/**
+ * Write the report for a recording (object or saveSession() JSON path).
+ * Relative file paths in a JSON recording's log are taken from the
+ * recording's directory, not the current one. Returns the output path.
+ */
+function writeReport(recording, outputPath, options = {}) {
+  const data = typeof recording === 'string'
+    ? resolveLogPaths(loadRecording(recording), path.dirname(path.resolve(recording)))
+    : recording;
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(outputPath, renderReport(data, options));
+  return outputPath;
+}
+
+module.exports = {
+  REPORT_DEFAULTS,
+  renderReport,
+  writeReport,
+};
@@ -0,0 +1,248 @@
+/**
+ * Screen state classifier
+ *
+ * Turns the text of a Claude Code terminal into a structured state, so
+ * callers stop guessing from one regex over the last few lines:
+ *
+ *   idle         — at the input prompt          { mode, input }
+ *   thinking     — spinner, no tool running      { verb, elapsed }
+ *   tool_running — a tool call has not finished  { tool, argument }
+ *   permission   — tool permission dialog        { dialog: parsePermissionPrompt() result }
+ *   trust        — "Do you trust the files in this folder?"  { options }
+ *   login        — not logged in / key rejected
+ *   rate_limited — usage or rate limit reached   { resetsAt }
+ *   menu         — a selection list is open (/model, /resume, ...)  { title, header, options }
+ *   crashed      — Claude Code exited to the shell (or the pane died)  { exitStatus }
+ *   unknown      — none of the above
+ *
+ * Every result also has `line`, the screen line that decided it.
+ *
+ * The rules are checked against a corpus of real screens in
+ * fixtures/screens/<ui-version>/: each <name>.txt is a captured screen and
+ * <name>.json the fields parseScreen must return for it. When Claude Code's
+ * UI changes, capture the new screens into a new version directory
+ * (`cc-control screenshot <id> --text > fixtures/screens/<version>/<name>.txt`),
+ * write their expectations, and adjust SCREEN_RULES until `npm test` passes
+ * for every version still in use.
+ */
+
+const { parsePermissionPrompt } = require('./policy');
+
+const SCREEN_RULES = {
+  recentLines: 25,
+  // Shell took over: tmux remain-on-exit, Terminal.app, or a bare shell prompt as the last line
+  crashed: [
+    /^Pane is dead(?: \(status (\d+))?/m,
+    /^\[Process completed\]/m,
+  ],
+  shellPrompt: /^(?:\(\S+\)\s+)?(?:\S+@\S+[^$%#>]*|bash-[\d.]+|sh-[\d.]+|[~/][^\s$%#]*)?\s?[$%#]\s*$|^➜\s+\S+/,
+  trust: /Do you trust the files in this folder\?/i,
+  // Login and rate-limit messages only count outside Claude's replies and
+  // tool output: a reply runs from a ⏺ line to the next user prompt or box
+  replyStart: /^\s*⏺/,
+  replyEnd: /^\s*│?\s*>(?:\s|$)|^\s*╭/,
+  login: [
+    /Invalid API key/i,
+    /Please run \/login/i,
+    /Missing API key/i,
+    /OAuth token (?:has )?expired/i,
+    /Select login method/i,
+    /Not logged in/i,
+  ],
+  rateLimited: [
+    /usage limit reached/i,
+    /(?:5-hour|weekly|session) limit reached/i,
+    /rate[ _-]limit(?:ed|_error| exceeded)/i,
+    /API Error: 429/i,
+    /overloaded_error/i,
+  ],
+  resetsAt: /resets?(?: at)?\s+([^.|∙·]+?)\s*(?:[.|∙·]|$)/i,
+  // "✻ Thinking… (12s · esc to interrupt)"
+  spinner: /^\s*([✻✽✶✳✢·*✺])\s+([A-Z][\w-]*)…\s*(?:\((\d+)s\b.*)?$/m,
+  busy: /esc to interrupt/i,
+  // "⏺ Bash(npm test)"
+  toolCall: /^\s*⏺\s+([A-Z]\w*)\((.*)\)\s*$/,
+  toolRunning: /^\s*⎿\s+(?:Running|Waiting)…/,
+  // "❯ 2. Sonnet" — the selected entry of an open list
+  menuSelected: /^❯\s*\d+\.\s/,
+  menuOption: /^(❯)?\s*(\d+)\.\s+(.*)$/,
+  // An input prompt below the list means it was closed
+  menuClosed: /^\s*│?\s*[>❯](?!\s*\d+\.)(?:\s|$)|\? for shortcuts/,
+  idleLines: 5,
+  idle: [
+    /^\s*│?\s*[>❯]\s.*$/m,
+    /\? for shortcuts/i,
+  ],
+  modes: [
+    { pattern: /accept edits on/i, mode: 'accept-edits' },
+    { pattern: /plan mode on/i, mode: 'plan' },
+    { pattern: /bypass permissions on/i, mode: 'bypass' },
+  ],
+};
+
+const STATES = ['idle', 'thinking', 'tool_running', 'permission', 'trust', 'login', 'rate_limited', 'menu', 'crashed', 'unknown'];
+
+function unbox(line) {
+  return line.replace(/^\s*│/, '').replace(/│\s*$/, '').trim();
+}
+
+function lastMatch(lines, pattern) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (pattern.test(lines[i])) return lines[i].trim();
+  }
+  return null;
+}
+
+/**
+ * The lines that are not part of a reply or tool call (see replyStart)
+ */
+function statusLines(lines, rules) {
+  let inReply = false;
+  return lines.filter((line) => {
+    if (rules.replyStart.test(line)) inReply = true;
+    else if (rules.replyEnd.test(line)) inReply = false;
+    return !inReply;
+  });
+}
+
+function lastMatchOf(lines, patterns) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (patterns.some(p => p.test(lines[i]))) return lines[i].trim();
+  }
+  return null;
+}
+
+/**
+ * Classify terminal text. Returns { state, line, ...details } (see above).
+ *
+ * options.rules overrides entries of SCREEN_RULES.
+ */
+function parseScreen(content, options = {}) {
+  const rules = { ...SCREEN_RULES, ...options.rules };
+  const all = (content || '').replace(/\s+$/, '').split('\n');
+  const lines = all.slice(-rules.recentLines);
+  const recent = lines.join('\n');
+  const last = lines.length ? lines[lines.length - 1].trim() : '';
+
+  for (const pattern of rules.crashed) {
+    const m = recent.match(pattern);
+    if (m) return { state: 'crashed', line: m[0].trim(), exitStatus: m[1] !== undefined ? Number(m[1]) : null };
+  }
+  if (last && rules.shellPrompt.test(last) && !rules.idle.some(p => p.test(last))) {
+    return { state: 'crashed', line: last, exitStatus: null };
+  }
+
+  if (rules.trust.test(recent)) {
+    const options = [];
+    for (const line of lines.slice(lines.findIndex(l => rules.trust.test(l)))) {
+      const m = unbox(line).match(/^(❯)?\s*(\d+)\.\s+(.*)$/);
+      if (m) options.push({ number: Number(m[2]), label: m[3].trim(), selected: !!m[1] });
+    }
+    if (options.length) return { state: 'trust', line: unbox(lastMatch(lines, rules.trust)), options };
+  }
+
+  const dialog = parsePermissionPrompt(content);
+  if (dialog && dialog.options.length) {
+    return { state: 'permission', line: dialog.question, dialog };
+  }
+
+  const status = statusLines(lines, rules);
+  const login = lastMatchOf(status, rules.login);
+  if (login) return { state: 'login', line: unbox(login) };
+
+  const limited = lastMatchOf(status, rules.rateLimited);
+  if (limited) {
+    const reset = limited.match(rules.resetsAt);
+    return { state: 'rate_limited', line: unbox(limited), resetsAt: reset ? reset[1].trim() : null };
+  }
+
+  const menu = parseMenu(content, options);
+  if (menu) return { state: 'menu', line: menu.title, ...menu };
+
+  const spinner = lines.map(l => l.match(rules.spinner)).filter(Boolean).pop();
+  if (spinner || rules.busy.test(recent)) {
+    const tool = runningTool(lines, rules);
+    if (tool) return { state: 'tool_running', line: tool.line, tool: tool.tool, argument: tool.argument };
+    return {
+      state: 'thinking',
+      line: spinner ? spinner[0].trim() : lastMatch(lines, rules.busy),
+      verb: spinner ? spinner[2] : null,
+      elapsed: spinner && spinner[3] !== undefined ? Number(spinner[3]) : null,
+    };
+  }
+
+  // The input box and its footer are the last thing on screen
+  const prompt = lastMatchOf(lines.filter(l => l.trim()).slice(-rules.idleLines), rules.idle);
+  if (prompt) {
+    const known = rules.modes.find(m => m.pattern.test(recent));
+    const inputLine = lastMatch(lines, /^\s*│?\s*[>❯](\s|$)/);
+    return {
+      state: 'idle',
+      line: prompt,
+      mode: known ? known.mode : 'default',
+      input: inputLine ? unbox(inputLine).replace(/^[>❯]\s?/, '').trim() : '',
+    };
+  }
+
+  return { state: 'unknown', line: last };
+}
+
+/**
+ * The selection list open at the bottom of the screen, or null:
+ * { title, header: [lines above the options], options: [{ number, label, selected, current }] }.
+ * `current` is the entry marked with ✔ (e.g. the model in use).
+ *
+ * options.rules overrides entries of SCREEN_RULES.
+ */
+function parseMenu(content, options = {}) {
+  const rules = { ...SCREEN_RULES, ...options.rules };
+  const lines = (content || '').replace(/\s+$/, '').split('\n').slice(-rules.recentLines);
+  const isOption = line => rules.menuOption.test(unbox(line));
+
+  let selected = -1;
+  lines.forEach((line, i) => { if (rules.menuSelected.test(unbox(line))) selected = i; });
+  if (selected === -1 || lines.slice(selected + 1).some(l => rules.menuClosed.test(l))) return null;
+
+  let first = selected;
+  while (first > 0 && isOption(lines[first - 1])) first--;
+  let last = selected;
+  while (last < lines.length - 1 && isOption(lines[last + 1])) last++;
+  // Header: up to the box top, or a few lines when the list has no box
+  let top = first;
+  while (top > 0 && first - top < 8 && !/^\s*╭/.test(lines[top - 1]) && !/^\s*[╰⏺⎿]/.test(lines[top - 1])) top--;
+
+  const header = lines.slice(top, first).map(unbox).filter(Boolean);
+  return {
+    title: header[0] || '',
+    header,
+    options: lines.slice(first, last + 1).map((line) => {
+      const m = unbox(line).match(rules.menuOption);
+      const current = /\s*✔\s*$/.test(m[3]);
+      return { number: Number(m[2]), label: m[3].replace(/\s*✔\s*$/, '').trim(), selected: !!m[1], current };
+    }),
+  };
+}
+
+/**
+ * The last tool call on screen, if it has no result yet (or says Running…)
+ */
+function runningTool(lines, rules) {
+  let index = -1;
+  lines.forEach((line, i) => { if (rules.toolCall.test(line)) index = i; });
+  if (index === -1) return null;
+
+  const after = lines.slice(index + 1).filter(l => l.trim());
+  const result = after.find(l => /^\s*⎿/.test(l));
+  const replied = after.some(l => /^\s*⏺/.test(l));
+  if (replied || (result && !rules.toolRunning.test(result))) return null;
+
+  const m = lines[index].match(rules.toolCall);
+  return { tool: m[1], argument: m[2], line: lines[index].trim() };
+}
+
+module.exports = {
+  SCREEN_RULES,
+  STATES,
+  parseScreen,
+  parseMenu,
+};
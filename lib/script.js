@@ -0,0 +1,346 @@
+/**
+ * Scripted sessions
+ *
+ * A session script lists the steps of a Claude Code session declaratively,
+ * in YAML or JSON, instead of a hand-written launch → sleep → send →
+ * screenshot → save → close program:
+ *
+ *   name: Hello script
+ *   project: ./my-project          # relative to the script file
+ *   launch: { backend: tmux }      # launch() options for launch steps
+ *   steps:
+ *     - launch: { approve: true }
+ *     - send: write a hello world script
+ *       until: /Created \w+\.py/   # then wait for this on screen
+ *       timeout: 120
+ *     - expect: hello.py
+ *     - expect-not: /error/i
+ *     - key: shift+tab
+ *     - screenshot: ./shots/done.png
+ *     - save: ./session.json
+ *     - close
+ *
+ * Patterns are plain text (matched as written) or /regex/flags. until,
+ * wait, expect and expect-not look only at what the screen gained since the
+ * last send or answer (the echoed command left out), so a pattern that is
+ * also in the command or an earlier reply doesn't match early; before the
+ * first send they see the whole screen. Every step
+ * passes or fails on its own: a failed expectation is reported and the
+ * script goes on, while a step that throws (launch failed, session gone)
+ * skips the rest. The session is closed at the end unless keepOpen is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { checkScreen, patternAssertion } = require('./assertions');
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Step actions: the options each accepts besides its own value, and
+ * whether the value is required
+ */
+const STEP_ACTIONS = {
+  launch: { modifiers: [], value: false },
+  approve: { modifiers: [], value: false },
+  send: { modifiers: ['until', 'timeout', 'status'], value: true },
+  answer: { modifiers: ['feedback', 'until', 'timeout'], value: true },
+  slash: { modifiers: ['timeout'], value: true },
+  expect: { modifiers: ['timeout'], value: true },
+  'expect-not': { modifiers: ['timeout'], value: true },
+  wait: { modifiers: ['timeout'], value: true },
+  sleep: { modifiers: [], value: true },
+  key: { modifiers: [], value: true },
+  screenshot: { modifiers: [], value: false },
+  record: { modifiers: ['format', 'output', 'interval', 'preset', 'fps'], value: true },
+  save: { modifiers: [], value: true },
+  close: { modifiers: [], value: false },
+};
+
+const COMMON_MODIFIERS = ['name'];
+
+const SCRIPT_DEFAULTS = {
+  timeout: 120,   // seconds for send / wait / until
+  pollMs: 250,
+};
+
+/**
+ * Parse script text: JSON when it looks like JSON (or the file is .json),
+ * YAML otherwise
+ */
+function parseScript(source, filename = '') {
+  const text = String(source);
+  if (/\.json$/i.test(filename) || (/^\s*[{[]/.test(text) && !/\.ya?ml$/i.test(filename))) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filename || 'script'}: ${err.message}`);
+    }
+  }
+  return parseYaml(text);
+}
+
+/**
+ * Normalize and check a script. Each step becomes
+ * { number, action, value, options, label }; mistakes throw with the step
+ * number, before anything runs.
+ */
+function validateScript(script) {
+  if (!script || typeof script !== 'object' || !Array.isArray(script.steps)) {
+    throw new Error('A session script needs a "steps" list');
+  }
+  if (!script.steps.length) throw new Error('A session script needs at least one step');
+
+  const steps = script.steps.map((step, i) => {
+    const number = i + 1;
+    const entry = typeof step === 'string' ? { [step]: null } : step;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Step ${number}: expected an action name or a mapping, got ${JSON.stringify(step)}`);
+    }
+    const actions = Object.keys(entry).filter(key => STEP_ACTIONS[key]);
+    if (actions.length !== 1) {
+      const found = actions.length ? actions.join(', ') : Object.keys(entry).join(', ') || 'nothing';
+      throw new Error(`Step ${number}: needs exactly one action (got ${found}). Valid: ${Object.keys(STEP_ACTIONS).join(', ')}`);
+    }
+    const [action] = actions;
+    const spec = STEP_ACTIONS[action];
+    const value = entry[action];
+    if (spec.value && (value === null || value === undefined || value === '')) {
+      throw new Error(`Step ${number}: "${action}" needs a value`);
+    }
+    const options = { ...entry };
+    delete options[action];
+    for (const key of Object.keys(options)) {
+      if (!spec.modifiers.includes(key) && !COMMON_MODIFIERS.includes(key)) {
+        const valid = [...spec.modifiers, ...COMMON_MODIFIERS].join(', ');
+        throw new Error(`Step ${number}: unknown option "${key}" for ${action}. Valid: ${valid}`);
+      }
+    }
+    if (action === 'record' && !['start', 'stop'].includes(value)) {
+      throw new Error(`Step ${number}: record must be "start" or "stop", got ${JSON.stringify(value)}`);
+    }
+    if ((action === 'sleep' || options.timeout !== undefined) && !(Number(action === 'sleep' ? value : options.timeout) >= 0)) {
+      throw new Error(`Step ${number}: ${action === 'sleep' ? 'sleep' : 'timeout'} must be a number of seconds`);
+    }
+
+    const shown = value === null || value === undefined ? '' : ` ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+    return { number, action, value, options, label: options.name || `${action}${shown}`.split('\n')[0] };
+  });
+
+  return { ...script, steps };
+}
+
+/**
+ * Read and validate a script file
+ */
+function loadScript(filepath) {
+  let source;
+  try {
+    source = fs.readFileSync(filepath, 'utf-8');
+  } catch (err) {
+    throw new Error(`Could not read session script ${filepath}: ${err.message}`);
+  }
+  return validateScript(parseScript(source, filepath));
+}
+
+/**
+ * Run a script through the index.js API.
+ *
+ * options:
+ *   cc       — the library (default require('../index'))
+ *   baseDir  — where relative paths in the script point (default cwd)
+ *   onStep   — callback(result) as each step finishes
+ *   keepOpen — leave the session running afterwards (or script.keepOpen)
+ *
+ * Returns { name, passed, sessionId, steps: [{ number, action, label,
+ * status: 'passed' | 'failed' | 'skipped', message, duration_ms }] }.
+ */
+async function runScript(script, options = {}) {
+  // Scripts from loadScript() / validateScript() are already normalized
+  const normalized = Array.isArray(script.steps) && script.steps.every(step => step && step.action && step.label);
+  const checked = normalized ? script : validateScript(script);
+  const cc = options.cc || require('../index');
+  const baseDir = options.baseDir || process.cwd();
+  const keepOpen = options.keepOpen ?? checked.keepOpen ?? false;
+  const defaultTimeout = checked.timeout ?? SCRIPT_DEFAULTS.timeout;
+  const resolve = file => path.resolve(baseDir, String(file));
+
+  let sessionId = null;
+  let closed = false;
+  const requireSession = () => {
+    if (sessionId === null) throw new Error('No session — add a launch step first');
+    if (closed) throw new Error('The session was closed by an earlier step');
+    return sessionId;
+  };
+
+  // The screen before the last send/answer, and what was sent
+  let before = null;
+  let sent = '';
+  const markScreen = (id, command) => {
+    before = cc.getStatus(id).backend === 'headless' ? null : cc.readTerminalContent(id);
+    sent = command;
+  };
+
+  // Check what the screen gained since markScreen() (lib/assertions.js),
+  // polling for up to timeoutSeconds
+  const checkNew = (value, timeoutSeconds, negate = false) => {
+    const id = requireSession();
+    return checkScreen(() => cc.readTerminalContent(id), patternAssertion(value, negate), {
+      timeoutMs: timeoutSeconds * 1000,
+      pollMs: SCRIPT_DEFAULTS.pollMs,
+      since: before,
+      command: sent,
+    });
+  };
+  const waitUntil = async (value, timeoutSeconds) => {
+    const { passed } = await checkNew(value, timeoutSeconds);
+    return passed ? null : `"${value}" did not appear within ${timeoutSeconds}s`;
+  };
+
+  // Each returns null on success or a failure message
+  const run = {
+    async launch(value) {
+      if (sessionId !== null && !closed) throw new Error('A session is already running — close it before launching another');
+      const settings = { ...(checked.launch || {}), ...(value && typeof value === 'object' ? value : {}) };
+      const project = typeof value === 'string' ? value : settings.project || checked.project;
+      if (!project) throw new Error('launch needs a project path (step value, "project" or launch.project)');
+      const { approve, ...launchOptions } = settings;
+      delete launchOptions.project;
+      sessionId = await cc.launch(resolve(project), launchOptions);
+      closed = false;
+      before = null;
+      if (approve) await cc.approveSecurity(sessionId);
+      return null;
+    },
+    async approve() {
+      await cc.approveSecurity(requireSession());
+      return null;
+    },
+    async send(value, { until, timeout = defaultTimeout, status = 'completed' }) {
+      const id = requireSession();
+      markScreen(id, String(value));
+      const result = await cc.send(id, String(value), { timeoutSeconds: Number(timeout) });
+      if (result.status !== status) return `send ended with status "${result.status}", expected "${status}"`;
+      return until === undefined ? null : waitUntil(until, Number(timeout));
+    },
+    async answer(value, { feedback, until, timeout = defaultTimeout }) {
+      const id = requireSession();
+      markScreen(id, '');
+      await cc.answerPermission(id, String(value), { feedback });
+      return until === undefined ? null : waitUntil(until, Number(timeout));
+    },
+    async slash(value, { timeout = defaultTimeout }) {
+      await cc.slashCommand(requireSession(), String(value), { timeoutMs: Number(timeout) * 1000 });
+      return null;
+    },
+    async expect(value, { timeout = 0 }) {
+      const { passed } = await checkNew(value, Number(timeout));
+      return passed ? null : `"${value}" is not on screen`;
+    },
+    async 'expect-not'(value, { timeout = 0 }) {
+      const { passed } = await checkNew(value, Number(timeout), true);
+      return passed ? null : `"${value}" is on screen`;
+    },
+    async wait(value, { timeout = defaultTimeout }) {
+      return waitUntil(value, Number(timeout));
+    },
+    async sleep(value) {
+      await pause(Number(value) * 1000);
+      return null;
+    },
+    async key(value) {
+      await cc.sendKeys(requireSession(), String(value));
+      return null;
+    },
+    async screenshot(value) {
+      const id = requireSession();
+      const outputPath = value ? resolve(value) : undefined;
+      if (outputPath) fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      if (cc.screenshot(id, outputPath)) return null;
+      // No screen capture on this backend: keep the terminal text instead
+      if (outputPath) fs.writeFileSync(outputPath.replace(/(\.\w+)?$/, '.txt'), cc.readTerminalContent(id));
+      return null;
+    },
+    async record(value, { format, output, interval, preset, fps }) {
+      const id = requireSession();
+      if (value === 'stop') {
+        await cc.stopRecording(id);
+        return null;
+      }
+      await cc.startRecording(id, {
+        format,
+        preset,
+        fps,
+        intervalMs: interval,
+        outputPath: output && resolve(output),
+      });
+      return null;
+    },
+    async save(value) {
+      const outputPath = resolve(value);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      await cc.saveSession(requireSession(), outputPath);
+      return null;
+    },
+    async close() {
+      await cc.close(requireSession());
+      closed = true;
+      return null;
+    },
+  };
+
+  const results = [];
+  let aborted = null;
+  for (const step of checked.steps) {
+    const base = { number: step.number, action: step.action, label: step.label };
+    if (aborted) {
+      results.push({ ...base, status: 'skipped', message: `after step ${aborted} failed`, duration_ms: 0 });
+      if (options.onStep) options.onStep(results[results.length - 1]);
+      continue;
+    }
+
+    const start = Date.now();
+    let result;
+    try {
+      const failure = await run[step.action](step.value, step.options);
+      result = { ...base, status: failure ? 'failed' : 'passed', message: failure || null };
+    } catch (err) {
+      result = { ...base, status: 'failed', message: err.message };
+      aborted = step.number;
+    }
+    result.duration_ms = Date.now() - start;
+    results.push(result);
+    if (options.onStep) options.onStep(result);
+  }
+
+  if (sessionId !== null && !closed && !keepOpen) {
+    try { await cc.close(sessionId); } catch {}
+  }
+
+  return {
+    name: checked.name || null,
+    passed: results.every(result => result.status === 'passed'),
+    sessionId,
+    steps: results,
+  };
+}
+
+/**
+ * One line per step result: "✔ 2. send hello (1.3s)"
+ */
+function formatStep(result) {
+  const mark = { passed: '✔', failed: '✘', skipped: '–' }[result.status];
+  const detail = result.message ? ` — ${result.message}` : '';
+  return `${mark} ${result.number}. ${result.label} (${(result.duration_ms / 1000).toFixed(1)}s)${detail}`;
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  SCRIPT_DEFAULTS,
+  parseScript,
+  validateScript,
+  loadScript,
+  runScript,
+  formatStep,
+};
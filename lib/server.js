@@ -0,0 +1,442 @@
+/**
+ * HTTP/WebSocket control server
+ *
+ * Exposes the session API to other services over local HTTP:
+ *
+ *   GET    /sessions                 → listSessions()
+ *   POST   /sessions                 { path, options, watch, record } → launch()
+ *   POST   /sessions/:id/send        { command, timeoutSeconds, stopOnPermission, input } → send()
+ *   POST   /sessions/:id/approve     → approveSecurity() (trust dialog)
+ *   POST   /sessions/:id/permission  { intent, feedback } → answerPermission()
+ *   POST   /sessions/:id/keys        { keys }     → sendKeys() ("shift+tab", "esc esc", ...)
+ *   POST   /sessions/:id/interrupt   → interrupt()
+ *   POST   /sessions/:id/auto-accept { enabled }  → toggleAutoAccept()
+ *   POST   /sessions/:id/rewind      { messages } → rewind()
+ *   POST   /sessions/:id/slash       { command }  → slashCommand(): { output, state }
+ *   GET    /sessions/:id/cost        → getCost()
+ *   GET    /sessions/:id/usage       → getUsage()
+ *   POST   /sessions/:id/budget      { maxCostUsd, maxTokens, action } → setBudget()
+ *   DELETE /sessions/:id/budget      → setBudget(null)
+ *   GET    /sessions/:id/status      → getStatus()
+ *   GET    /sessions/:id/screenshot  → PNG (terminal text when the backend
+ *                                      has no screen capture, or ?format=text)
+ *   POST   /sessions/:id/recording   { preset, ... } → startRecording()
+ *   DELETE /sessions/:id/recording   → stopRecording()
+ *   DELETE /sessions/:id[?save=file] → saveSession() (optional) + close()
+ *
+ * and a WebSocket at /sessions/:id/stream that pushes JSON events:
+ *
+ *   { type: 'content', content }          terminal text changed
+ *   { type: 'permission', prompt }        a permission dialog appeared
+ *   { type: 'prompt', label, response }   the session's watcher answered a prompt
+ *   { type: 'command' | 'response', ... } a send() started / finished
+ *   { type: 'closed' }                    the session was closed
+ *
+ * Requests and responses are JSON; errors are { error } with a 4xx/5xx code.
+ *
+ * Every request needs the server's token (`Authorization: Bearer <token>`,
+ * or `?token=` on the stream), POST bodies must be application/json, and
+ * requests whose Host or Origin is not on the allow lists get 403 — so a web
+ * page the user happens to open cannot reach the server through their
+ * browser. Clients cannot pick the program a session runs (`command`,
+ * `extraArgs`) or where files are written: `?save=` and a recording's
+ * `outputPath` are plain file names inside the server's output directory.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { acceptWebSocket } = require('./websocket');
+const { parsePermissionPrompt } = require('./policy');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// launch() options a client may set; the rest (command, extraArgs,
+// tmuxSession, events, ...) stay with whoever starts the server
+const REMOTE_LAUNCH_OPTIONS = [
+  'backend', 'startupMs', 'cols', 'rows', 'headless', 'model', 'permissionMode',
+  'allowedTools', 'budget', 'trackUsage', 'transcript',
+];
+
+// send() options a client may set. Completion heuristics (idlePatterns,
+// busyPatterns, ...) hold RegExps, which JSON can't carry
+const REMOTE_SEND_OPTIONS = {
+  timeoutSeconds: value => typeof value === 'number' && value > 0,
+  stopOnPermission: value => typeof value === 'boolean',
+  input: value => !!value && typeof value === 'object' && !Array.isArray(value),
+};
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Library error messages → HTTP status codes
+const ERROR_STATUSES = [
+  { pattern: /^(Invalid session|No saved session)/, status: 404 },
+  { pattern: /^Project path does not exist|^Unknown (backend|preset|answer|key|budget action)|^Empty key spec|^A budget needs|^Budget max/, status: 400 },
+  { pattern: /^Budget exceeded/, status: 402 },
+  { pattern: /headless and has no terminal|not supported|already|has no active|not showing a permission dialog|dialog has no|not at the input prompt|did not open|did not close|did not finish|Could not switch|No conversation matches/, status: 409 },
+];
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, err) {
+  const known = ERROR_STATUSES.find(e => e.pattern.test(err.message));
+  const statusCode = err.statusCode || (known ? known.status : 500);
+  sendJson(res, statusCode, { error: err.message });
+}
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(httpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the control server (not yet listening).
+ *
+ * options:
+ *   cc               — session API to serve (default: this package's index.js)
+ *   streamIntervalMs — how often streamed sessions are polled (default 500)
+ *   token            — secret every request must carry (default: random,
+ *                      readable as server.token)
+ *   launchOptions    — launch() options fixed by the server and applied to
+ *                      every launch (e.g. { command: 'claude --verbose' })
+ *   outputDir        — where ?save= and recording files are written
+ *                      (default ~/.claude-code-control/output)
+ *   allowedHosts     — Host names accepted besides localhost/127.0.0.1/[::1]
+ *   allowedOrigins   — browser Origins accepted (default: none)
+ */
+function createServer(options = {}) {
+  const {
+    cc = require('../index'),
+    streamIntervalMs = 500,
+    token = crypto.randomBytes(24).toString('hex'),
+    launchOptions: fixedLaunchOptions = {},
+    outputDir = path.join(os.homedir(), '.claude-code-control', 'output'),
+    allowedHosts = [],
+    allowedOrigins = [],
+  } = options;
+  const hosts = new Set([...LOCAL_HOSTS, ...allowedHosts].map(host => host.toLowerCase()));
+  const origins = new Set(allowedOrigins.map(origin => origin.toLowerCase()));
+
+  /**
+   * Why a request may not be served, as [statusCode, message], or null
+   */
+  function rejectRequest(req, url) {
+    const host = (req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+    if (!hosts.has(host)) return [403, `Host not allowed: ${req.headers.host || '(none)'}`];
+    const origin = req.headers.origin;
+    if (origin && !origins.has(origin.toLowerCase())) return [403, `Origin not allowed: ${origin}`];
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!tokenMatches(bearer ? bearer[1] : url.searchParams.get('token'), token)) {
+      return [401, 'Missing or wrong token'];
+    }
+    return null;
+  }
+
+  /**
+   * A client-supplied file name → a path inside outputDir
+   */
+  function outputFile(name) {
+    const file = String(name);
+    if (!file || file !== path.basename(file) || file.startsWith('.')) {
+      throw httpError(400, `"${file}" is not a plain file name (files are written to the server's output directory)`);
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    return path.join(outputDir, file);
+  }
+
+  function recordingOptions(record) {
+    const { outputPath, ...rest } = record === true ? {} : record;
+    return outputPath ? { ...rest, outputPath: outputFile(outputPath) } : rest;
+  }
+
+  // sessionId → { clients, timer, lastContent, lastPromptKey }
+  const streams = new Map();
+
+  function broadcast(sessionId, event) {
+    const stream = streams.get(Number(sessionId));
+    if (!stream) return;
+    const message = JSON.stringify({ sessionId: Number(sessionId), timestamp: Date.now(), ...event });
+    stream.clients.forEach(ws => ws.send(message));
+  }
+
+  function pollStream(sessionId, stream) {
+    let content;
+    try {
+      content = cc.readTerminalContent(sessionId);
+    } catch (err) {
+      // Closed behind the server's back (another process, a budget)
+      if (/^Invalid session/.test(err.message)) endStream(sessionId);
+      else broadcast(sessionId, { type: 'error', error: err.message });
+      return;
+    }
+    if (content === stream.lastContent) return;
+    stream.lastContent = content;
+    broadcast(sessionId, { type: 'content', content });
+
+    const prompt = parsePermissionPrompt(content);
+    const promptKey = prompt ? `${prompt.question}\n${prompt.argument}` : null;
+    if (prompt && promptKey !== stream.lastPromptKey) {
+      broadcast(sessionId, { type: 'permission', prompt });
+    }
+    stream.lastPromptKey = promptKey;
+  }
+
+  function stopStream(sessionId) {
+    const stream = streams.get(sessionId);
+    if (!stream) return;
+    clearInterval(stream.timer);
+    stream.clients.forEach(ws => ws.close());
+    streams.delete(sessionId);
+  }
+
+  function endStream(sessionId) {
+    broadcast(sessionId, { type: 'closed' });
+    stopStream(sessionId);
+  }
+
+  function openStream(sessionId, ws) {
+    let stream = streams.get(sessionId);
+    if (!stream) {
+      stream = { clients: new Set(), timer: null, lastContent: null, lastPromptKey: null };
+      streams.set(sessionId, stream);
+      stream.timer = setInterval(() => pollStream(sessionId, stream), streamIntervalMs);
+    }
+    stream.clients.add(ws);
+    ws.on('close', () => {
+      stream.clients.delete(ws);
+      if (!stream.clients.size && streams.get(sessionId) === stream) {
+        clearInterval(stream.timer);
+        streams.delete(sessionId);
+      }
+    });
+
+    // Send the current screen straight away
+    stream.lastContent = null;
+    pollStream(sessionId, stream);
+  }
+
+  // ─── Routes ──────────────────────────────────────────────
+
+  async function launchSession(req, res) {
+    const { path: projectPath, options: launchOptions = {}, watch, record } = await readJson(req);
+    if (!projectPath) throw httpError(400, 'Missing "path"');
+    const refused = Object.keys(launchOptions).find(key => !REMOTE_LAUNCH_OPTIONS.includes(key));
+    if (refused) {
+      throw httpError(400, `Launch option "${refused}" can't be set over HTTP (allowed: ${REMOTE_LAUNCH_OPTIONS.join(', ')})`);
+    }
+
+    const sessionId = await cc.launch(projectPath, { ...launchOptions, ...fixedLaunchOptions });
+
+    if (watch) {
+      cc.watchForPrompts(sessionId, {
+        ...(watch === true ? {} : watch),
+        onPrompt: (label, response) => broadcast(sessionId, { type: 'prompt', label, response }),
+      });
+    }
+    const recording = record ? await cc.startRecording(sessionId, recordingOptions(record)) : null;
+
+    sendJson(res, 201, { sessionId, status: cc.getStatus(sessionId), recording });
+  }
+
+  async function sendCommand(req, res, sessionId) {
+    const { command, ...sendOptions } = await readJson(req);
+    if (!command) throw httpError(400, 'Missing "command"');
+    // Checked before anything is typed: a bad option must not leave a turn running
+    for (const [key, value] of Object.entries(sendOptions)) {
+      if (!REMOTE_SEND_OPTIONS[key]) {
+        throw httpError(400, `Send option "${key}" can't be set over HTTP (allowed: ${Object.keys(REMOTE_SEND_OPTIONS).join(', ')})`);
+      }
+      if (!REMOTE_SEND_OPTIONS[key](value)) throw httpError(400, `Invalid value for send option "${key}": ${JSON.stringify(value)}`);
+    }
+    if (!cc.getStatus(sessionId)) throw httpError(404, `Invalid session: ${sessionId}`);
+
+    broadcast(sessionId, { type: 'command', command });
+    let result;
+    try {
+      result = await cc.send(sessionId, command, sendOptions);
+      broadcast(sessionId, { type: 'response', result });
+    } finally {
+      // A budget with action 'close' closes the session inside send()
+      if (!cc.getStatus(sessionId)) endStream(Number(sessionId));
+    }
+    sendJson(res, 200, result);
+  }
+
+  function getStatus(res, sessionId) {
+    const status = cc.getStatus(sessionId);
+    if (!status) throw httpError(404, `Invalid session: ${sessionId}`);
+    sendJson(res, 200, status);
+  }
+
+  function getScreenshot(res, sessionId, format) {
+    const status = cc.getStatus(sessionId);
+    if (!status) throw httpError(404, `Invalid session: ${sessionId}`);
+
+    const backend = status.backend === 'headless' ? null : cc.getBackend(status.backend);
+    if (format !== 'text' && backend && backend.screenCapture) {
+      const screenshotPath = cc.screenshot(sessionId);
+      if (!screenshotPath) throw httpError(500, 'Screenshot failed');
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(fs.readFileSync(screenshotPath));
+      return;
+    }
+
+    const content = cc.readTerminalContent(sessionId);
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(content);
+  }
+
+  async function closeSession(res, sessionId, savePath) {
+    if (!cc.getStatus(sessionId)) throw httpError(404, `Invalid session: ${sessionId}`);
+    const saved = savePath ? await cc.saveSession(sessionId, outputFile(savePath)) : null;
+    await cc.close(sessionId);
+    endStream(Number(sessionId));
+    sendJson(res, 200, { sessionId: Number(sessionId), closed: true, saved });
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const method = req.method;
+    const rejected = rejectRequest(req, url);
+    if (rejected) throw httpError(...rejected);
+    if (method === 'POST' && !/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+      throw httpError(415, 'POST bodies must be sent as Content-Type: application/json');
+    }
+
+    if (url.pathname === '/sessions') {
+      if (method === 'GET') return sendJson(res, 200, cc.listSessions());
+      if (method === 'POST') return launchSession(req, res);
+    }
+
+    const match = url.pathname.match(/^\/sessions\/(\d+)(?:\/(send|approve|permission|keys|interrupt|auto-accept|rewind|slash|cost|usage|budget|status|screenshot|recording))?$/);
+    if (match) {
+      const [, sessionId, action] = match;
+      if (!action && method === 'DELETE') return closeSession(res, sessionId, url.searchParams.get('save'));
+      if (action === 'send' && method === 'POST') return sendCommand(req, res, sessionId);
+      if (action === 'approve' && method === 'POST') {
+        await cc.approveSecurity(sessionId);
+        return sendJson(res, 200, { sessionId: Number(sessionId), approved: true });
+      }
+      if (action === 'permission' && method === 'POST') {
+        const { intent, feedback } = await readJson(req);
+        const answer = await cc.answerPermission(sessionId, intent, { feedback });
+        return sendJson(res, 200, { sessionId: Number(sessionId), intent, option: answer.option, prompt: answer.prompt });
+      }
+      if (action === 'keys' && method === 'POST') {
+        const { keys } = await readJson(req);
+        cc.sendKeys(sessionId, keys);
+        return sendJson(res, 200, { sessionId: Number(sessionId), keys });
+      }
+      if (action === 'interrupt' && method === 'POST') {
+        return sendJson(res, 200, { sessionId: Number(sessionId), ...await cc.interrupt(sessionId) });
+      }
+      if (action === 'auto-accept' && method === 'POST') {
+        const { enabled } = await readJson(req);
+        return sendJson(res, 200, { sessionId: Number(sessionId), ...await cc.toggleAutoAccept(sessionId, enabled) });
+      }
+      if (action === 'rewind' && method === 'POST') {
+        const { messages } = await readJson(req);
+        return sendJson(res, 200, { sessionId: Number(sessionId), ...await cc.rewind(sessionId, { messages }) });
+      }
+      if (action === 'slash' && method === 'POST') {
+        const { command } = await readJson(req);
+        if (!/^\//.test(command || '')) throw httpError(400, 'Missing "command" (a slash command such as /cost)');
+        const { output, screen } = await cc.slashCommand(sessionId, command);
+        return sendJson(res, 200, { sessionId: Number(sessionId), command, output, state: screen.state });
+      }
+      if (action === 'cost' && method === 'GET') {
+        return sendJson(res, 200, { sessionId: Number(sessionId), ...await cc.getCost(sessionId) });
+      }
+      if (action === 'usage' && method === 'GET') {
+        return sendJson(res, 200, { sessionId: Number(sessionId), ...cc.getUsage(sessionId) });
+      }
+      if (action === 'budget' && (method === 'POST' || method === 'DELETE')) {
+        const budget = cc.setBudget(sessionId, method === 'POST' ? await readJson(req) : null);
+        return sendJson(res, 200, { sessionId: Number(sessionId), budget });
+      }
+      if (action === 'status' && method === 'GET') return getStatus(res, sessionId);
+      if (action === 'screenshot' && method === 'GET') return getScreenshot(res, sessionId, url.searchParams.get('format'));
+      if (action === 'recording' && method === 'POST') {
+        return sendJson(res, 201, await cc.startRecording(sessionId, recordingOptions(await readJson(req))));
+      }
+      if (action === 'recording' && method === 'DELETE') {
+        return sendJson(res, 200, await cc.stopRecording(sessionId));
+      }
+    }
+
+    throw httpError(404, `No route for ${method} ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => sendError(res, err));
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const rejected = rejectRequest(req, url);
+    if (rejected) {
+      socket.end(`HTTP/1.1 ${rejected[0]} ${http.STATUS_CODES[rejected[0]]}\r\n\r\n`);
+      return;
+    }
+    const match = url.pathname.match(/^\/sessions\/(\d+)\/stream$/);
+    const status = match ? cc.getStatus(match[1]) : null;
+    if (!status) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    if (status.backend === 'headless') {
+      socket.end('HTTP/1.1 409 Conflict\r\n\r\n');
+      return;
+    }
+    const ws = acceptWebSocket(req, socket);
+    if (ws) openStream(Number(match[1]), ws);
+  });
+
+  // Streams hold their sockets open, so end them before the server closes
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    Array.from(streams.keys()).forEach(stopStream);
+    return closeServer(callback);
+  };
+
+  server.token = token;
+  return server;
+}
+
+module.exports = {
+  createServer,
+};
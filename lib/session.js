@@ -0,0 +1,252 @@
+/**
+ * Event-emitting session objects
+ *
+ * launch(path, { events: true }) returns a Session instead of a numeric id.
+ * It wraps the id-based API and turns watchForPrompts' polling into events:
+ *
+ *   ready               (status)            launch finished
+ *   output              ({ content, text }) terminal text changed; text is the new lines
+ *   prompt              (label, response)   a PROMPT_PATTERNS prompt appeared
+ *   permission          (prompt)            a tool permission dialog appeared (lib/policy.js)
+ *   state               (state, screen)     the screen state changed (lib/screen.js)
+ *   idle                ()                  Claude Code is back at its input prompt
+ *   error               (err)               polling or a send failed
+ *   budget              (overrun)           a send used up a budget (lib/usage.js)
+ *   recording:start     (result)
+ *   recording:stop      (result)
+ *   closed              ()
+ *
+ * Prompts are only reported by default; pass watch: { respond: true } (and
+ * optionally a policy) to have the watcher answer them as well.
+ */
+
+const { EventEmitter } = require('events');
+const { parseScreen } = require('./screen');
+const { diffContent } = require('./extract');
+
+class Session extends EventEmitter {
+  /**
+   * @param {object} cc        - the id-based API (index.js exports)
+   * @param {number} sessionId - id returned by the underlying launch
+   * @param {object} [options]
+   * @param {object} [options.watch] - watchForPrompts options; intervalMs defaults to 1000, respond to false
+   */
+  constructor(cc, sessionId, options = {}) {
+    super();
+    this.cc = cc;
+    this.id = sessionId;
+    this.options = options;
+    this.state = null; // last screen state (lib/screen.js STATES)
+    this.lastContent = '';
+    this.closed = false;
+  }
+
+  /**
+   * Start polling and emit 'ready' once callers have had a chance to subscribe
+   */
+  start() {
+    const status = this.cc.getStatus(this.id);
+    if (status.backend !== 'headless') {
+      this.cc.watchForPrompts(this.id, {
+        intervalMs: 1000,
+        respond: false,
+        ...this.options.watch,
+        onContent: content => this.handleContent(content),
+        onPrompt: (label, response) => this.emit('prompt', label, response),
+        onPermission: prompt => this.emit('permission', prompt),
+        onError: err => this.fail(err),
+      });
+    }
+    setImmediate(() => this.emit('ready', status));
+    return this;
+  }
+
+  handleContent(content) {
+    const text = diffContent(this.lastContent, content, '');
+    this.lastContent = content;
+    this.emit('output', { content, text });
+    const screen = parseScreen(content);
+    this.setState(screen.state, screen);
+  }
+
+  setState(state, screen = { state }) {
+    if (state === this.state) return;
+    this.state = state;
+    this.emit('state', state, screen);
+    if (state === 'idle') this.emit('idle');
+  }
+
+  /**
+   * Emit 'error' if anyone listens — an unhandled 'error' event would
+   * otherwise crash the process over a transient polling failure
+   */
+  fail(err) {
+    if (this.listenerCount('error')) this.emit('error', err);
+    else console.error(`[CC-${this.id}] ${err.message}`);
+  }
+
+  async send(command, options) {
+    try {
+      const result = await this.cc.send(this.id, command, options);
+      const status = this.cc.getStatus(this.id);
+      if (result.status === 'error') this.fail(new Error(result.error));
+      if (result.status === 'completed' && status) {
+        if (result.reply && status.backend === 'headless') {
+          this.emit('output', { content: result.reply, text: result.reply });
+        }
+        this.setState('idle');
+      }
+      if (result.budget) {
+        this.emit('budget', result.budget);
+        // The 'close' action has already closed the session
+        if (!status) {
+          this.closed = true;
+          this.emit('closed');
+        }
+      }
+      return result;
+    } catch (err) {
+      this.fail(err);
+      throw err;
+    }
+  }
+
+  screenshot(outputPath) {
+    return this.cc.screenshot(this.id, outputPath);
+  }
+
+  readContent() {
+    return this.cc.readTerminalContent(this.id);
+  }
+
+  getStatus() {
+    return this.cc.getStatus(this.id);
+  }
+
+  getScreenState() {
+    return this.cc.getScreenState(this.id);
+  }
+
+  verifyScreen(description, checks) {
+    return this.cc.verifyScreen(this.id, description, checks);
+  }
+
+  expectText(text, options) {
+    return this.cc.expectText(this.id, text, options);
+  }
+
+  expectRegex(regex, options) {
+    return this.cc.expectRegex(this.id, regex, options);
+  }
+
+  expectNoText(text, options) {
+    return this.cc.expectNoText(this.id, text, options);
+  }
+
+  waitForText(text, options) {
+    return this.cc.waitForText(this.id, text, options);
+  }
+
+  expectState(state, options) {
+    return this.cc.expectState(this.id, state, options);
+  }
+
+  approveSecurity() {
+    return this.cc.approveSecurity(this.id);
+  }
+
+  answerPermission(intent, options) {
+    return this.cc.answerPermission(this.id, intent, options);
+  }
+
+  sendKeys(keys) {
+    return this.cc.sendKeys(this.id, keys);
+  }
+
+  interrupt(options) {
+    return this.cc.interrupt(this.id, options);
+  }
+
+  toggleAutoAccept(enabled) {
+    return this.cc.toggleAutoAccept(this.id, enabled);
+  }
+
+  rewind(options) {
+    return this.cc.rewind(this.id, options);
+  }
+
+  slashCommand(command, options) {
+    return this.cc.slashCommand(this.id, command, options);
+  }
+
+  clearConversation() {
+    return this.cc.clearConversation(this.id);
+  }
+
+  compactConversation(instructions, options) {
+    return this.cc.compactConversation(this.id, instructions, options);
+  }
+
+  getCost() {
+    return this.cc.getCost(this.id);
+  }
+
+  switchModel(model) {
+    return this.cc.switchModel(this.id, model);
+  }
+
+  resumeConversation(pick) {
+    return this.cc.resumeConversation(this.id, pick);
+  }
+
+  initProject(options) {
+    return this.cc.initProject(this.id, options);
+  }
+
+  reviewChanges(target, options) {
+    return this.cc.reviewChanges(this.id, target, options);
+  }
+
+  listMemory() {
+    return this.cc.listMemory(this.id);
+  }
+
+  listPermissions() {
+    return this.cc.listPermissions(this.id);
+  }
+
+  getUsage() {
+    return this.cc.getUsage(this.id);
+  }
+
+  setBudget(budget) {
+    return this.cc.setBudget(this.id, budget);
+  }
+
+  saveSession(filepath, options) {
+    return this.cc.saveSession(this.id, filepath, options);
+  }
+
+  async startRecording(options) {
+    const result = await this.cc.startRecording(this.id, options);
+    this.emit('recording:start', result);
+    return result;
+  }
+
+  async stopRecording() {
+    const result = await this.cc.stopRecording(this.id);
+    this.emit('recording:stop', result);
+    return result;
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    await this.cc.close(this.id);
+    this.emit('closed');
+  }
+}
+
+module.exports = {
+  Session,
+};
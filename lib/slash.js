@@ -0,0 +1,211 @@
+/**
+ * Slash-command outcomes
+ *
+ * Parses what Claude Code's built-in slash commands print into data for the
+ * helpers in index.js (getCost, switchModel, resumeConversation, ...):
+ *
+ *   /cost         → parseCost() over the lines the command added
+ *   /compact      → "Conversation compacted" or "Error during compaction"
+ *   /model <name> → "Set model to <name> (<id>)"
+ *   /model, /resume, /memory, /permissions open a list — see parseMenu()
+ *   in lib/screen.js; the helpers read it, then pick an entry or close it
+ */
+
+const SLASH_PATTERNS = {
+  cost: /Total cost:|no need to monitor cost/i,
+  subscription: /no need to monitor cost/i,
+  compacted: /Conversation compacted|Compacted\b/i,
+  compactFailed: /Error during compaction[^\n]*/i,
+  modelSet: /Set model to\s+(.+?)(?:\s+\(([^)]+)\))?\s*$/m,
+  modelKept: /Kept model as\s+(.+?)(?:\s+\(([^)]+)\))?\s*$/m,
+  modelError: /(?:Invalid|Unknown) model[^\n]*|Model .+ not found[^\n]*/i,
+  // Titles of the lists the commands open
+  modelPicker: /^Select model/i,
+  resumePicker: /^Resume (?:a previous )?(?:conversation|session)/i,
+  noConversations: /No conversations found[^\n]*/i,
+  memoryPicker: /^Select memory/i,
+  permissionsPicker: /^Permissions/i,
+};
+
+/**
+ * "1.2k" → 1200, "3.4m" → 3400000, "1,024" → 1024
+ */
+function parseCount(text) {
+  const m = String(text).trim().match(/^([\d.,]+)\s*([kmb])?$/i);
+  if (!m) return null;
+  const scale = { k: 1e3, m: 1e6, b: 1e9 }[(m[2] || '').toLowerCase()] || 1;
+  return Math.round(Number(m[1].replace(/,/g, '')) * scale);
+}
+
+/**
+ * "1h 2m 3.5s" / "450ms" → milliseconds
+ */
+function parseDuration(text) {
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = null;
+  for (const [, value, unit] of String(text).matchAll(/([\d.]+)\s*(ms|h|m|s)\b/g)) {
+    total = (total || 0) + Number(value) * units[unit];
+  }
+  return total === null ? null : Math.round(total);
+}
+
+/**
+ * Parse the /cost summary:
+ *
+ *   Total cost:            $0.0123
+ *   Total duration (API):  12.3s
+ *   Total duration (wall): 1m 2.3s
+ *   Total code changes:    10 lines added, 2 lines removed
+ *   Usage by model:
+ *       claude-sonnet:  1.2k input, 340 output, 20.5k cache read, 3.2k cache write
+ *
+ * Returns { costUsd, apiDurationMs, wallDurationMs, linesAdded, linesRemoved,
+ * inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, models,
+ * subscription }, or null when the text has no summary. Subscription plans
+ * print no cost; costUsd is null then.
+ */
+function parseCost(text) {
+  if (!SLASH_PATTERNS.cost.test(text || '')) return null;
+  const field = (pattern) => {
+    const m = text.match(pattern);
+    return m ? m[1].trim() : null;
+  };
+
+  const cost = field(/Total cost:\s*\$([\d.,]+)/i);
+  const api = field(/Total duration \(API\):\s*([^\n]+)/i);
+  const wall = field(/Total duration \(wall\):\s*([^\n]+)/i);
+  const changes = text.match(/Total code changes:\s*([\d,]+) lines? added,\s*([\d,]+) lines? removed/i);
+
+  const models = [];
+  const usage = text.split(/Usage by model:/i)[1] || '';
+  for (const line of usage.split('\n')) {
+    const m = line.match(/^[\s⎿]*([\w.:@/-]+):\s+(.*\d.*)$/);
+    if (!m) continue;
+    const tokens = kind => {
+      const t = m[2].match(new RegExp(`([\\d.,]+\\s*[kmb]?)\\s+${kind}`, 'i'));
+      return t ? parseCount(t[1]) : 0;
+    };
+    const cost = m[2].match(/\(\$([\d.,]+)\)/);
+    models.push({
+      model: m[1],
+      inputTokens: tokens('input'),
+      outputTokens: tokens('output'),
+      cacheReadTokens: tokens('cache read'),
+      cacheWriteTokens: tokens('cache write'),
+      costUsd: cost ? Number(cost[1].replace(/,/g, '')) : null,
+    });
+  }
+  const sum = key => models.reduce((total, model) => total + model[key], 0);
+
+  return {
+    costUsd: cost === null ? null : Number(cost.replace(/,/g, '')),
+    apiDurationMs: api === null ? null : parseDuration(api),
+    wallDurationMs: wall === null ? null : parseDuration(wall),
+    linesAdded: changes ? parseCount(changes[1]) : null,
+    linesRemoved: changes ? parseCount(changes[2]) : null,
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    cacheReadTokens: sum('cacheReadTokens'),
+    cacheWriteTokens: sum('cacheWriteTokens'),
+    models,
+    subscription: SLASH_PATTERNS.subscription.test(text),
+  };
+}
+
+/**
+ * Parse what `/model <name>` printed: { model, id } or null
+ */
+function parseModelChange(text) {
+  const m = (text || '').match(SLASH_PATTERNS.modelSet) || (text || '').match(SLASH_PATTERNS.modelKept);
+  return m ? { model: m[1].trim(), id: m[2] ? m[2].trim() : null } : null;
+}
+
+// List entries put their columns two or more spaces apart
+function columns(label) {
+  return label.split(/\s{2,}/).map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * The /model picker's entries: [{ number, name, description, selected, current }]
+ */
+function parseModelOptions(menu) {
+  return menu.options.map((option) => {
+    const [name, ...rest] = columns(option.label);
+    return { number: option.number, name, description: rest.join(' '), selected: option.selected, current: option.current };
+  });
+}
+
+/**
+ * The /resume list's entries. With a column header ("Modified  Created
+ * # Messages  Git Branch  Summary") each entry gets those fields; otherwise
+ * the whole label is the summary.
+ */
+function parseResumeEntries(menu) {
+  const headerLine = menu.header.find(line => /Modified/i.test(line) && /Summary|Messages/i.test(line));
+  const names = headerLine
+    ? columns(headerLine).map(name => name.replace(/^#\s*/, '').toLowerCase().replace(/\s+(\w)/g, (_, c) => c.toUpperCase()))
+    : null;
+
+  return menu.options.map((option) => {
+    const entry = { number: option.number, selected: option.selected, label: option.label };
+    const values = columns(option.label);
+    if (names && values.length === names.length) {
+      names.forEach((name, i) => { entry[name] = values[i]; });
+      if (entry.messages !== undefined) entry.messages = parseCount(entry.messages);
+    } else {
+      entry.summary = option.label;
+    }
+    return entry;
+  });
+}
+
+/**
+ * The /memory list: [{ number, scope, path }] ("Project memory  Checked in at ./CLAUDE.md")
+ */
+function parseMemoryFiles(menu) {
+  return menu.options.map((option) => {
+    const where = option.label.match(/\b(?:at|in)\s+(\S+)\s*$/);
+    return { number: option.number, scope: columns(option.label)[0], path: where ? where[1] : null };
+  });
+}
+
+/**
+ * The /permissions list: the rules on the tab shown, without "Add a new rule…"
+ */
+function parsePermissionRules(menu) {
+  return menu.options.map(option => option.label).filter(label => !/^Add a new rule/i.test(label));
+}
+
+/**
+ * Find a list entry by number, label text (case-insensitive) or RegExp
+ */
+function findEntry(options, pick) {
+  if (typeof pick === 'number') return options.find(o => o.number === pick) || null;
+  if (pick instanceof RegExp) return options.find(o => pick.test(o.label)) || null;
+  const text = String(pick).toLowerCase();
+  return options.find(o => o.label.toLowerCase().includes(text)) || null;
+}
+
+/**
+ * Key spec that moves from the selected entry to `entry` and presses Enter
+ */
+function menuKeys(menu, entry) {
+  const current = Math.max(0, menu.options.findIndex(o => o.selected));
+  const target = menu.options.indexOf(entry);
+  const direction = target > current ? 'down' : 'up';
+  return [...Array(Math.abs(target - current)).fill(direction), 'enter'].join(' ');
+}
+
+module.exports = {
+  SLASH_PATTERNS,
+  parseCount,
+  parseDuration,
+  parseCost,
+  parseModelChange,
+  parseModelOptions,
+  parseResumeEntries,
+  parseMemoryFiles,
+  parsePermissionRules,
+  findEntry,
+  menuKeys,
+};
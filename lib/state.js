@@ -0,0 +1,223 @@
+/**
+ * Session persistence
+ *
+ * Every session is mirrored to <stateDir>/<id>.json (terminal target, path,
+ * log, recording state, budget) so a later Node process can attach to a session an
+ * earlier one started — send to it, screenshot it, stop its recording or
+ * close it.
+ *
+ * The state directory is $CC_STATE_DIR, or ~/.claude-code-control/sessions.
+ * Session ids are reserved by exclusively creating the state file, so they
+ * stay unique across processes.
+ *
+ * Several processes may drive the same session (a watcher in one, CLI sends
+ * from others), so a write re-reads the file under <id>.json.lock and
+ * merges: log entries and commands the other processes added are kept, the
+ * rest of the state is last-writer-wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getBackend } = require('./backends');
+const { appendLogEntries } = require('./transcript');
+
+function stateDir() {
+  return process.env.CC_STATE_DIR || path.join(os.homedir(), '.claude-code-control', 'sessions');
+}
+
+function stateFile(sessionId) {
+  return path.join(stateDir(), `${sessionId}.json`);
+}
+
+function ensureStateDir() {
+  const dir = stateDir();
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function listIds() {
+  if (!fs.existsSync(stateDir())) return [];
+  return fs.readdirSync(stateDir())
+    .map(f => f.match(/^(\d+)\.json$/))
+    .filter(Boolean)
+    .map(m => Number(m[1]));
+}
+
+/**
+ * Reserve the next free session id (at least minId)
+ */
+function reserveSessionId(minId = 1) {
+  ensureStateDir();
+  let id = Math.max(minId, Math.max(0, ...listIds()) + 1);
+  for (;;) {
+    try {
+      fs.writeFileSync(stateFile(id), '{}', { flag: 'wx' });
+      return id;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      id++;
+    }
+  }
+}
+
+/**
+ * Plain-JSON snapshot of a session (no process handles or timers)
+ */
+function serializeSession(session) {
+  const { recording, headless } = session;
+  return {
+    id: session.id,
+    path: session.path,
+    backend: session.backend ? session.backend.name : null,
+    terminal: session.terminal,
+    headless: headless ? { ...headless, proc: undefined } : null,
+    created_at: session.created_at,
+    commandCount: session.commandCount,
+    sessionLog: session.sessionLog,
+    ready: session.ready,
+    transcript: session.transcript !== false,
+    usageTracking: !!session.usageTracking,
+    budget: session.budget || null,
+    recording: recording ? {
+      format: recording.format || 'mp4',
+      pid: recording.process ? recording.process.pid : recording.pid,
+      videoPath: recording.videoPath,
+      castPath: recording.castPath,
+      startTime: recording.startTime,
+      bounds: recording.bounds,
+    } : null,
+    ownerPid: process.pid,
+    updated_at: Date.now(),
+  };
+}
+
+/**
+ * Rebuild an in-memory session from its saved state
+ */
+function deserializeSession(state) {
+  return {
+    id: state.id,
+    path: state.path,
+    backend: state.backend ? getBackend(state.backend) : null,
+    terminal: state.terminal,
+    headless: state.headless ? { ...state.headless, proc: null } : null,
+    created_at: state.created_at,
+    commandCount: state.commandCount,
+    sessionLog: state.sessionLog || [],
+    ready: state.ready,
+    transcript: state.transcript !== false,
+    usageTracking: !!state.usageTracking,
+    budget: state.budget || null,
+    recording: state.recording,
+    watcher: null,
+    synced: { log: (state.sessionLog || []).length, commands: state.commandCount || 0 },
+  };
+}
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run fn() holding <file>.lock. A lock older than LOCK_STALE_MS was left by
+ * a process that died and is taken over.
+ */
+function withLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  const start = Date.now();
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      let age = 0;
+      try { age = Date.now() - fs.statSync(lockFile).mtimeMs; } catch {}
+      if (age > LOCK_STALE_MS) {
+        try { fs.unlinkSync(lockFile); } catch {}
+      } else if (Date.now() - start > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for the lock on ${file}`);
+      } else {
+        sleepSync(10);
+      }
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    try { fs.unlinkSync(lockFile); } catch {}
+  }
+}
+
+/**
+ * Save a session, merged with what other processes saved since this one
+ * last read or wrote it. Returns false (and writes nothing) when the state
+ * file is gone, i.e. another process closed the session.
+ */
+function writeSessionState(session) {
+  ensureStateDir();
+  const file = stateFile(session.id);
+  return withLock(file, () => {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      saved = {};
+    }
+
+    // What this process has added since it last synced, on top of the file
+    const synced = session.synced || { log: 0, commands: 0 };
+    if (Array.isArray(saved.sessionLog) && saved.sessionLog.length > synced.log) {
+      session.sessionLog = appendLogEntries(saved.sessionLog, session.sessionLog, synced.log);
+      session.commandCount = (saved.commandCount || 0) + (session.commandCount - synced.commands);
+    }
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(serializeSession(session), null, 2));
+    fs.renameSync(tmpFile, file);
+    session.synced = { log: session.sessionLog.length, commands: session.commandCount };
+    return true;
+  });
+}
+
+/**
+ * Read a session's saved state, or null if there is none
+ */
+function readSessionState(sessionId) {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile(sessionId), 'utf-8'));
+    return state.id ? state : null; // '{}' while the id is only reserved
+  } catch {
+    return null;
+  }
+}
+
+function listSessionStates() {
+  return listIds()
+    .sort((a, b) => a - b)
+    .map(readSessionState)
+    .filter(Boolean);
+}
+
+function removeSessionState(sessionId) {
+  const file = stateFile(sessionId);
+  if (!fs.existsSync(file)) return;
+  withLock(file, () => {
+    try { fs.unlinkSync(file); } catch {}
+  });
+}
+
+module.exports = {
+  stateDir,
+  reserveSessionId,
+  writeSessionState,
+  readSessionState,
+  listSessionStates,
+  removeSessionState,
+  deserializeSession,
+};
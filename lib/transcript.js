@@ -0,0 +1,233 @@
+/**
+ * Terminal transcripts
+ *
+ * Screenshots alone can't be searched or diffed, so command, response and
+ * verification entries in the session log also carry the terminal text:
+ *
+ *   terminal      — full snapshot (readTerminalContent) when the entry was
+ *                   made; only on the first and every SNAPSHOT_INTERVAL-th
+ *                   snapshot, so a long session's log doesn't hold the whole
+ *                   screen once per command
+ *   terminalDiff  — what changed since the previous snapshot in the log, as
+ *                   one splice: { start, deleteCount, insert: [lines] }
+ *                   (null for the first snapshot)
+ *
+ * applySnapshotDiff(previous, diff) rebuilds a snapshot from the one before;
+ * terminalSnapshots(log) and lastTerminal(log) rebuild them from a log.
+ * transcriptText() and transcriptMarkdown() turn a log into the plain-text
+ * and Markdown exports written by saveSession().
+ */
+
+const { stripAnsi } = require('./extract');
+
+// Snapshots between two full ones carry only their terminalDiff
+const SNAPSHOT_INTERVAL = 10;
+
+function toLines(text) {
+  return stripAnsi(text || '').replace(/\s+$/, '').split('\n');
+}
+
+/**
+ * One splice turning `before` into `after` (common leading and trailing
+ * lines are kept). Line numbers are 0-based.
+ */
+function snapshotDiff(before, after) {
+  const a = toLines(before);
+  const b = toLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  return { start, deleteCount: endA - start, insert: b.slice(start, endB) };
+}
+
+/**
+ * Apply a snapshotDiff() result to the snapshot it was taken against
+ */
+function applySnapshotDiff(before, diff) {
+  const lines = toLines(before);
+  lines.splice(diff.start, diff.deleteCount, ...diff.insert);
+  return lines.join('\n');
+}
+
+/**
+ * The last snapshot in the log (rebuilt from the full one before it) and how
+ * many diff-only snapshots have followed that full one
+ */
+function latestSnapshot(sessionLog) {
+  const diffs = [];
+  for (let i = sessionLog.length - 1; i >= 0; i--) {
+    const entry = sessionLog[i];
+    if (typeof entry.terminal === 'string') {
+      return { terminal: diffs.reduceRight((text, diff) => applySnapshotDiff(text, diff), entry.terminal), sinceFull: diffs.length };
+    }
+    if (entry.terminalDiff) diffs.push(entry.terminalDiff);
+  }
+  return { terminal: null, sinceFull: 0 };
+}
+
+/**
+ * The terminal text of the last snapshot in the log, or null
+ */
+function lastTerminal(sessionLog) {
+  return latestSnapshot(sessionLog).terminal;
+}
+
+/**
+ * Every entry's terminal text, rebuilt where only the diff was stored
+ * (null for entries without a snapshot)
+ */
+function terminalSnapshots(sessionLog) {
+  let current = null;
+  return sessionLog.map((entry) => {
+    if (typeof entry.terminal === 'string') current = entry.terminal;
+    else if (entry.terminalDiff && current !== null) current = applySnapshotDiff(current, entry.terminalDiff);
+    else return null;
+    return current;
+  });
+}
+
+/**
+ * { terminal, terminalDiff } for a new log entry, diffed against the last
+ * snapshot already in the log; `terminal` is left out between full snapshots
+ */
+function snapshotFields(sessionLog, content) {
+  const terminal = stripAnsi(content || '').replace(/\s+$/, '');
+  const { terminal: previous, sinceFull } = latestSnapshot(sessionLog);
+  if (previous === null) return { terminal, terminalDiff: null };
+  const terminalDiff = snapshotDiff(previous, terminal);
+  return sinceFull + 1 >= SNAPSHOT_INTERVAL ? { terminal, terminalDiff } : { terminalDiff };
+}
+
+/**
+ * `log` followed by the entries `ownLog` has from index `from` on, their
+ * snapshots re-diffed against what now comes before them (another process
+ * may have added entries in between)
+ */
+function appendLogEntries(log, ownLog, from) {
+  const snapshots = terminalSnapshots(ownLog);
+  const merged = log.slice();
+  ownLog.slice(from).forEach((entry, i) => {
+    const snapshot = snapshots[from + i];
+    if (snapshot === null) {
+      merged.push(entry);
+      return;
+    }
+    const { terminal, terminalDiff, ...rest } = entry;
+    merged.push({ ...rest, ...snapshotFields(merged, snapshot) });
+  });
+  return merged;
+}
+
+function timeOf(entry) {
+  return new Date(entry.timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * The lines a response added to the terminal: the splice against the
+ * command's snapshot, or the reply for headless sessions
+ */
+function responseLines(response) {
+  if (response.terminalDiff) return response.terminalDiff.insert;
+  return response.reply ? response.reply.split('\n') : [];
+}
+
+/**
+ * Pair each command with the response that followed it
+ */
+function exchanges(sessionLog) {
+  const result = [];
+  for (const entry of sessionLog) {
+    if (entry.type === 'command') result.push({ command: entry, response: null, usage: null });
+    const last = result[result.length - 1];
+    if (!last) continue;
+    if (entry.type === 'response' && !last.response) last.response = entry;
+    if (entry.type === 'usage' && !last.usage) last.usage = entry;
+  }
+  return result;
+}
+
+/**
+ * Plain-text transcript: each command with what the terminal showed after it
+ */
+function transcriptText(recording) {
+  const out = [
+    `Session ${recording.sessionId} — ${recording.path}`,
+    `Started ${recording.createdAt}, ${recording.commands_sent} command(s)`,
+    '',
+  ];
+  for (const { command, response } of exchanges(recording.log)) {
+    out.push(`── ${timeOf(command)} ${'─'.repeat(50)}`, `> ${command.command}`, '');
+    if (response) {
+      out.push(...responseLines(response), '', `[${response.status}, ${Math.round(response.duration_ms / 1000)}s]`, '');
+    } else {
+      out.push('[no response recorded]', '');
+    }
+  }
+  return `${out.join('\n').replace(/\n+$/, '')}\n`;
+}
+
+/**
+ * Markdown transcript: a section per command with the reply, tool calls,
+ * files, usage and the terminal lines in a fenced block
+ */
+function transcriptMarkdown(recording) {
+  const fence = lines => {
+    const ticks = lines.some(l => l.includes('```')) ? '````' : '```';
+    return [`${ticks}text`, ...lines, ticks];
+  };
+  const out = [
+    `# Session ${recording.sessionId}`,
+    '',
+    `- **Project:** \`${recording.path}\``,
+    `- **Backend:** ${recording.backend}`,
+    `- **Started:** ${recording.createdAt}`,
+    `- **Commands:** ${recording.commands_sent}`,
+  ];
+  if (recording.usage) {
+    out.push(`- **Usage:** $${recording.usage.costUsd.toFixed(4)}, ${recording.usage.inputTokens} input / ${recording.usage.outputTokens} output tokens`);
+  }
+
+  exchanges(recording.log).forEach(({ command, response, usage }, i) => {
+    out.push('', `## ${i + 1}. ${command.command.split('\n')[0]}`, '', `*${timeOf(command)}*`);
+    if (command.command.includes('\n')) out.push('', ...fence(command.command.split('\n')));
+    if (!response) {
+      out.push('', '_No response recorded._');
+      return;
+    }
+    out.push('', `**Status:** ${response.status} in ${Math.round(response.duration_ms / 1000)}s`);
+    if (usage) out.push(`**Usage:** $${usage.costUsd.toFixed(4)}, ${usage.inputTokens} input / ${usage.outputTokens} output tokens`);
+    if (response.reply) out.push('', ...response.reply.split('\n').map(line => `> ${line}`));
+    if (response.toolCalls && response.toolCalls.length) {
+      out.push('', '**Tool calls:**', '', ...response.toolCalls.map(t => `- \`${t.tool}(${t.args})\``));
+    }
+    if (response.files && response.files.length) {
+      out.push('', `**Files:** ${response.files.map(f => `\`${f}\``).join(', ')}`);
+    }
+    const lines = responseLines(response);
+    if (response.terminalDiff && lines.length) {
+      out.push('', '<details><summary>Terminal</summary>', '', ...fence(lines), '', '</details>');
+    }
+    if (response.screenshot) out.push('', `![Screenshot](${response.screenshot})`);
+  });
+  return `${out.join('\n')}\n`;
+}
+
+module.exports = {
+  SNAPSHOT_INTERVAL,
+  snapshotDiff,
+  applySnapshotDiff,
+  lastTerminal,
+  terminalSnapshots,
+  snapshotFields,
+  appendLogEntries,
+  responseLines,
+  transcriptText,
+  transcriptMarkdown,
+};
@@ -0,0 +1,136 @@
+/**
+ * Token and cost accounting
+ *
+ * Every command's spend is logged as a { type: 'usage' } session log entry:
+ *
+ *   - headless runs: the usage fields of stream-json's final `result` event
+ *   - interactive sessions (with usage tracking on): the `/cost` summary
+ *     after the command, minus what earlier entries already counted — /cost
+ *     is cumulative for the Claude Code process
+ *
+ * A session's total is the sum of its entries, so it survives being
+ * attached from another process. Budgets cap that total:
+ *
+ *   { maxCostUsd, maxTokens, action: 'interrupt' | 'close' }
+ *
+ * maxTokens counts input + output tokens (cache reads and writes are
+ * reported but not counted against it).
+ */
+
+const USAGE_FIELDS = ['costUsd', 'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+const BUDGET_ACTIONS = ['interrupt', 'close'];
+
+function emptyUsage() {
+  return { costUsd: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
+
+// Float sums drift (0.1 + 0.2); dollars are kept to the micro-cent
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function addUsage(a, b) {
+  const sum = emptyUsage();
+  for (const field of USAGE_FIELDS) sum[field] = (a[field] || 0) + (b[field] || 0);
+  sum.costUsd = roundCost(sum.costUsd);
+  return sum;
+}
+
+/**
+ * after − before, never below zero (a restarted Claude Code resets /cost)
+ */
+function subtractUsage(after, before) {
+  const diff = emptyUsage();
+  for (const field of USAGE_FIELDS) diff[field] = Math.max(0, (after[field] || 0) - (before[field] || 0));
+  diff.costUsd = roundCost(diff.costUsd);
+  return diff;
+}
+
+/**
+ * Usage of one headless run, from stream-json's `result` event
+ */
+function usageFromResult(event) {
+  const usage = (event && event.usage) || {};
+  return {
+    costUsd: roundCost(event ? event.total_cost_usd ?? event.cost_usd ?? 0 : 0),
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+/**
+ * Cumulative usage from a parseCost() result (lib/slash.js). Subscription
+ * plans show no dollar figure; costUsd is 0 then.
+ */
+function usageFromCost(cost) {
+  const usage = emptyUsage();
+  for (const field of USAGE_FIELDS) usage[field] = cost[field] || 0;
+  return usage;
+}
+
+/**
+ * Sum of a session log's usage entries
+ */
+function totalUsage(sessionLog) {
+  return (sessionLog || []).filter(e => e.type === 'usage').reduce(addUsage, emptyUsage());
+}
+
+/**
+ * Validate a budget; null/undefined clears it
+ */
+function normalizeBudget(budget) {
+  if (!budget) return null;
+  const { maxCostUsd = null, maxTokens = null, action = 'interrupt' } = budget;
+  if (maxCostUsd === null && maxTokens === null) throw new Error('A budget needs maxCostUsd or maxTokens');
+  for (const [name, value] of [['maxCostUsd', maxCostUsd], ['maxTokens', maxTokens]]) {
+    if (value !== null && !(typeof value === 'number' && value >= 0)) {
+      throw new Error(`Budget ${name} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (!BUDGET_ACTIONS.includes(action)) {
+    throw new Error(`Unknown budget action: ${action}. Valid: ${BUDGET_ACTIONS.join(', ')}`);
+  }
+  return { maxCostUsd, maxTokens, action };
+}
+
+/**
+ * The limit `usage` has reached, or null: { limit, spent, max }.
+ * Reaching the limit counts as exceeding it.
+ */
+function budgetExceeded(usage, budget) {
+  if (!budget) return null;
+  if (budget.maxCostUsd !== null && usage.costUsd >= budget.maxCostUsd) {
+    return { limit: 'maxCostUsd', spent: usage.costUsd, max: budget.maxCostUsd };
+  }
+  const tokens = usage.inputTokens + usage.outputTokens;
+  if (budget.maxTokens !== null && tokens >= budget.maxTokens) {
+    return { limit: 'maxTokens', spent: tokens, max: budget.maxTokens };
+  }
+  return null;
+}
+
+/**
+ * "$0.0120 of $0.0100" / "1200 of 1000 tokens"
+ */
+function describeOverrun({ limit, spent, max }) {
+  return limit === 'maxCostUsd'
+    ? `$${spent.toFixed(4)} of $${max.toFixed(4)}`
+    : `${spent} of ${max} tokens`;
+}
+
+module.exports = {
+  USAGE_FIELDS,
+  BUDGET_ACTIONS,
+  emptyUsage,
+  addUsage,
+  subtractUsage,
+  usageFromResult,
+  usageFromCost,
+  totalUsage,
+  normalizeBudget,
+  budgetExceeded,
+  describeOverrun,
+};
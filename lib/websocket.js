@@ -0,0 +1,165 @@
+/**
+ * Minimal server-side WebSocket (RFC 6455)
+ *
+ * Just enough for the control server's event stream: the upgrade handshake,
+ * unfragmented text frames out, and close/ping handling in. Messages from
+ * the client are emitted as 'message' events but nothing depends on them.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest frame a client may send; nothing the server reads comes close
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+const CLOSE_TOO_BIG = 1009;
+
+const OPCODES = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+/**
+ * Encode one unmasked (server → client) frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete frame in buffer.
+ * Returns { opcode, payload, size } or null if more bytes are needed; throws
+ * as soon as the header announces a payload over maxBytes.
+ */
+function decodeFrame(buffer, maxBytes = MAX_FRAME_BYTES) {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > maxBytes) throw new Error(`WebSocket frame too large (${length} bytes, limit ${maxBytes})`);
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { opcode, payload, size: offset + length };
+}
+
+/**
+ * Complete the upgrade handshake for an HTTP 'upgrade' request.
+ *
+ * Returns an EventEmitter with send(text), close() and 'message' / 'close'
+ * events, or null (after rejecting the request) if it is not a WebSocket
+ * upgrade.
+ */
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+
+  const ws = new EventEmitter();
+  let closed = false;
+  let buffer = Buffer.alloc(0);
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    ws.emit('close');
+  };
+
+  ws.send = (text) => {
+    if (closed) return;
+    socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+  };
+
+  ws.close = () => {
+    if (closed) return;
+    try { socket.end(encodeFrame(OPCODES.close)); } catch {}
+    finish();
+  };
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    let frame;
+    try {
+      while ((frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+        if (frame.opcode === OPCODES.close) {
+          ws.close();
+          return;
+        }
+        if (frame.opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        } else if (frame.opcode === OPCODES.text) {
+          ws.emit('message', frame.payload.toString());
+        }
+      }
+    } catch {
+      // Oversized frame: say why, then drop the connection without buffering it
+      const code = Buffer.alloc(2);
+      code.writeUInt16BE(CLOSE_TOO_BIG);
+      buffer = Buffer.alloc(0);
+      try { socket.write(encodeFrame(OPCODES.close, code)); } catch {}
+      socket.destroy();
+      finish();
+    }
+  });
+
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  return ws;
+}
+
+module.exports = {
+  MAX_FRAME_BYTES,
+  acceptWebSocket,
+  encodeFrame,
+  decodeFrame,
+};
@@ -0,0 +1,271 @@
+/**
+ * A small YAML reader for session scripts (lib/script.js)
+ *
+ * The package has no dependencies, so this covers the subset scripts need
+ * rather than the whole spec:
+ *
+ *   - block mappings and sequences, nested by indentation
+ *   - "- key: value" sequence items that start a mapping
+ *   - plain, 'single' and "double" quoted scalars; true/false, null/~ and
+ *     numbers are typed, everything else is a string
+ *   - flow collections: [a, b] and { key: value }
+ *   - literal (|) and folded (>) block scalars
+ *   - # comments
+ *
+ * Anchors, aliases, tags and multiple documents are rejected with an error
+ * naming the line, rather than misread.
+ */
+
+function yamlError(lineNumber, message) {
+  return new Error(`YAML error on line ${lineNumber}: ${message}`);
+}
+
+/**
+ * Cut a trailing comment: "#" at the start or after whitespace, outside quotes
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote === "'" && c === "'" && text[i + 1] === "'") {
+      i++; // '' is an escaped quote
+    } else if (quote) {
+      if (c === quote && !(quote === '"' && text[i - 1] === '\\')) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s[{,:-]/.test(text[i - 1])) quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).replace(/\s+$/, '');
+    }
+  }
+  return text.replace(/\s+$/, '');
+}
+
+/**
+ * Position of the ":" ending a mapping key, or -1
+ */
+function keyEnd(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if ((c === '"' || c === "'") && i === 0) {
+      quote = c;
+    } else if (c === '[' || c === '{') {
+      return -1;
+    } else if (c === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function plainScalar(text) {
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return Number(text);
+  return text;
+}
+
+function quotedScalar(text, lineNumber) {
+  if (text[0] === '"') {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw yamlError(lineNumber, `bad double-quoted string: ${text}`);
+    }
+  }
+  if (!/^'(?:[^']|'')*'$/.test(text)) throw yamlError(lineNumber, `bad single-quoted string: ${text}`);
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+/**
+ * Parse a flow collection ("[a, {b: 1}]") or scalar starting at text[pos]
+ */
+function parseFlow(text, pos, lineNumber) {
+  const skip = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const value = () => {
+    skip();
+    const c = text[pos];
+    if (c === '[') {
+      pos++;
+      const list = [];
+      for (skip(); text[pos] !== ']'; skip()) {
+        list.push(value());
+        skip();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== ']') throw yamlError(lineNumber, `expected "," or "]" in ${text}`);
+      }
+      pos++;
+      return list;
+    }
+    if (c === '{') {
+      pos++;
+      const map = {};
+      for (skip(); text[pos] !== '}'; skip()) {
+        const key = scalar(true);
+        skip();
+        if (text[pos] !== ':') throw yamlError(lineNumber, `expected ":" after "${key}" in ${text}`);
+        pos++;
+        map[key] = value();
+        skip();
+        if (text[pos] === ',') pos++;
+        else if (text[pos] !== '}') throw yamlError(lineNumber, `expected "," or "}" in ${text}`);
+      }
+      pos++;
+      return map;
+    }
+    return scalar(false);
+  };
+  const scalar = (isKey) => {
+    const c = text[pos];
+    if (c === '"' || c === "'") {
+      let i = pos + 1;
+      for (; i < text.length; i++) {
+        if (c === '"' && text[i] === '\\') {
+          i++;
+        } else if (text[i] === c) {
+          if (c === "'" && text[i + 1] === "'") i++;
+          else break;
+        }
+      }
+      if (i >= text.length) throw yamlError(lineNumber, `unterminated string in ${text}`);
+      const quoted = text.slice(pos, i + 1);
+      pos = i + 1;
+      return quotedScalar(quoted, lineNumber);
+    }
+    const stop = isKey ? /[:,}\]]/ : /[,}\]]/;
+    const start = pos;
+    while (pos < text.length && !stop.test(text[pos])) pos++;
+    if (pos >= text.length) throw yamlError(lineNumber, `unterminated flow collection: ${text}`);
+    return plainScalar(text.slice(start, pos).trim());
+  };
+
+  const result = value();
+  skip();
+  if (pos < text.length) throw yamlError(lineNumber, `unexpected "${text.slice(pos)}" after flow collection`);
+  return result;
+}
+
+function inlineValue(text, lineNumber) {
+  if (!text) return null;
+  if (/^[&*!]/.test(text)) throw yamlError(lineNumber, 'anchors, aliases and tags are not supported');
+  if (text[0] === '[' || text[0] === '{') return parseFlow(text, 0, lineNumber);
+  if (text[0] === '"' || text[0] === "'") return quotedScalar(text, lineNumber);
+  return plainScalar(text);
+}
+
+/**
+ * Parse YAML text into plain objects, arrays and scalars
+ */
+function parseYaml(source) {
+  const raw = String(source).replace(/\r\n?/g, '\n').split('\n');
+  const lines = [];
+  raw.forEach((line, i) => {
+    if (/^\t/.test(line)) throw yamlError(i + 1, 'tabs are not allowed for indentation');
+    if (/^(---|\.\.\.)\s*$/.test(line)) {
+      if (lines.length) throw yamlError(i + 1, 'multiple documents are not supported');
+      return;
+    }
+    const text = stripComment(line);
+    lines.push({ number: i + 1, indent: text.length - text.trimStart().length, text: text.trim(), raw: line });
+  });
+
+  let index = 0;
+  const nextContent = () => {
+    while (index < lines.length && !lines[index].text) index++;
+    return lines[index];
+  };
+
+  // Literal (|) or folded (>) block: every following line indented past `parentIndent`
+  function blockScalar(style, parentIndent) {
+    const body = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.text) {
+        if (line.indent <= parentIndent) break;
+        if (blockIndent === null) blockIndent = line.indent;
+        body.push(line.raw.slice(Math.min(blockIndent, line.indent)));
+      } else {
+        body.push('');
+      }
+      index++;
+    }
+    while (body.length && !body[body.length - 1].trim()) body.pop();
+    const chomp = style.slice(1);
+    // Folded: single line breaks become spaces, blank lines become line breaks
+    const text = style[0] === '|'
+      ? body.join('\n')
+      : body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+    return chomp === '-' ? text : `${text}\n`;
+  }
+
+  // The value after "key:" or "- ": inline, a block scalar, or a nested block
+  function valueAfter(text, line, parentIndent) {
+    if (/^[|>][-+]?$/.test(text)) return blockScalar(text, parentIndent);
+    if (text) return inlineValue(text, line.number);
+    const next = nextContent();
+    if (!next) return null;
+    // A sequence may sit at the same indent as its key
+    if (next.indent > parentIndent || (next.indent === parentIndent && /^-( |$)/.test(next.text) && line.isKey)) {
+      return parseBlock(next.indent);
+    }
+    return null;
+  }
+
+  function parseSequence(indent) {
+    const list = [];
+    for (let line = nextContent(); line && line.indent === indent && /^-( |$)/.test(line.text); line = nextContent()) {
+      const rest = line.text.slice(1).trimStart();
+      if (/^-( |$)/.test(rest) || (keyEnd(rest) > 0 && !/^[[{"']/.test(rest))) {
+        // "- key: value" starts a mapping (and "- - x" a sequence) indented
+        // at the column after the dash
+        line.indent = indent + (line.text.length - rest.length);
+        line.text = rest;
+        list.push(parseBlock(line.indent));
+        continue;
+      }
+      index++;
+      list.push(valueAfter(rest, line, indent));
+    }
+    return list;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    for (let line = nextContent(); line && line.indent === indent; line = nextContent()) {
+      if (/^-( |$)/.test(line.text)) throw yamlError(line.number, 'sequence item where a mapping key was expected');
+      const end = keyEnd(line.text);
+      if (end <= 0) throw yamlError(line.number, `expected "key: value", got "${line.text}"`);
+      const rawKey = line.text.slice(0, end).trim();
+      const key = rawKey[0] === '"' || rawKey[0] === "'" ? quotedScalar(rawKey, line.number) : rawKey;
+      if (Object.prototype.hasOwnProperty.call(map, key)) throw yamlError(line.number, `duplicate key "${key}"`);
+      index++;
+      map[key] = valueAfter(line.text.slice(end + 1).trim(), { ...line, isKey: true }, indent);
+    }
+    return map;
+  }
+
+  function parseBlock(indent) {
+    const line = nextContent();
+    if (/^-( |$)/.test(line.text)) return parseSequence(indent);
+    if (keyEnd(line.text) > 0) return parseMapping(indent);
+    index++;
+    return inlineValue(line.text, line.number);
+  }
+
+  const first = nextContent();
+  if (!first) return null;
+  const result = parseBlock(first.indent);
+  const extra = nextContent();
+  if (extra) throw yamlError(extra.number, `unexpected "${extra.text}" (check the indentation)`);
+  return result;
+}
+
+module.exports = {
+  parseYaml,
+};
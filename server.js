@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Control Server
+ *
+ * Serves the session API over local HTTP plus a WebSocket event stream so
+ * other services can drive Claude Code without shelling out to node
+ * scripts. See lib/server.js for the routes.
+ *
+ * Usage: node server.js [--port 7777] [--host 127.0.0.1] [--command "claude ..."]
+ *                       [--output-dir dir] [--allow-host name] [--allow-origin url]
+ *
+ * Clients authenticate with the token printed at startup, or set
+ * CC_SERVER_TOKEN to choose it. --command fixes the Claude Code command
+ * line for every launched session; clients cannot set it.
+ */
+
+const { createServer } = require('./lib/server');
+const { parseArgs } = require('./lib/args');
+const cc = require('./index');
+
+let options;
+try {
+  ({ options } = parseArgs(process.argv.slice(2), {
+    string: ['port', 'host', 'command', 'output-dir'],
+    array: ['allow-host', 'allow-origin'],
+  }));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(err.exitCode || 1);
+}
+const PORT = parseInt(options.port || '7777');
+const HOST = options.host || '127.0.0.1';
+
+const server = createServer({
+  cc,
+  token: process.env.CC_SERVER_TOKEN || undefined,
+  launchOptions: options.command ? { command: options.command } : {},
+  outputDir: options.outputDir,
+  allowedHosts: options.allowHost,
+  allowedOrigins: options.allowOrigin,
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`🌐 claude-code-control server listening on http://${HOST}:${PORT}`);
+  if (!process.env.CC_SERVER_TOKEN) console.log(`🔑 Token: ${server.token}`);
+});
+
+async function shutdown() {
+  console.log('\n🛑 Shutting down — closing sessions...');
+  server.close();
+  await cc.closeAll();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
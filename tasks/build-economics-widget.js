@@ -36,7 +36,7 @@ Also add an "Investigate" widget below it with:
 Keep it consistent with the existing Mission Control aesthetic. No external dependencies.`;
 
   console.log('📤 Sending task to Claude Code...');
-  const result = await cc.send(session, task, 120); // 2 min wait for complex task
+  const result = await cc.send(session, task, 120); // up to 2 min for complex task
   console.log(`✅ Task sent (${result.duration_ms}ms)`);
   console.log(`📸 Screenshot: ${result.screenshot}\n`);
 
@@ -49,7 +49,7 @@ Keep it consistent with the existing Mission Control aesthetic. No external depe
   
   // Don't close — let Claude Code finish working
   console.log('💡 Claude Code is working. Check the Terminal window.');
-  console.log('   Run `node -e "require(\'./index\').close(1)"` when done.\n');
+  console.log(`   Run \`node -e "require('./index').close(${session})"\` when done.\n`);
 }
 
 main().catch(err => {
@@ -4,14 +4,17 @@
  * Module API:
  *   const { routeTask } = require('./tasks/route-task');
  *   const result = await routeTask(projectPath, taskDescription, opts);
- *   // result → { sessionId, screenshot, recordingPath, duration_ms }
+ *   // result → { sessionId, status, screenshot, recordingPath, reportPath, duration_ms }
  *
  * CLI:
- *   node tasks/route-task.js --project /path/to/project --task "description" [--wait 120] [--approve]
+ *   node tasks/route-task.js --project /path/to/project --task "description" [--wait 120] [--approve] [--report]
+ *   (or: cc-control route /path/to/project "description")
  */
 const path = require('path');
 const fs = require('fs');
 const cc = require('../index');
+const { parseArgs } = require('../lib/args');
+const { writeReport } = require('../lib/report');
 
 /**
  * Route a task to Claude Code in a managed session.
@@ -19,10 +22,12 @@ const cc = require('../index');
  * @param {string} projectPath - Absolute path to the project directory
  * @param {string} taskDescription - Task to send to Claude Code
  * @param {object} opts
- * @param {number}  [opts.waitSeconds=120]  - Seconds to wait after sending task
+ * @param {number}  [opts.waitSeconds=120]  - Maximum seconds to wait for the task to finish
  * @param {boolean} [opts.approve=false]    - Approve security prompt before task
  * @param {string}  [opts.sessionDir=null]  - Directory for session recordings
- * @returns {Promise<{ sessionId, screenshot, recordingPath, duration_ms }>}
+ * @param {string}  [opts.backend]          - Terminal backend (default: platform default)
+ * @param {boolean} [opts.report=false]     - Also write an HTML report next to the recording
+ * @returns {Promise<{ sessionId, status, screenshot, recordingPath, reportPath, duration_ms }>}
  */
 async function routeTask(projectPath, taskDescription, opts = {}) {
   const startTime = Date.now();
@@ -38,7 +43,7 @@ async function routeTask(projectPath, taskDescription, opts = {}) {
   }
 
   // Launch
-  const sessionId = await cc.launch(projectPath);
+  const sessionId = await cc.launch(projectPath, { backend: opts.backend });
   console.log(`[route-task] Session ${sessionId} launched`);
 
   // Optional security approval
@@ -54,7 +59,7 @@ async function routeTask(projectPath, taskDescription, opts = {}) {
 
   // Final screenshot
   const screenshotPath = `/tmp/route-task-final-${sessionId}-${Date.now()}.png`;
-  const screenshot = cc.takeScreenshot(screenshotPath);
+  const screenshot = cc.screenshot(sessionId, screenshotPath);
 
   // Save session recording
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -64,41 +69,72 @@ async function routeTask(projectPath, taskDescription, opts = {}) {
   // Close session
   await cc.close(sessionId);
 
+  // HTML report for code review, with the final screenshot. The session is
+  // already closed and saved, so a failed report only costs the report.
+  let reportPath = null;
+  if (opts.report) {
+    try {
+      reportPath = writeReport(recordingPath, recordingPath.replace(/\.json$/, '.html'), { screenshots: [screenshot] });
+      console.log(`[route-task] Report written to ${reportPath}`);
+    } catch (err) {
+      console.error(`[route-task] ⚠️ Report failed: ${err.message}`);
+    }
+  }
+
   const duration_ms = Date.now() - startTime;
   console.log(`[route-task] Done in ${duration_ms}ms`);
 
-  return { sessionId, screenshot: screenshot || sendResult.screenshot, recordingPath, duration_ms };
+  return {
+    sessionId,
+    status: sendResult.status,
+    screenshot: screenshot || sendResult.screenshot,
+    recordingPath,
+    reportPath,
+    duration_ms,
+  };
 }
 
 // ─── CLI entrypoint ──────────────────────────────────────────
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  let options;
+  try {
+    ({ options } = parseArgs(process.argv.slice(2), {
+      string: ['project', 'task', 'wait', 'session-dir', 'backend'],
+      boolean: ['approve', 'report', 'help'],
+      alias: { h: 'help' },
+    }));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error('Run with --help for usage');
+    process.exit(1);
+  }
 
-  if (args.includes('--help') || args.includes('-h')) {
+  if (options.help) {
     console.log(`
 Usage: node tasks/route-task.js --project <path> --task <description> [options]
 
 Options:
   --project <path>   Path to the project directory (required)
   --task <text>      Task description to send to Claude Code (required)
-  --wait <seconds>   Seconds to wait for task completion (default: 120)
+  --wait <seconds>   Maximum seconds to wait for task completion (default: 120)
   --approve          Approve the security prompt before sending the task
   --session-dir <p>  Directory to save session recordings (default: tasks/sessions/)
+  --backend <name>   Terminal backend (applescript | tmux)
+  --report           Also write an HTML report next to the recording
   --help             Show this help message
 `);
     process.exit(0);
   }
 
-  function getArg(flag) {
-    const idx = args.indexOf(flag);
-    return idx !== -1 ? args[idx + 1] : null;
-  }
-
-  const projectPath = getArg('--project');
-  const taskDescription = getArg('--task');
-  const waitArg = getArg('--wait');
-  const approve = args.includes('--approve');
-  const sessionDir = getArg('--session-dir');
+  const {
+    project: projectPath,
+    task: taskDescription,
+    wait: waitArg,
+    approve = false,
+    sessionDir,
+    backend,
+    report = false,
+  } = options;
 
   if (!projectPath || !taskDescription) {
     console.error('Error: --project and --task are required');
@@ -110,6 +146,8 @@ Options:
     waitSeconds: waitArg ? Number(waitArg) : 120,
     approve,
     sessionDir,
+    backend,
+    report,
   })
     .then(result => {
       console.log('\nResult:');
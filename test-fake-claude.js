@@ -0,0 +1,1327 @@
+/**
+ * Offline integration tests for claude-code-control
+ *
+ * Drives launch/send/watchForPrompts/close through the tmux backend against
+ * bin/fake-claude.js, so no Claude Code install, API key or Mac is needed.
+ *
+ * Run with: npm test (requires tmux)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const http = require('http');
+const { execFileSync, spawnSync } = require('child_process');
+
+// Keep test sessions on their own tmux server and state dir
+process.env.CC_TMUX_SOCKET = `cc-control-test-${process.pid}`;
+process.env.CC_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-fake-state-'));
+
+const cc = require('./index');
+const { createServer } = require('./lib/server');
+const { decodeFrame, MAX_FRAME_BYTES } = require('./lib/websocket');
+const { createMonitor } = require('./lib/monitor');
+const { fileNotifier, createNotifier, commandNotifier } = require('./lib/notifiers');
+const { parseScreen } = require('./lib/screen');
+const { diffContent } = require('./lib/extract');
+const { classifyRecent, waitForCompletion } = require('./lib/completion');
+const { evaluatePolicy, answerKeys, parsePermissionPrompt } = require('./lib/policy');
+const { inputSteps, typeInput } = require('./lib/input');
+const { parseKeys } = require('./lib/keys');
+const { parseCost, parseCount, parseDuration } = require('./lib/slash');
+const { usageFromResult, subtractUsage, normalizeBudget, budgetExceeded } = require('./lib/usage');
+const {
+  SNAPSHOT_INTERVAL, snapshotDiff, applySnapshotDiff, snapshotFields, terminalSnapshots, lastTerminal, appendLogEntries,
+} = require('./lib/transcript');
+const { createScreen, readCast, castScreens } = require('./lib/asciicast');
+const { loadRecording, replay } = require('./lib/replay');
+const { writeReport } = require('./lib/report');
+const { parseYaml } = require('./lib/yaml');
+const { parseScript, validateScript, runScript } = require('./lib/script');
+const { findMatches, evaluateAssertion, screenDiff, checkScreen, patternAssertion } = require('./lib/assertions');
+
+const FAKE_CLAUDE = path.join(__dirname, 'bin', 'fake-claude.js');
+const FIXTURE = path.join(__dirname, 'fixtures', 'fake-claude', 'default.json');
+const FAKE_COMMAND = `'${process.execPath}' '${FAKE_CLAUDE}' --fixture '${FIXTURE}'`;
+
+// Fast polling — the fake answers in well under a second
+const SEND_OPTIONS = { timeoutSeconds: 20, pollMs: 100, quietMs: 500 };
+
+const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-fake-project-'));
+
+async function launchFake(options = {}) {
+  const sessionId = await cc.launch(projectPath, {
+    backend: 'tmux',
+    command: FAKE_COMMAND,
+    startupMs: 1000,
+    cols: 100,
+    rows: 40,
+    ...options,
+  });
+  return sessionId;
+}
+
+async function waitForText(sessionId, text, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (cc.readTerminalContent(sessionId).includes(text)) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for "${text}"`);
+}
+
+async function waitFor(predicate, description, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (predicate()) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+/**
+ * Connect to the control server's event stream; events collect in the returned array
+ */
+function openStream(port, sessionId, token) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path: `/sessions/${sessionId}/stream?token=${token}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('upgrade', (res, socket, head) => {
+      const events = [];
+      let buffer = Buffer.alloc(0);
+      const onData = (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        let frame;
+        while ((frame = decodeFrame(buffer))) {
+          buffer = buffer.subarray(frame.size);
+          if (frame.opcode === 0x1) events.push(JSON.parse(frame.payload.toString()));
+        }
+      };
+      onData(head);
+      socket.on('data', onData);
+      resolve({ events, socket });
+    });
+    req.on('response', res => reject(new Error(`Upgrade refused: ${res.statusCode}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function testInteractive() {
+  console.log('Test 1: Launching fake Claude Code in tmux...');
+  const sessionId = await launchFake();
+  await waitForText(sessionId, 'Do you trust the files in this folder?');
+  const status = cc.getStatus(sessionId);
+  assert.strictEqual(status.backend, 'tmux');
+  assert(status.terminal.tmuxSession, 'Session should remember its tmux session');
+  console.log('✅ Trust dialog shown\n');
+
+  console.log('Test 2: Approving the trust dialog...');
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  console.log('✅ Reached the idle prompt\n');
+
+  console.log('Test 3: Sending a command and waiting for the idle prompt...');
+  const hello = await cc.send(sessionId, 'hello there', SEND_OPTIONS);
+  assert.strictEqual(hello.status, 'completed');
+  assert.strictEqual(hello.reply, 'Hello! How can I help with this project?');
+  assert.deepStrictEqual(hello.toolCalls, []);
+  // Only the input box and footer at the bottom are chrome, not boxes or mode names in the reply
+  const boxed = diffContent('╭──╮\n│ > │\n╰──╯', [
+    '> draw a box', '', '⏺ Here:', '  │ a │', '  Turn on auto-accept edits with shift+tab.', '',
+    '╭──╮', '│ > │', '╰──╯', '  ⏵⏵ auto-accept edits on (shift+tab to cycle)',
+  ].join('\n'), 'draw a box');
+  assert.strictEqual(boxed, '⏺ Here:\n  │ a │\n  Turn on auto-accept edits with shift+tab.');
+  console.log(`✅ Completed in ${hello.duration_ms}ms\n`);
+
+  console.log('Test 4: Extracting tool calls and touched files...');
+  const script = await cc.send(sessionId, 'add a hello script', SEND_OPTIONS);
+  assert.strictEqual(script.status, 'completed');
+  assert.strictEqual(script.reply, 'Created hello.py.');
+  assert.strictEqual(script.toolCalls.length, 1);
+  assert.strictEqual(script.toolCalls[0].tool, 'Write');
+  assert.deepStrictEqual(script.files, ['hello.py']);
+  console.log('✅ Tool call and file extracted\n');
+
+  console.log('Test 5: Stopping at a permission prompt...');
+  const tests = await cc.send(sessionId, 'run the tests', SEND_OPTIONS);
+  assert.strictEqual(tests.status, 'permission');
+  console.log('✅ Permission prompt reported\n');
+
+  console.log('Test 6: Answering the prompt with watchForPrompts...');
+  let answered = null;
+  cc.watchForPrompts(sessionId, { intervalMs: 200, onPrompt: (label) => { answered = label; } });
+  await waitForText(sessionId, 'All 3 tests pass.');
+  cc.stopWatching(sessionId);
+  assert(answered, 'Watcher should have answered the prompt');
+  console.log(`✅ Watcher answered "${answered}"\n`);
+
+  console.log('Test 7: Denying a prompt by policy...');
+  const denied = await cc.send(sessionId, 'run the tests', SEND_OPTIONS);
+  assert.strictEqual(denied.status, 'permission');
+  let decision = null;
+  cc.watchForPrompts(sessionId, {
+    intervalMs: 200,
+    policy: { deny: [{ tool: 'Bash', command: /^npm / }], allow: [{ tool: 'Write', path: '*.py' }] },
+    onPrompt: (label, response) => { decision = response; },
+  });
+  await waitForText(sessionId, 'User rejected command');
+  cc.stopWatching(sessionId);
+  assert.strictEqual(decision, 'deny');
+  const logPath = path.join(projectPath, 'policy-session.json');
+  await cc.saveSession(sessionId, logPath);
+  const permissionEntry = JSON.parse(fs.readFileSync(logPath, 'utf-8')).log.find(e => e.type === 'permission');
+  assert.strictEqual(permissionEntry.tool, 'Bash');
+  assert.strictEqual(permissionEntry.argument, 'npm test');
+  assert.strictEqual(permissionEntry.rule, 'deny Bash command /^npm /');
+  console.log(`✅ Denied by rule "${permissionEntry.rule}"\n`);
+
+  console.log('Test 8: Hard timeout on a long-running command...');
+  const slow = await cc.send(sessionId, 'something slow', { ...SEND_OPTIONS, timeoutSeconds: 2 });
+  assert.strictEqual(slow.status, 'timeout');
+  console.log('✅ Timed out as expected\n');
+
+  console.log('Test 9: Attaching from another process...');
+  await waitForText(sessionId, 'That took a while.', 10000);
+  const listed = cc.listSessions().find(s => s.sessionId === sessionId);
+  assert(listed && listed.alive && listed.attached, 'Session should be listed as alive and attached');
+  const child = execFileSync(process.execPath, ['-e', `
+    const cc = require(${JSON.stringify(path.join(__dirname, 'index'))});
+    cc.attach(${sessionId});
+    cc.send(${sessionId}, 'hello from another process', ${JSON.stringify(SEND_OPTIONS)})
+      .then(result => console.log('RESULT ' + JSON.stringify(result)));
+  `], { encoding: 'utf-8', timeout: 30000 });
+  const fromChild = JSON.parse(child.split('\n').find(line => line.startsWith('RESULT ')).slice(7));
+  assert.strictEqual(fromChild.status, 'completed');
+  assert.strictEqual(fromChild.reply, 'Hello! How can I help with this project?');
+  // Writing from this process afterwards keeps what the other one logged
+  const commandsBefore = cc.getStatus(sessionId).commands_sent;
+  await cc.expectText(sessionId, 'hello from another process');
+  const merged = JSON.parse(fs.readFileSync(path.join(process.env.CC_STATE_DIR, `${sessionId}.json`), 'utf-8'));
+  assert(merged.sessionLog.some(e => e.type === 'command' && e.command === 'hello from another process'));
+  assert(merged.sessionLog.some(e => e.type === 'verification'));
+  assert.strictEqual(merged.commandCount, commandsBefore + 1);
+  console.log('✅ Second process attached and sent a command\n');
+
+  console.log('Test 10: Closing the session...');
+  const { tmuxSession } = cc.getStatus(sessionId).terminal;
+  await cc.close(sessionId);
+  assert.strictEqual(cc.getStatus(sessionId), null);
+  assert(!cc.getBackend('tmux').hasSession(tmuxSession), 'tmux session should be gone');
+  assert(!cc.listSessions().some(s => s.sessionId === sessionId), 'Saved state should be removed');
+  console.log('✅ Session closed\n');
+}
+
+async function testHeadless() {
+  console.log('Test 11: Headless session against fake print mode...');
+  const sessionId = await cc.launch(projectPath, {
+    headless: true,
+    command: FAKE_CLAUDE,
+    extraArgs: ['--fixture', FIXTURE],
+  });
+  const result = await cc.send(sessionId, 'add a hello script', 20);
+  assert.strictEqual(result.status, 'completed');
+  assert.strictEqual(result.reply, 'Created hello.py.');
+  assert.deepStrictEqual(result.files, ['hello.py']);
+
+  const second = await cc.send(sessionId, 'hello', 20);
+  assert.strictEqual(second.status, 'completed');
+  assert(cc.getStatus(sessionId).claudeSessionId, 'Claude Code session id should be kept for --resume');
+
+  const savedPath = path.join(projectPath, 'headless-session.json');
+  await cc.saveSession(sessionId, savedPath);
+  const saved = JSON.parse(fs.readFileSync(savedPath, 'utf-8'));
+  const types = saved.log.map(entry => entry.type);
+  ['command', 'tool_use', 'tool_result', 'assistant', 'cost', 'response'].forEach((type) => {
+    assert(types.includes(type), `Saved log should contain a ${type} entry`);
+  });
+  await cc.close(sessionId);
+  console.log('✅ Headless session logged the event stream\n');
+}
+
+async function testServer() {
+  console.log('Test 12: Driving a session through the control server...');
+  const outputDir = path.join(projectPath, 'server-output');
+  const server = createServer({
+    cc,
+    streamIntervalMs: 100,
+    token: 'test-token',
+    launchOptions: { command: FAKE_COMMAND },
+    outputDir,
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const api = async (method, route, body, headers = {}) => {
+    const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-token', ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const isJson = (res.headers.get('content-type') || '').includes('json');
+    return { code: res.status, body: isJson ? await res.json() : await res.text() };
+  };
+
+  try {
+    // Token, Host, Origin and Content-Type are checked before any route runs
+    assert.strictEqual((await api('GET', '/sessions', null, { Authorization: '' })).code, 401);
+    assert.strictEqual((await api('GET', '/sessions', null, { Authorization: 'Bearer wrong-token' })).code, 401);
+    assert.strictEqual((await api('GET', '/sessions', null, { Origin: 'https://evil.example' })).code, 403);
+    // fetch() won't send a custom Host header
+    const foreignHost = await new Promise((resolve, reject) => {
+      http.get({ port, path: '/sessions', headers: { Host: 'evil.example', Authorization: 'Bearer test-token' } },
+        (res) => { res.resume(); resolve(res.statusCode); }).on('error', reject);
+    });
+    assert.strictEqual(foreignHost, 403);
+    assert.strictEqual((await api('POST', '/sessions', { path: projectPath }, { 'Content-Type': 'text/plain' })).code, 415);
+    const withCommand = await api('POST', '/sessions', { path: projectPath, options: { command: 'sh -c "touch pwned"' } });
+    assert.strictEqual(withCommand.code, 400);
+    assert(/"command" can't be set over HTTP/.test(withCommand.body.error));
+    await assert.rejects(openStream(port, 1, 'wrong-token'), /Upgrade refused: 401/);
+
+    const launched = await api('POST', '/sessions', {
+      path: projectPath,
+      options: { backend: 'tmux', startupMs: 1000, cols: 100, rows: 40 },
+    });
+    assert.strictEqual(launched.code, 201);
+    const { sessionId } = launched.body;
+    assert.strictEqual(launched.body.status.backend, 'tmux');
+
+    const stream = await openStream(port, sessionId, 'test-token');
+    await waitFor(() => stream.events.some(e => e.type === 'content' && e.content.includes('Do you trust')),
+      'the trust dialog on the stream');
+
+    assert.strictEqual((await api('POST', `/sessions/${sessionId}/approve`)).code, 200);
+    // Pattern overrides can't arrive as JSON strings; refused before anything is typed
+    const patterned = await api('POST', `/sessions/${sessionId}/send`, { command: 'hello', idlePatterns: ['>'] });
+    assert.strictEqual(patterned.code, 400);
+    assert(/"idlePatterns" can't be set over HTTP/.test(patterned.body.error));
+    assert.strictEqual((await api('POST', `/sessions/${sessionId}/send`, { command: 'hello', timeoutSeconds: '20' })).code, 400);
+    assert.strictEqual((await api('GET', `/sessions/${sessionId}/status`)).body.commands_sent, 0);
+
+    const hello = await api('POST', `/sessions/${sessionId}/send`, { command: 'hello', timeoutSeconds: 20 });
+    assert.strictEqual(hello.code, 200);
+    assert.strictEqual(hello.body.reply, 'Hello! How can I help with this project?');
+    assert(stream.events.some(e => e.type === 'response' && e.result.status === 'completed'));
+
+    const tests = await api('POST', `/sessions/${sessionId}/send`, { command: 'run the tests', timeoutSeconds: 20 });
+    assert.strictEqual(tests.body.status, 'permission');
+    await waitFor(() => stream.events.some(e => e.type === 'permission' && e.prompt.tool === 'Bash'),
+      'a permission event on the stream');
+
+    // A frame header announcing more than MAX_FRAME_BYTES ends the connection
+    const tooBig = Buffer.alloc(10);
+    tooBig[0] = 0x81;
+    tooBig[1] = 0x80 | 127; // masked, 64-bit length
+    tooBig.writeBigUInt64BE(BigInt(MAX_FRAME_BYTES + 1), 2);
+    assert.throws(() => decodeFrame(tooBig), /frame too large/);
+    const flooded = await openStream(port, sessionId, 'test-token');
+    const floodedClosed = new Promise(resolve => flooded.socket.on('close', resolve));
+    flooded.socket.write(tooBig);
+    await floodedClosed;
+
+    const status = await api('GET', `/sessions/${sessionId}/status`);
+    assert.strictEqual(status.body.commands_sent, 2);
+    const screen = await api('GET', `/sessions/${sessionId}/screenshot`);
+    assert(screen.body.includes('Do you want to proceed?'), 'tmux screenshots fall back to terminal text');
+    assert.strictEqual((await api('GET', '/sessions/999/status')).code, 404);
+    assert.strictEqual((await api('POST', `/sessions/${sessionId}/send`, {})).code, 400);
+
+    // Saved files stay inside the output directory
+    const escape = await api('DELETE', `/sessions/${sessionId}?save=${encodeURIComponent('../escaped.json')}`);
+    assert.strictEqual(escape.code, 400);
+    assert(!fs.existsSync(path.join(projectPath, 'escaped.json')));
+    const closed = await api('DELETE', `/sessions/${sessionId}?save=server-session.json`);
+    assert.strictEqual(closed.code, 200);
+    assert.strictEqual(closed.body.saved, path.join(outputDir, 'server-session.json'));
+    assert(fs.existsSync(closed.body.saved), 'DELETE ?save= should save the session log');
+    await waitFor(() => stream.events.some(e => e.type === 'closed'), 'a closed event on the stream');
+    stream.socket.destroy();
+
+    // A budget that closes the session mid-send ends its stream too
+    const budgeted = await api('POST', '/sessions', {
+      path: projectPath,
+      options: { backend: 'tmux', startupMs: 1000, cols: 100, rows: 40, budget: { maxCostUsd: 0.0005, action: 'close' } },
+    });
+    const budgetedId = budgeted.body.sessionId;
+    const budgetStream = await openStream(port, budgetedId, 'test-token');
+    let budgetStreamClosed = false;
+    budgetStream.socket.on('close', () => { budgetStreamClosed = true; });
+    await api('POST', `/sessions/${budgetedId}/approve`);
+    const overBudget = await api('POST', `/sessions/${budgetedId}/send`, { command: 'hello', timeoutSeconds: 20 });
+    assert.strictEqual(overBudget.body.budget.action, 'close');
+    assert.strictEqual(cc.getStatus(budgetedId), null);
+    await waitFor(() => budgetStreamClosed, 'the closed session\'s stream to end');
+    assert(budgetStream.events.some(e => e.type === 'closed'), 'the stream should say the session closed');
+    assert(!budgetStream.events.some(e => e.type === 'error'), 'no "Invalid session" errors after the close');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  console.log('✅ HTTP routes and WebSocket stream work\n');
+}
+
+async function testEvents() {
+  console.log('Test 14: Event-emitting Session object...');
+  const session = await cc.launch(projectPath, {
+    backend: 'tmux',
+    command: FAKE_COMMAND,
+    startupMs: 1000,
+    cols: 100,
+    rows: 40,
+    events: true,
+    watch: { intervalMs: 100 },
+  });
+  assert(session instanceof cc.Session, 'events: true should return a Session');
+
+  const seen = [];
+  ['ready', 'output', 'prompt', 'permission', 'idle', 'closed'].forEach((event) => {
+    session.on(event, (...args) => seen.push({ event, args }));
+  });
+  await waitFor(() => seen.some(e => e.event === 'ready'), 'ready');
+
+  await session.approveSecurity();
+  await waitFor(() => seen.some(e => e.event === 'idle'), 'idle after the trust dialog');
+
+  const hello = await session.send('hello', SEND_OPTIONS);
+  assert.strictEqual(hello.status, 'completed');
+  await waitFor(() => seen.some(e => e.event === 'output' && e.args[0].text.includes('How can I help')),
+    'the reply as output');
+
+  const tests = await session.send('run the tests', SEND_OPTIONS);
+  assert.strictEqual(tests.status, 'permission', 'Reporting-only watcher should not answer prompts');
+  await waitFor(() => seen.some(e => e.event === 'permission' && e.args[0].tool === 'Bash'), 'a permission event');
+  assert(seen.some(e => e.event === 'prompt'), 'Prompt patterns should be reported');
+  assert.strictEqual(seen.filter(e => e.event === 'permission').length, 1, 'Each dialog is reported once');
+
+  await session.close();
+  assert(seen.some(e => e.event === 'closed'));
+  console.log(`✅ Emitted ${[...new Set(seen.map(e => e.event))].join(', ')}\n`);
+}
+
+async function testMonitor() {
+  console.log('Test 15: Monitoring sessions and notifying...');
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+
+  const events = [];
+  const eventLog = path.join(projectPath, 'monitor-events.log');
+  const watching = createMonitor({
+    intervalMs: 100,
+    sessionIds: [sessionId],
+    notifiers: [event => events.push(event), fileNotifier(eventLog, { categories: ['prompt'] })],
+    log: () => {},
+  }).start();
+  const tests = await cc.send(sessionId, 'run the tests', SEND_OPTIONS);
+  assert.strictEqual(tests.status, 'permission');
+  await waitFor(() => events.some(e => e.category === 'prompt' && e.prompt && e.prompt.tool === 'Bash'),
+    'a prompt event');
+  watching.stop();
+  assert(fs.readFileSync(eventLog, 'utf-8').includes('needs input — Bash(npm test)'), 'File notifier should log the prompt');
+
+  const answering = createMonitor({
+    intervalMs: 100,
+    sessionIds: [sessionId],
+    policy: { allow: [{ tool: 'Bash', command: '^npm test$' }] },
+    notifiers: [event => events.push(event)],
+    log: () => {},
+  }).start();
+  await waitForText(sessionId, 'All 3 tests pass.');
+  answering.stop();
+  const answered = events.find(e => e.category === 'answered');
+  assert.strictEqual(answered.decision, 'allow');
+  assert.strictEqual(answered.rule, 'allow Bash command /^npm test$/');
+
+  await cc.close(sessionId);
+  console.log(`✅ Monitor notified "${events[0].text}" and answered by policy\n`);
+}
+
+async function testNotifiers() {
+  console.log('Test 16: Sending events to notifier sinks...');
+  const event = {
+    sessionId: 7,
+    category: 'error',
+    label: 'module-error',
+    text: 'module-error in Claude Code session 7 — "$(rm -rf ~)" `x`',
+    excerpt: "Error: Cannot find module 'left-pad'",
+    prompt: null,
+    decision: null,
+    timestamp: Date.now(),
+  };
+
+  const posts = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      posts.push({ url: req.url, body: JSON.parse(body) });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${receiver.address().port}`;
+
+  const jsonl = path.join(projectPath, 'events.jsonl');
+  const argvOut = path.join(projectPath, 'argv.json');
+  const sinks = [
+    createNotifier(`webhook:${base}/hook`),
+    createNotifier({ type: 'slack', url: `${base}/slack` }),
+    createNotifier(`jsonl:${jsonl}`),
+    commandNotifier([process.execPath, '-e', 'require("fs").writeFileSync(process.argv[1], JSON.stringify(process.argv.slice(2)))',
+      argvOut, '{sessionId}', '{text}']),
+  ];
+  try {
+    for (const sink of sinks) await sink.notify(event);
+  } finally {
+    receiver.close();
+  }
+
+  const hook = posts.find(p => p.url === '/hook').body;
+  assert.strictEqual(hook.sessionId, 7);
+  assert.strictEqual(hook.excerpt, event.excerpt);
+  const slack = posts.find(p => p.url === '/slack').body;
+  assert.strictEqual(slack.text, event.text);
+  assert(slack.blocks[0].text.text.includes(event.excerpt), 'Slack message should quote the excerpt');
+  assert.strictEqual(JSON.parse(fs.readFileSync(jsonl, 'utf-8').trim()).label, 'module-error');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(argvOut, 'utf-8')), ['7', event.text],
+    'Command arguments should arrive unquoted and unexpanded');
+
+  assert.throws(() => createNotifier('pager:123'), /Unknown notifier: pager/);
+  assert.throws(() => createNotifier('slack'), /slack notifier needs "url"/);
+  console.log('✅ Webhook, Slack, JSONL and argv command sinks received the event\n');
+}
+
+/**
+ * Assert that every field in expected matches actual (arrays must match in length)
+ */
+function assertFields(actual, expected, where) {
+  if (expected && typeof expected === 'object') {
+    assert(actual && typeof actual === 'object', `${where}: expected an object, got ${JSON.stringify(actual)}`);
+    if (Array.isArray(expected)) assert.strictEqual(actual.length, expected.length, `${where}: length`);
+    for (const key of Object.keys(expected)) assertFields(actual[key], expected[key], `${where}.${key}`);
+  } else {
+    assert.strictEqual(actual, expected, where);
+  }
+}
+
+async function testScreenStates() {
+  console.log('Test 17: Classifying screens...');
+  const corpus = path.join(__dirname, 'fixtures', 'screens');
+  let cases = 0;
+  for (const version of fs.readdirSync(corpus)) {
+    for (const file of fs.readdirSync(path.join(corpus, version)).filter(f => f.endsWith('.txt'))) {
+      const screen = parseScreen(fs.readFileSync(path.join(corpus, version, file), 'utf-8'));
+      const expected = JSON.parse(fs.readFileSync(path.join(corpus, version, file.replace(/\.txt$/, '.json')), 'utf-8'));
+      assertFields(screen, expected, `${version}/${file}`);
+      cases++;
+    }
+  }
+
+  const sessionId = await launchFake();
+  const tmux = cc.getBackend('tmux');
+  const { terminal } = cc.getStatus(sessionId);
+  const seen = [];
+  const reaches = state => waitFor(() => {
+    const screen = cc.getScreenState(sessionId);
+    if (seen[seen.length - 1] !== screen.state) seen.push(screen.state);
+    return screen.state === state;
+  }, `the ${state} state`);
+
+  await reaches('trust');
+  await cc.approveSecurity(sessionId);
+  await reaches('idle');
+
+  // A question in the reply above the idle prompt is not a permission dialog
+  const question = await cc.send(sessionId, 'ask me something', SEND_OPTIONS);
+  assert.strictEqual(question.status, 'completed');
+  assert.strictEqual(question.reply, 'Done. Do you want to add tests for it?');
+  assert.strictEqual(classifyRecent(cc.readTerminalContent(sessionId)), 'idle');
+  const replyAbovePrompt = '⏺ Do you want to:\n  1. Add tests\n  2. Stop here\n\n╭────╮\n│ > │\n╰────╯';
+  assert.strictEqual(classifyRecent(replyAbovePrompt), 'idle');
+  const completion = await waitForCompletion(() => replyAbovePrompt, { quietMs: 0, pollMs: 10, timeoutMs: 1000 });
+  assert.strictEqual(completion.status, 'completed');
+
+  tmux.typeText('run the tests', terminal);
+  tmux.pressEnter(terminal);
+  await reaches('permission');
+  assert.strictEqual(cc.getScreenState(sessionId).dialog.argument, 'npm test');
+  tmux.pressKey('escape', terminal);
+  await reaches('idle');
+  tmux.typeText('/exit', terminal);
+  tmux.pressEnter(terminal);
+  await reaches('crashed');
+  await cc.close(sessionId);
+
+  // A program that exits at once still leaves its pane (and output) behind
+  const instant = tmux.launch(projectPath, { command: 'echo gone-already' });
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert(tmux.readTerminalContent(instant).includes('gone-already'));
+  tmux.closeTerminal(instant);
+  console.log(`✅ ${cases} corpus screens classified; live session went ${seen.join(' → ')}\n`);
+}
+
+async function testPermissionIntents() {
+  console.log('Test 18: Answering permission dialogs by intent...');
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  await assert.rejects(cc.answerPermission(sessionId, 'allow-once'), /not showing a permission dialog/);
+
+  const denied = await cc.send(sessionId, 'run the tests', SEND_OPTIONS);
+  assert.strictEqual(denied.status, 'permission');
+  const dialog = cc.getScreenState(sessionId).dialog;
+  assert.deepStrictEqual(answerKeys(dialog, 'deny'), [{ key: 'down' }, { key: 'down' }, { key: 'enter' }]);
+  const answer = await cc.answerPermission(sessionId, 'deny', { feedback: 'use the unit tests only' });
+  assert(answer.option.label.startsWith('No, and tell Claude'));
+  await waitForText(sessionId, 'User rejected command');
+  await waitForText(sessionId, '> use the unit tests only');
+  await waitForText(sessionId, '⏺ OK'); // the fake's answer to the feedback
+
+  const edit = await cc.send(sessionId, 'fix the readme', SEND_OPTIONS);
+  assert.strictEqual(edit.status, 'permission');
+  await assert.rejects(cc.answerPermission(sessionId, 'maybe'), /Unknown answer: maybe/);
+  await cc.answerPermission(sessionId, 'allow-session');
+  await waitForText(sessionId, 'Fixed the README.');
+  await waitFor(() => cc.getScreenState(sessionId).mode === 'accept-edits', 'accept-edits mode');
+  const again = await cc.send(sessionId, 'fix the readme', SEND_OPTIONS);
+  assert.strictEqual(again.status, 'completed', 'Edits should no longer ask');
+
+  const tests = await cc.send(sessionId, 'run the tests', SEND_OPTIONS);
+  assert.strictEqual(tests.status, 'permission', 'Denying must not have remembered anything');
+  await cc.answerPermission(sessionId, 'allow-once');
+  await waitForText(sessionId, 'All 3 tests pass.');
+
+  const saved = await cc.saveSession(sessionId, path.join(projectPath, 'intents.json'));
+  const intents = JSON.parse(fs.readFileSync(saved, 'utf-8')).log.filter(e => e.type === 'permission').map(e => e.intent);
+  assert.deepStrictEqual(intents, ['deny', 'allow-session', 'allow-once']);
+
+  const policy = {
+    deny: [{ tool: 'Bash', command: 'rm', feedback: 'Never delete files' }],
+    allow: [{ tool: 'Edit', remember: true }],
+  };
+  assert.deepStrictEqual(
+    evaluatePolicy({ tool: 'Bash', argument: 'rm -rf build' }, policy),
+    { decision: 'deny', rule: 'deny Bash command /rm/', intent: 'deny', feedback: 'Never delete files' },
+  );
+  assert.strictEqual(evaluatePolicy({ tool: 'Edit', argument: 'a.js' }, policy).intent, 'allow-session');
+
+  // A wrapped command reaches the rules whole, not just its first line
+  const wrapped = parsePermissionPrompt([
+    '╭──────────────────────────────────────────╮',
+    '│ Bash command                             │',
+    '│                                          │',
+    '│   npm test && npm run build && cp -r dist │',
+    '│   ../release && rm -rf ./project          │',
+    '│   Test, build and publish the release    │',
+    '│                                          │',
+    '│ Do you want to proceed?                  │',
+    '│ ❯ 1. Yes                                 │',
+    '│   2. No                                  │',
+    '╰──────────────────────────────────────────╯',
+  ].join('\n'));
+  assert.strictEqual(wrapped.argument, 'npm test && npm run build && cp -r dist\n../release && rm -rf ./project');
+  assert.strictEqual(wrapped.description, 'Test, build and publish the release');
+  const guarded = { deny: [{ tool: 'Bash', command: /rm\s+-rf/ }], allow: [{ tool: 'Bash', command: '^npm' }] };
+  assert.strictEqual(evaluatePolicy(wrapped, guarded).decision, 'deny');
+  // A last line taken for the description is still checked by deny rules
+  const unexplained = parsePermissionPrompt(['│ Bash command │', '│   npm test && │', '│   rm -rf ./project │', '│ Do you want to proceed? │', '│ ❯ 1. Yes │'].join('\n'));
+  assert.strictEqual(evaluatePolicy(unexplained, guarded).decision, 'deny');
+
+  await cc.close(sessionId);
+  console.log('✅ Denied with feedback, allowed for the session and allowed once with the arrow keys\n');
+}
+
+async function testInput() {
+  console.log('Test 19: Typing multi-line, unicode and large prompts...');
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+
+  const prompt = 'echo first line\nsecond line with a \\ backslash and "quotes"\nunicode: héllo ✓ 日本語 🚀';
+  const multi = await cc.send(sessionId, prompt, SEND_OPTIONS);
+  assert.strictEqual(multi.status, 'completed');
+  assert(multi.reply.includes('second line with a \\ backslash and "quotes"'), `Reply was ${JSON.stringify(multi.reply)}`);
+  assert(multi.reply.includes('héllo ✓ 日本語 🚀'));
+  assert(!cc.readTerminalContent(sessionId).includes('⏺ OK'), 'Lines must not be submitted one by one');
+
+  const words = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+  assert(inputSteps(`echo ${words}`, 500).length > 4, 'Long prompts should be typed in chunks');
+  const large = await cc.send(sessionId, `echo ${words}`, { ...SEND_OPTIONS, input: { chunkSize: 500 } });
+  assert.strictEqual(large.status, 'completed');
+  assert(large.reply.replace(/\s+/g, ' ').includes('word398 word399'), 'The whole prompt should arrive');
+  await cc.close(sessionId);
+
+  assert.deepStrictEqual(inputSteps('a🚀🚀\r\nb', 2), [{ text: 'a🚀' }, { text: '🚀' }, { newline: true }, { text: 'b' }]);
+  const dropsKeys = { typeText() {}, pressEnter() {}, readTerminalContent: () => '> \n  ? for shortcuts' };
+  await assert.rejects(typeInput(dropsKeys, null, 'hello', { verifyTimeoutMs: 300 }), /Input check failed/);
+  console.log('✅ Multi-line, unicode and chunked prompts arrived as one message\n');
+}
+
+async function testKeys() {
+  console.log('Test 20: Key specs, interrupt, auto-accept and rewind...');
+  assert.deepStrictEqual(parseKeys('shift+tab'), [{ key: 'tab', ctrl: false, shift: true, alt: false, cmd: false }]);
+  assert.deepStrictEqual(parseKeys('esc esc ctrl+c').map(c => c.key), ['escape', 'escape', 'c']);
+  assert.throws(() => parseKeys('hyper+x'), /Unknown key modifier: "hyper"/);
+  assert.throws(() => parseKeys('enterr'), /Unknown key: "enterr"/);
+
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  const { terminal } = cc.getStatus(sessionId);
+  assert.throws(() => cc.getBackend('tmux').pressKey('cmd+k', terminal), /not supported by the tmux backend/);
+  assert.throws(() => cc.sendKeys(sessionId, 'ctrl+nope'), /Unknown key/);
+
+  // shift+tab cycles into accept-edits mode and back
+  assert.deepStrictEqual(await cc.toggleAutoAccept(sessionId), { mode: 'accept-edits' });
+  assert.strictEqual(cc.getScreenState(sessionId).mode, 'accept-edits');
+  assert.deepStrictEqual(await cc.toggleAutoAccept(sessionId, true), { mode: 'accept-edits' });
+  assert.deepStrictEqual(await cc.toggleAutoAccept(sessionId, false), { mode: 'default' });
+
+  // Escape interrupts a running turn; at the prompt there is nothing to do
+  assert.deepStrictEqual(await cc.interrupt(sessionId), { interrupted: false, state: 'idle' });
+  const slow = cc.send(sessionId, 'slow task', SEND_OPTIONS);
+  await waitFor(() => cc.getScreenState(sessionId).state === 'thinking', 'the spinner');
+  assert.deepStrictEqual(await cc.interrupt(sessionId), { interrupted: true, state: 'idle' });
+  assert.strictEqual((await slow).status, 'completed');
+  assert(cc.readTerminalContent(sessionId).includes('Interrupted by user'));
+  assert(!cc.readTerminalContent(sessionId).includes('That took a while.'));
+
+  // Escape twice lists earlier prompts; picking one puts it back in the input box
+  await cc.send(sessionId, 'echo first', SEND_OPTIONS);
+  await cc.send(sessionId, 'echo second', SEND_OPTIONS);
+  assert.deepStrictEqual(await cc.rewind(sessionId, { messages: 2 }), { input: 'echo first' });
+  assert(cc.getStatus(sessionId).logEntries > 0);
+
+  const cli = runCli(['keys', String(sessionId), 'shift+tab']);
+  assert.strictEqual(cli.code, 0, cli.stderr);
+  await waitFor(() => cc.getScreenState(sessionId).mode === 'accept-edits', 'accept-edits mode from the CLI');
+  assert.strictEqual(runCli(['keys', String(sessionId), 'bogus']).code, 1);
+  await cc.close(sessionId);
+  console.log('✅ Keys parsed and sent; interrupted, toggled accept-edits and rewound\n');
+}
+
+async function testSlashCommands() {
+  console.log('Test 21: Slash-command helpers...');
+  const summary = [
+    '  ⎿  Total cost:            $1.2345',
+    '     Total duration (API):  1m 2.5s',
+    '     Total duration (wall): 1h 3m 4.0s',
+    '     Total code changes:    120 lines added, 7 lines removed',
+    '     Usage by model:',
+    '         claude-haiku:  1.2k input, 50 output, 0 cache read, 0 cache write',
+    '        claude-sonnet:  10 input, 2.5k output, 20.5k cache read, 3.2k cache write',
+  ].join('\n');
+  const cost = parseCost(summary);
+  assert.strictEqual(cost.costUsd, 1.2345);
+  assert.strictEqual(cost.apiDurationMs, 62500);
+  assert.strictEqual(cost.wallDurationMs, 3784000);
+  assert.deepStrictEqual([cost.linesAdded, cost.linesRemoved], [120, 7]);
+  assert.deepStrictEqual([cost.inputTokens, cost.outputTokens, cost.cacheReadTokens], [1210, 2550, 20500]);
+  assert.deepStrictEqual(cost.models.map(m => m.model), ['claude-haiku', 'claude-sonnet']);
+  assert.strictEqual(parseCost('With your Claude Max subscription, no need to monitor cost').costUsd, null);
+  assert.strictEqual(parseCost('nothing here'), null);
+  assert.deepStrictEqual([parseCount('3.4m'), parseCount('1,024'), parseDuration('450ms')], [3400000, 1024, 450]);
+
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  await cc.send(sessionId, 'hello', SEND_OPTIONS);
+  const spent = await cc.getCost(sessionId);
+  assert.strictEqual(spent.costUsd, 0.001);
+  assert.deepStrictEqual([spent.inputTokens, spent.outputTokens], [10, 20]);
+
+  // The model picker is read and closed again; /model <name> switches
+  const picker = await cc.switchModel(sessionId);
+  assert.strictEqual(picker.model, 'Default (recommended)');
+  assert.deepStrictEqual(picker.options.map(o => o.name), ['Default (recommended)', 'Opus', 'Sonnet', 'Haiku']);
+  assert.strictEqual(cc.getScreenState(sessionId).state, 'idle');
+  assert.deepStrictEqual(await cc.switchModel(sessionId, 'opus'), { model: 'Opus', id: 'fake-opus' });
+  assert.strictEqual((await cc.switchModel(sessionId)).model, 'Opus');
+  await assert.rejects(cc.switchModel(sessionId, 'nonexistent'), /Could not switch to model nonexistent: Invalid model/);
+
+  const { conversations } = await cc.resumeConversation(sessionId);
+  assert.deepStrictEqual(conversations[1], {
+    number: 2, selected: false, label: '2h ago  23  fix-login  Fix the login redirect',
+    modified: '2h ago', messages: 23, gitBranch: 'fix-login', summary: 'Fix the login redirect',
+  });
+  const { resumed } = await cc.resumeConversation(sessionId, /login/);
+  assert.strictEqual(resumed.summary, 'Fix the login redirect');
+  await waitForText(sessionId, 'Resumed conversation: Fix the login redirect');
+
+  assert.deepStrictEqual((await cc.listMemory(sessionId)).files, [
+    { number: 1, scope: 'Project memory', path: './CLAUDE.md' },
+    { number: 2, scope: 'User memory', path: '~/.claude/CLAUDE.md' },
+  ]);
+  assert.deepStrictEqual(await cc.listPermissions(sessionId), { rules: [] });
+  assert.strictEqual((await cc.send(sessionId, 'run the tests', SEND_OPTIONS)).status, 'permission');
+  await cc.answerPermission(sessionId, 'allow-session');
+  await waitForText(sessionId, 'All 3 tests pass.');
+  await waitFor(() => cc.getScreenState(sessionId).state === 'idle', 'the prompt');
+  assert.deepStrictEqual(await cc.listPermissions(sessionId), { rules: ['Bash(npm:*)'] });
+
+  assert.deepStrictEqual((await cc.initProject(sessionId, SEND_OPTIONS)).files, ['CLAUDE.md']);
+  assert((await cc.reviewChanges(sessionId, null, SEND_OPTIONS)).reply.includes('no issues found'));
+
+  const compacted = await cc.compactConversation(sessionId, 'keep the test notes');
+  assert(compacted.line.startsWith('✻ Conversation compacted'), compacted.line);
+  assert.deepStrictEqual(await cc.clearConversation(sessionId), { cleared: true });
+
+  const cli = runCli(['cost', String(sessionId), '--json']);
+  assert.strictEqual(cli.code, 0, cli.stderr);
+  assert(JSON.parse(cli.stdout).inputTokens >= 10);
+  await cc.close(sessionId);
+  console.log('✅ /cost, /model, /resume, /memory, /permissions, /init, /review, /compact and /clear parsed\n');
+}
+
+async function testUsage() {
+  console.log('Test 22: Usage accounting and budgets...');
+  const fromResult = usageFromResult({ total_cost_usd: 0.25, usage: { input_tokens: 100, output_tokens: 40, cache_read_input_tokens: 7 } });
+  assert.deepStrictEqual(fromResult, { costUsd: 0.25, inputTokens: 100, outputTokens: 40, cacheReadTokens: 7, cacheWriteTokens: 0 });
+  assert.strictEqual(subtractUsage({ costUsd: 0.3 }, { costUsd: 0.1 }).costUsd, 0.2);
+  assert.throws(() => normalizeBudget({ action: 'close' }), /needs maxCostUsd or maxTokens/);
+  assert.throws(() => normalizeBudget({ maxTokens: 10, action: 'explode' }), /Unknown budget action/);
+  assert.deepStrictEqual(budgetExceeded(fromResult, normalizeBudget({ maxTokens: 140 })), { limit: 'maxTokens', spent: 140, max: 140 });
+  assert.strictEqual(budgetExceeded(fromResult, normalizeBudget({ maxCostUsd: 1 })), null);
+
+  // Interactive: /cost is read after each command; the budget stops further sends
+  const sessionId = await launchFake({ budget: { maxCostUsd: 0.0025 } });
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  const first = await cc.send(sessionId, 'hello', SEND_OPTIONS);
+  assert.deepStrictEqual(first.usage, { costUsd: 0.001, inputTokens: 10, outputTokens: 20, cacheReadTokens: 0, cacheWriteTokens: 0 });
+  assert.strictEqual(first.budget, null);
+  await cc.send(sessionId, 'hello', SEND_OPTIONS);
+  assert.strictEqual(cc.getStatus(sessionId).usage.costUsd, 0.002);
+  const third = await cc.send(sessionId, 'hello', SEND_OPTIONS);
+  assert.deepStrictEqual(third.budget, { scope: 'session', action: 'interrupt', limit: 'maxCostUsd', spent: 0.003, max: 0.0025 });
+  await assert.rejects(cc.send(sessionId, 'hello', SEND_OPTIONS), /Budget exceeded for session \d+ \(session\): \$0\.0030 of \$0\.0025/);
+  cc.setBudget(sessionId, { maxCostUsd: 1 });
+  assert.strictEqual((await cc.send(sessionId, 'hello', SEND_OPTIONS)).usage.costUsd, 0.001);
+
+  const savedPath = path.join(projectPath, 'usage-session.json');
+  await cc.saveSession(sessionId, savedPath);
+  const saved = JSON.parse(fs.readFileSync(savedPath, 'utf-8'));
+  assert.strictEqual(saved.usage.costUsd, 0.004);
+  assert.strictEqual(saved.usage.outputTokens, 80);
+  assert.deepStrictEqual(saved.log.filter(e => e.type === 'usage').map(e => e.command), ['hello', 'hello', 'hello', 'hello']);
+  assert.strictEqual(saved.log.filter(e => e.type === 'budget').length, 1);
+  assert(!saved.log.some(e => e.command === '/cost'), '/cost should not be logged as a command');
+  const usageCli = runCli(['usage', String(sessionId)]);
+  assert(usageCli.stdout.endsWith('$0.0040\t40 in\t80 out\ttotal'), usageCli.stdout);
+  await cc.close(sessionId);
+
+  // Headless: usage comes from the result event; 'close' ends the session
+  const headlessOptions = { headless: true, command: FAKE_CLAUDE, extraArgs: ['--fixture', FIXTURE] };
+  const closing = await cc.launch(projectPath, { ...headlessOptions, budget: { maxTokens: 50, action: 'close' } });
+  assert.strictEqual((await cc.send(closing, 'hello', 20)).usage.inputTokens, 10);
+  const over = await cc.send(closing, 'hello', 20);
+  assert.deepStrictEqual(over.budget, { scope: 'session', action: 'close', limit: 'maxTokens', spent: 60, max: 50 });
+  assert.strictEqual(cc.getStatus(closing), null, 'The close action should close the session');
+
+  // A global budget counts every session, closed ones included
+  const shared = await cc.launch(projectPath, headlessOptions);
+  cc.setGlobalBudget({ maxCostUsd: cc.getGlobalUsage().costUsd + 0.0015 });
+  assert.strictEqual((await cc.send(shared, 'hello', 20)).budget, null);
+  assert.strictEqual((await cc.send(shared, 'hello', 20)).budget.scope, 'global');
+  await assert.rejects(cc.send(shared, 'hello', 20), /Budget exceeded for session \d+ \(global\)/);
+  cc.setGlobalBudget(null);
+  await cc.close(shared);
+  console.log('✅ Usage recorded per command; session and global budgets enforced\n');
+}
+
+async function testTranscripts() {
+  console.log('Test 23: Terminal transcripts...');
+  const diff = snapshotDiff('a\nb\nc', 'a\nx\ny\nc');
+  assert.deepStrictEqual(diff, { start: 1, deleteCount: 1, insert: ['x', 'y'] });
+  assert.strictEqual(applySnapshotDiff('a\nb\nc', diff), 'a\nx\ny\nc');
+
+  // Full snapshots only every SNAPSHOT_INTERVAL entries; the rest rebuild from diffs
+  const screens = Array.from({ length: SNAPSHOT_INTERVAL + 2 }, (_, i) => `screen\nline ${i}`);
+  const log = [];
+  for (const screen of screens) log.push({ type: 'command', ...snapshotFields(log, screen) });
+  assert.deepStrictEqual(log.map((e, i) => (typeof e.terminal === 'string' ? i : null)).filter(i => i !== null), [0, SNAPSHOT_INTERVAL]);
+  assert.deepStrictEqual(terminalSnapshots(log), screens);
+  assert.strictEqual(lastTerminal(log), screens[screens.length - 1]);
+  // Entries another process logged in between are kept, and ours re-diffed against them
+  const foreign = [...log.slice(0, 3), { type: 'command', ...snapshotFields(log.slice(0, 3), 'elsewhere') }];
+  const merged = appendLogEntries(foreign, log, 3);
+  assert.deepStrictEqual(terminalSnapshots(merged), [...screens.slice(0, 3), 'elsewhere', ...screens.slice(3)]);
+
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  await cc.send(sessionId, 'hello', SEND_OPTIONS);
+  await cc.send(sessionId, 'create a hello script', SEND_OPTIONS);
+
+  const base = path.join(projectPath, 'transcript-session');
+  await cc.saveSession(sessionId, `${base}.json`, { transcripts: true });
+  const { log: saved } = JSON.parse(fs.readFileSync(`${base}.json`, 'utf-8'));
+  const snapshots = terminalSnapshots(saved);
+  const commands = saved.filter(e => e.type === 'command');
+  const responses = saved.filter(e => e.type === 'response');
+  const terminalOf = entry => snapshots[saved.indexOf(entry)];
+  assert(commands.every(e => typeof terminalOf(e) === 'string'), 'Command entries should carry a snapshot');
+  assert.strictEqual(commands[0].terminalDiff, null);
+  assert.strictEqual(typeof commands[0].terminal, 'string');
+  assert(!('terminal' in responses[0]), 'Snapshots between full ones should be stored as diffs');
+  assert(terminalOf(responses[0]).includes('Hello! How can I help with this project?'));
+  for (const [i, response] of responses.entries()) {
+    assert.strictEqual(applySnapshotDiff(terminalOf(commands[i]), response.terminalDiff), terminalOf(response));
+  }
+  assert(responses[1].terminalDiff.insert.some(line => line.includes('Created hello.py.')));
+
+  const text = fs.readFileSync(`${base}.txt`, 'utf-8');
+  assert(text.includes('> create a hello script'), text);
+  assert(text.includes('Created hello.py.'), text);
+  const markdown = fs.readFileSync(`${base}.md`, 'utf-8');
+  assert(markdown.includes('## 2. create a hello script'), markdown);
+  assert(markdown.includes('> Hello! How can I help with this project?'), markdown);
+  assert(markdown.includes('- `Write(hello.py)`'), markdown);
+  await cc.close(sessionId);
+
+  const plain = await launchFake({ transcript: false });
+  await cc.approveSecurity(plain);
+  await waitForText(plain, 'Welcome to Claude Code!');
+  await cc.send(plain, 'hello', SEND_OPTIONS);
+  const plainPath = path.join(projectPath, 'plain-session.json');
+  await cc.saveSession(plain, plainPath);
+  const plainLog = JSON.parse(fs.readFileSync(plainPath, 'utf-8')).log;
+  assert(!plainLog.some(e => 'terminal' in e || 'terminalDiff' in e), 'transcript: false should leave snapshots out');
+  await cc.close(plain);
+  console.log('✅ Snapshots and diffs logged; .txt and .md transcripts exported\n');
+}
+
+async function testAsciicast() {
+  console.log('Test 24: Asciicast recording...');
+  const screen = createScreen(10, 3);
+  screen.write('ab\r\ncd\u001b[1;1HX\u001b[K\u001b[31m\u001b[3;2Hred\u001b[0m');
+  assert.strictEqual(screen.text(), 'X\ncd\n red');
+  screen.write('\r\nscrolled');
+  assert.strictEqual(screen.text(), 'cd\n red\nscrolled');
+
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  const castPath = path.join(projectPath, 'session.cast');
+  const started = await cc.startRecording(sessionId, { outputPath: castPath, intervalMs: 100 });
+  assert.strictEqual(started.castPath, castPath);
+  await cc.send(sessionId, 'hello', SEND_OPTIONS);
+  const stopped = await cc.stopRecording(sessionId);
+  assert.strictEqual(stopped.castPath, castPath);
+
+  const cast = readCast(castPath);
+  assert.strictEqual(cast.header.version, 2);
+  assert.deepStrictEqual([cast.header.width, cast.header.height], [100, 40]);
+  assert(cast.events.length >= 2, 'Expected the prompt being typed and answered');
+  assert(cast.events.every(([time, type], i) => type === 'o' && (i === 0 || time >= cast.events[i - 1][0])));
+  const screens = castScreens(cast, 10);
+  assert(screens[0].includes('Welcome to Claude Code!'), screens[0]);
+  assert(screens[screens.length - 1].includes('Hello! How can I help with this project?'));
+
+  const frames = await cc.getFrames(sessionId, { fps: 4, outputDir: path.join(projectPath, 'cast-frames') });
+  assert(frames.length >= 2 && frames.every(f => /frame_\d{4}\.svg$/.test(f)), frames.join(', '));
+  const lastFrame = fs.readFileSync(frames[frames.length - 1], 'utf-8');
+  assert(lastFrame.startsWith('<svg') && lastFrame.includes('Hello! How can I help with this project?'));
+
+  // The CLI records in a background process and stops it by PID
+  const cliCast = path.join(projectPath, 'cli.cast');
+  const start = runCli(['record', 'start', String(sessionId), '--output', cliCast, '--interval', '100']);
+  assert.strictEqual(start.code, 0, start.stderr);
+  assert.strictEqual(start.stdout.split('\n').pop(), cliCast);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const stop = runCli(['record', 'stop', String(sessionId)]);
+  assert.strictEqual(stop.code, 0, stop.stderr);
+  assert(readCast(cliCast).events.length >= 1, 'The background recorder should have written events');
+  await cc.close(sessionId);
+  console.log('✅ Terminal recorded to .cast and rendered to frames\n');
+}
+
+async function testReplay() {
+  console.log('Test 25: Session replay...');
+  const t = Date.parse('2026-01-01T00:00:00Z');
+  const recording = {
+    sessionId: 7,
+    path: projectPath,
+    backend: 'tmux',
+    createdAt: new Date(t).toISOString(),
+    commands_sent: 3,
+    log: [
+      { type: 'screenshot', timestamp: t, path: '/tmp/launch.png', event: 'launch' },
+      { type: 'command', timestamp: t + 1000, command: 'hello', terminal: '> ', terminalDiff: null },
+      { type: 'response', timestamp: t + 3000, duration_ms: 2000, status: 'completed', reply: 'Hi there',
+        terminal: '> hello\n⏺ Hi there\n> ', terminalDiff: { start: 0, deleteCount: 1, insert: ['> hello', '⏺ Hi there', '> '] } },
+      { type: 'command', timestamp: t + 4000, command: 'run the tests' },
+      { type: 'permission', timestamp: t + 5000, tool: 'Bash', argument: 'npm test', decision: 'allow', intent: 'allow-once', rule: null },
+      { type: 'response', timestamp: t + 8000, duration_ms: 4000, status: 'completed', reply: 'All 3 tests pass.' },
+      { type: 'verification', timestamp: t + 9000, description: 'tests are green', screenshot: '/tmp/verify.png' },
+      { type: 'command', timestamp: t + 60000, command: 'fix the readme' },
+      { type: 'response', timestamp: t + 62000, duration_ms: 2000, status: 'error', reply: 'README not found' },
+    ],
+  };
+  const file = path.join(projectPath, 'replay-session.json');
+  fs.writeFileSync(file, JSON.stringify(recording));
+  assert.throws(() => loadRecording(FIXTURE), /Not a session recording/);
+
+  let output = '';
+  const write = (text) => { output += text; };
+  const all = await replay(loadRecording(file), { instant: true, write });
+  assert.deepStrictEqual([all.commands, all.entries, all.stoppedAt], [3, 9, null]);
+  for (const expected of ['Command 1/3 · +00:01', '> hello', '⏺ Hi there', '🔐 Bash(npm test): allow → allow-once',
+    '🔍 Verify: tests are green — /tmp/verify.png', 'Command 3/3 · +01:00', '[error, 2s]', '📷 Screenshot (launch): /tmp/launch.png']) {
+    assert(output.includes(expected), `Missing "${expected}" in:\n${output}`);
+  }
+
+  // Seek to the 2nd command and stop at the first entry matching a pattern
+  output = '';
+  const part = await replay(recording, { instant: true, from: 2, until: /tests pass/, write });
+  assert.strictEqual(part.commands, 1);
+  assert.strictEqual(part.stoppedAt.reply, 'All 3 tests pass.');
+  assert(!output.includes('> hello') && output.includes('Command 2/3') && !output.includes('fix the readme'), output);
+  await assert.rejects(replay(recording, { instant: true, from: 4, write }), /only 3 command\(s\), cannot seek to command 4/);
+
+  // Real time, sped up, with long pauses capped
+  const start = Date.now();
+  const timed = await replay(recording, { speed: 20, maxIdleMs: 2000, typingMs: 0, write: () => {} });
+  const elapsed = Date.now() - start;
+  assert(elapsed >= 500 && elapsed < 3000, `Replay took ${elapsed}ms`);
+  assert.strictEqual(timed.duration_ms, 62000);
+
+  const cli = runCli(['replay', file, '--instant', '--until', 'readme']);
+  assert.strictEqual(cli.code, 0, cli.stderr);
+  assert(cli.stdout.includes('> fix the readme') && cli.stdout.includes('Stopped at command'), cli.stdout);
+  assert(!cli.stdout.includes('README not found'), cli.stdout);
+  console.log('✅ Recordings replayed with speed, seeking and --until\n');
+}
+
+async function testReport() {
+  console.log('Test 26: HTML session report...');
+  const sessionId = await launchFake({ trackUsage: true });
+  await cc.approveSecurity(sessionId);
+  await waitForText(sessionId, 'Welcome to Claude Code!');
+  await cc.startRecording(sessionId, { format: 'cast', intervalMs: 100, outputPath: path.join(projectPath, 'report.cast') });
+  await cc.send(sessionId, 'echo <b>bold</b> & more', SEND_OPTIONS);
+  const tests = await cc.send(sessionId, 'run the tests', SEND_OPTIONS);
+  assert.strictEqual(tests.status, 'permission');
+  await cc.answerPermission(sessionId, 'allow-once');
+  await waitForText(sessionId, 'All 3 tests pass.');
+  await cc.stopRecording(sessionId);
+
+  const htmlPath = path.join(projectPath, 'report-session.html');
+  await cc.saveSession(sessionId, htmlPath);
+  const html = fs.readFileSync(htmlPath, 'utf-8');
+  assert(html.startsWith('<!DOCTYPE html>'));
+  assert(html.includes('<code>echo &lt;b&gt;bold&lt;/b&gt; &amp; more</code>') && !html.includes('<b>bold</b>'), 'Commands must be escaped');
+  assert.strictEqual((html.match(/<a href="#command-\d+">/g) || []).length, 2, 'Two timeline rows');
+  assert(html.includes('<code>Bash(npm test)</code> <span class="status allow">allow</span> allow-once'), 'Permission decision');
+  assert(/<tr><th>Cost<\/th><td>\$0\.00\d\d · \d+ input/.test(html), 'Cost totals');
+  assert(html.includes('<h2>Frames</h2>') && html.includes('data:image/svg+xml;base64,'), 'Frames rendered from the .cast');
+  assert(!/src="(?!data:)/.test(html), 'Everything should be embedded');
+
+  // From a saved JSON with extra frames; missing screenshots are noted, not fatal
+  const jsonPath = path.join(projectPath, 'report-session.json');
+  await cc.saveSession(sessionId, jsonPath);
+  const framesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-report-frames-'));
+  fs.writeFileSync(path.join(framesDir, 'frame_0001.png'), Buffer.from('89504e470d0a1a0a', 'hex'));
+  const cli = runCli(['report', jsonPath, '--frames-dir', framesDir]);
+  assert.strictEqual(cli.code, 0, cli.stderr);
+  assert.strictEqual(cli.stdout, path.join(projectPath, 'report-session.html'));
+  assert(fs.readFileSync(cli.stdout, 'utf-8').includes('data:image/png;base64,iVBORw0KGgo='));
+  const recording = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+  recording.log.push({ type: 'screenshot', timestamp: Date.now(), path: '/nonexistent/shot.png', event: 'final' });
+  const missing = fs.readFileSync(writeReport(recording, path.join(projectPath, 'missing.html')), 'utf-8');
+  assert(missing.includes('<code>/nonexistent/shot.png</code> (not found)'));
+
+  // Relative screenshot paths in a saved JSON are found next to the recording
+  const moved = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-report-moved-'));
+  fs.mkdirSync(path.join(moved, 'shots'));
+  fs.writeFileSync(path.join(moved, 'shots', 'final.png'), Buffer.from('89504e470d0a1a0a', 'hex'));
+  recording.log.push({ type: 'screenshot', timestamp: Date.now(), path: 'shots/final.png', event: 'final' });
+  fs.writeFileSync(path.join(moved, 'session.json'), JSON.stringify(recording));
+  const relative = fs.readFileSync(writeReport(path.join(moved, 'session.json'), path.join(moved, 'session.html')), 'utf-8');
+  assert(!relative.includes('shots/final.png</code> (not found)'), 'Relative screenshots should resolve against the recording');
+  assert(relative.includes('data:image/png;base64,iVBORw0KGgo='));
+  fs.rmSync(moved, { recursive: true, force: true });
+  await cc.close(sessionId);
+  console.log('✅ Self-contained report with timeline, decisions, costs and frames\n');
+}
+
+async function testSessionScripts() {
+  console.log('Test 27: Scripted sessions...');
+  assert.deepStrictEqual(parseYaml('a: 1\nlist:\n- x\n- k: "v: w"  # note\n  n: [1, two]\ntext: |\n  one\n  two\n'), {
+    a: 1, list: ['x', { k: 'v: w', n: [1, 'two'] }], text: 'one\ntwo\n',
+  });
+  assert.throws(() => parseYaml('a:\n  b: 1\n c: 2'), /line 3/);
+  assert.throws(() => validateScript({ steps: ['launch', { type: 'hello' }] }), /Step 2: needs exactly one action \(got type\)/);
+  assert.throws(() => validateScript({ steps: [{ send: 'hi', wait: 'x' }] }), /Step 1: needs exactly one action \(got send, wait\)/);
+  assert.throws(() => validateScript({ steps: [{ send: 'hi', untill: 'x' }] }), /unknown option "untill" for send/);
+  assert.throws(() => validateScript({ steps: [{ record: 'pause' }] }), /record must be "start" or "stop"/);
+  assert.deepStrictEqual(parseScript('{"steps": ["close"]}', 'x.json'), { steps: ['close'] });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-script-'));
+  const launch = `launch: { backend: tmux, command: ${JSON.stringify(FAKE_COMMAND)}, startupMs: 1000, cols: 100, rows: 40 }`;
+  const scriptPath = path.join(dir, 'hello.yaml');
+  fs.writeFileSync(scriptPath, [
+    'name: Hello script',
+    `project: ${JSON.stringify(projectPath)}`,
+    launch,
+    'timeout: 20',
+    'steps:',
+    '  - launch: { approve: true }',
+    '  - wait: Welcome to Claude Code!',
+    '  - send: hello',
+    '    until: How can I help',
+    '  - expect: /Hello! How can I help/',
+    '  - expect-not: /error/i',
+    '  - record: start',
+    '    format: cast',
+    '    output: ./out/hello.cast',
+    '  - send: run the tests',
+    '    status: permission',
+    '  - answer: allow-once',
+    '    until: All 3 tests pass.',
+    '  - record: stop',
+    '  - key: shift+tab',
+    '  - screenshot: ./out/end.png',
+    '  - save: ./out/session.json',
+    '  - close',
+  ].join('\n'));
+  const cli = runCli(['run', scriptPath]);
+  assert.strictEqual(cli.code, 0, `${cli.stdout}\n${cli.stderr}`);
+  const lines = cli.stdout.split('\n');
+  assert.strictEqual(lines.filter(line => line.startsWith('✔ ')).length, 13, cli.stdout);
+  assert(lines[1].startsWith('✔ 2. wait Welcome to Claude Code!'), lines[1]);
+  assert.strictEqual(lines[lines.length - 1], 'Hello script: all 13 steps passed');
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'session.json'), 'utf-8'));
+  assert.deepStrictEqual(saved.log.filter(e => e.type === 'command').map(e => e.command), ['hello', 'run the tests']);
+  assert(fs.readFileSync(path.join(dir, 'out', 'end.txt'), 'utf-8').includes('All 3 tests pass.'), 'tmux screenshots fall back to text');
+  assert(fs.existsSync(path.join(dir, 'out', 'hello.cast')));
+
+  // A failed expectation is reported and the script goes on; a step that
+  // throws skips the rest. Either way the session is closed.
+  const failing = await runScript({
+    project: projectPath,
+    launch: { backend: 'tmux', command: FAKE_COMMAND, startupMs: 1000, cols: 100, rows: 40, approve: true },
+    steps: [
+      'launch',
+      { wait: 'Welcome to Claude Code!', timeout: 5 },
+      { expect: 'Goodbye', name: 'says goodbye' },
+      { send: 'hello', until: 'How can I help', timeout: 20 },
+      { answer: 'allow-once' },
+      { expect: 'Hello!' },
+    ],
+  }, { cc });
+  assert.strictEqual(failing.passed, false);
+  assert.deepStrictEqual(failing.steps.map(step => step.status), ['passed', 'passed', 'failed', 'passed', 'failed', 'skipped']);
+  assert.strictEqual(failing.steps[2].message, '"Goodbye" is not on screen');
+  assert.strictEqual(failing.steps[2].label, 'says goodbye');
+  assert.match(failing.steps[4].message, /not showing a permission dialog/);
+  assert.strictEqual(cc.getStatus(failing.sessionId), null, 'The session should be closed');
+
+  // Text steps only see what the screen gained since the send: "zebra" is
+  // echoed with the command but not in the reply
+  const fresh = await runScript({
+    project: projectPath,
+    launch: { backend: 'tmux', command: FAKE_COMMAND, startupMs: 1000, cols: 100, rows: 40, approve: true },
+    steps: [
+      'launch',
+      { wait: 'Welcome to Claude Code!', timeout: 5 },
+      { send: 'hello zebra', until: 'zebra', timeout: 8 },
+      { expect: 'zebra' },
+      { 'expect-not': 'Welcome to Claude Code!' },
+      { expect: 'How can I help' },
+    ],
+  }, { cc });
+  assert.deepStrictEqual(fresh.steps.map(step => step.status), ['passed', 'passed', 'failed', 'failed', 'passed', 'passed']);
+  assert.strictEqual(fresh.steps[2].message, '"zebra" did not appear within 8s');
+
+  const failingPath = path.join(dir, 'failing.json');
+  fs.writeFileSync(failingPath, JSON.stringify({ steps: ['approve'] }));
+  const failed = runCli(['run', failingPath]);
+  assert.strictEqual(failed.code, 1);
+  assert(failed.stdout.startsWith('✘ 1. approve (0.0s) — No session — add a launch step first'), failed.stdout);
+  assert(failed.stdout.endsWith('1 of 1 steps failed'), failed.stdout);
+  console.log('✅ YAML/JSON scripts run step by step with pass/fail and exit codes\n');
+}
+
+async function testAssertions() {
+  console.log('Test 28: Assertions on the terminal text...');
+  const content = '⏺ Created hello.py\n\n⏺ All 3 tests pass.\n> ';
+  assert.deepStrictEqual(findMatches(content, 'hello.py'), [{ line: 1, text: 'hello.py', excerpt: '⏺ Created hello.py\n' }]);
+  assert.deepStrictEqual(findMatches(content, /(\d+) tests?/).map(m => [m.line, m.text]), [[3, '3 tests']]);
+  assert.strictEqual(evaluateAssertion({ kind: 'no-text', pattern: /tests? pass/ }, content).message,
+    'Expected /tests? pass/ not to be on screen (line 3: "⏺ All 3 tests pass.")');
+  assert.throws(() => evaluateAssertion({ kind: 'state', state: 'sleeping' }, content), /Unknown screen state "sleeping"/);
+  assert.strictEqual(screenDiff('a\nb\nc', 'a\nB\nc', 1), '@@ line 2 @@\n  a\n- b\n+ B\n  c');
+  assert.deepStrictEqual(patternAssertion('/tests? pass/i'), { kind: 'regex', pattern: /tests? pass/i });
+  assert.deepStrictEqual(patternAssertion('a/b', true), { kind: 'no-text', pattern: 'a/b' });
+  // since: only lines added after that screen count, without the echoed command
+  const before = '⏺ The zebra test is flaky.\n> ';
+  const after = '⏺ The zebra test is flaky.\n> fix the zebra test\n⏺ Done.\n> ';
+  const stale = await checkScreen(() => after, { kind: 'text', pattern: 'zebra' }, { since: before, command: 'fix the zebra test' });
+  assert.strictEqual(stale.passed, false);
+  assert((await checkScreen(() => after, { kind: 'text', pattern: 'Done.' }, { since: before })).passed);
+
+  const sessionId = await launchFake();
+  await cc.approveSecurity(sessionId);
+  const welcome = await cc.waitForText(sessionId, 'Welcome to Claude Code!', 10000);
+  assert.strictEqual(welcome.matches[0].text, 'Welcome to Claude Code!');
+  await cc.expectState(sessionId, 'idle', { timeoutMs: 5000 });
+  await cc.send(sessionId, 'hello', SEND_OPTIONS);
+
+  // waitForText only counts what came after the previous logged snapshot (the reply's)
+  await assert.rejects(cc.waitForText(sessionId, 'How can I help', 300), /Expected "How can I help" on screen/);
+  assert((await cc.waitForText(sessionId, 'How can I help', { timeoutMs: 300, since: false })).passed);
+
+  const found = await cc.expectText(sessionId, 'How can I help');
+  assert(found.passed && found.matches[0].excerpt.includes('Hello! How can I help with this project?'));
+  assert.strictEqual((await cc.expectRegex(sessionId, '/hello! (\\w+)/i')).matches[0].text, 'Hello! How');
+  await cc.expectNoText(sessionId, /error/i);
+
+  // A failure throws with the last screen diffed against the previous snapshot
+  const failure = await cc.expectText(sessionId, 'Goodbye').catch(err => err);
+  assert.match(failure.message, /^Expected "Goodbye" on screen\n\nLast screen \(diff against the previous snapshot\):\n/);
+  assert.strictEqual(failure.assertion.passed, false);
+  assert(failure.assertion.diff.includes('Hello! How can I help with this project?'));
+  await assert.rejects(cc.expectNoText(sessionId, 'Hello!'), /Expected "Hello!" not to be on screen \(line \d+/);
+  await assert.rejects(cc.expectState(sessionId, 'permission'), /Expected the screen to be permission, but it is idle/);
+
+  // waitForText polls until the slow reply arrives
+  const slow = cc.send(sessionId, 'slow task', SEND_OPTIONS);
+  await cc.expectState(sessionId, ['thinking', 'tool_running'], { timeoutMs: 5000 });
+  const done = await cc.waitForText(sessionId, /That took a while\./, { timeoutMs: 20000, pollMs: 100 });
+  assert(done.waited_ms > 0);
+  await slow;
+  await assert.rejects(cc.waitForText(sessionId, 'never shown', 300), /Expected "never shown" on screen after 0\.\d+s/);
+
+  // verifyScreen: checks decide `verified`; a description alone still needs a screenshot
+  const verified = await cc.verifyScreen(sessionId, 'reply shown', { text: 'That took a while.', noText: 'Goodbye', state: 'idle' });
+  assert.strictEqual(verified.verified, true);
+  assert.deepStrictEqual(verified.checks.map(check => check.passed), [true, true, true]);
+  const rejected = await cc.verifyScreen(sessionId, 'says goodbye', { text: 'Goodbye' });
+  assert.strictEqual(rejected.verified, false);
+  assert.strictEqual(rejected.error, 'Expected "Goodbye" on screen');
+  assert(rejected.diff);
+  assert.deepStrictEqual(await cc.verifyScreen(sessionId, 'looks right'), { verified: false, error: 'Screenshot failed' });
+  await assert.rejects(cc.verifyScreen(sessionId, 'typo', { txt: 'x' }), /Unknown verifyScreen check "txt"/);
+
+  const savedPath = path.join(os.tmpdir(), `cc-assertions-${process.pid}.json`);
+  await cc.saveSession(sessionId, savedPath);
+  const verifications = JSON.parse(fs.readFileSync(savedPath, 'utf-8')).log.filter(e => e.type === 'verification');
+  fs.rmSync(savedPath, { force: true });
+  assert(verifications.some(e => e.description === 'expectText("Goodbye")' && e.passed === false && e.terminalDiff));
+  assert(verifications.some(e => e.description === 'reply shown' && e.passed === true));
+
+  const cli = runCli(['expect', String(sessionId), 'That took', '--json']);
+  assert.strictEqual(cli.code, 0, cli.stderr);
+  assert.strictEqual(JSON.parse(cli.stdout).matches[0].excerpt, '⏺ That took a while.');
+  const missing = runCli(['expect', String(sessionId), '/good ?bye/i']);
+  assert.strictEqual(missing.code, 1);
+  assert(missing.stderr.includes('Expected /good ?bye/i to match the screen'), missing.stderr);
+  assert.strictEqual(runCli(['expect', String(sessionId), '--state', 'idle']).code, 0);
+  assert.strictEqual(runCli(['expect', String(sessionId), 'Hello!', '--not']).code, 1);
+  await cc.close(sessionId);
+  console.log('✅ Text, regex, absence, waits and screen states checked with matched excerpts and failure diffs\n');
+}
+
+function runCli(args) {
+  const run = spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), ...args], {
+    encoding: 'utf-8',
+    timeout: 60000,
+  });
+  return { code: run.status, stdout: run.stdout.trim(), stderr: run.stderr };
+}
+
+async function testCli() {
+  console.log('Test 13: Driving a session with the cc-control CLI...');
+  const launched = runCli([
+    'launch', projectPath, '--backend', 'tmux', '--command', FAKE_COMMAND,
+    '--startup-ms', '1000', '--approve', '--json',
+  ]);
+  assert.strictEqual(launched.code, 0, launched.stderr);
+  const { sessionId } = JSON.parse(launched.stdout);
+
+  const hello = runCli(['send', String(sessionId), 'hello', 'cli', '--json']);
+  assert.strictEqual(hello.code, 0, hello.stderr);
+  assert.strictEqual(JSON.parse(hello.stdout).reply, 'Hello! How can I help with this project?');
+
+  const tests = runCli(['send', String(sessionId), 'run the tests', '--timeout', '20']);
+  assert.strictEqual(tests.code, 4, 'Waiting at a permission prompt should exit 4');
+
+  const screen = runCli(['screenshot', String(sessionId)]);
+  assert(screen.stdout.includes('Do you want to proceed?'), 'tmux screenshots print the terminal text');
+  assert.strictEqual(JSON.parse(runCli(['state', String(sessionId), '--json']).stdout).state, 'permission');
+
+  const castPath = path.join(projectPath, 'cli-recording.cast');
+  const recording = runCli(['record', 'start', String(sessionId), '--format', 'cast', '--output', castPath, '--interval', '100']);
+  assert.strictEqual(recording.code, 0, recording.stderr);
+  assert.strictEqual(recording.stdout.trim(), castPath);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const recorded = runCli(['record', 'stop', String(sessionId)]);
+  assert.strictEqual(recorded.code, 0, recorded.stderr);
+  assert(readCast(castPath).events.length > 0, 'record start --format cast should write an asciicast');
+
+  const listed = JSON.parse(runCli(['sessions', '--json']).stdout);
+  assert(listed.some(s => s.sessionId === sessionId && s.alive), 'Session should be listed');
+
+  assert.strictEqual(runCli(['close', String(sessionId)]).code, 0);
+  assert(!JSON.parse(runCli(['sessions', '--json']).stdout).some(s => s.sessionId === sessionId));
+
+  assert.strictEqual(runCli(['send']).code, 2, 'Usage errors should exit 2');
+  assert.strictEqual(runCli(['send', '999', 'hi']).code, 1, 'Unknown sessions should exit 1');
+  console.log('✅ CLI launched, sent, recorded, listed and closed with the right exit codes\n');
+}
+
+async function main() {
+  console.log('🧪 Testing claude-code-control against fake Claude Code\n');
+
+  try {
+    execFileSync('tmux', ['-V'], { stdio: 'pipe' });
+  } catch {
+    console.error('❌ tmux not found — install it to run the offline tests');
+    process.exit(1);
+  }
+
+  try {
+    await testInteractive();
+    await testHeadless();
+    await testServer();
+    await testCli();
+    await testEvents();
+    await testMonitor();
+    await testNotifiers();
+    await testScreenStates();
+    await testPermissionIntents();
+    await testInput();
+    await testKeys();
+    await testSlashCommands();
+    await testUsage();
+    await testTranscripts();
+    await testAsciicast();
+    await testReplay();
+    await testReport();
+    await testSessionScripts();
+    await testAssertions();
+    console.log('🎉 All tests passed!\n');
+  } finally {
+    await cc.closeAll();
+    try {
+      execFileSync('tmux', ['-L', process.env.CC_TMUX_SOCKET, 'kill-server'], { stdio: 'ignore' });
+    } catch {}
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    fs.rmSync(process.env.CC_STATE_DIR, { recursive: true, force: true });
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Test failed:', err);
+  process.exit(1);
+});
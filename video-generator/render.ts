@@ -43,7 +43,7 @@ Usage:
   npx ts-node render.ts [options]
 
 Required:
-  --frames-dir <path>      Directory containing frame images (PNG/JPG)
+  --frames-dir <path>      Directory containing frame images (PNG/JPG/SVG)
 
 Optional:
   --captions <json|path>   JSON array of captions, or path to .json file
@@ -84,7 +84,7 @@ if (!fs.existsSync(resolvedFramesDir)) {
 }
 
 // Read frame files
-const VALID_EXTS = [".png", ".jpg", ".jpeg", ".webp", ".gif"];
+const VALID_EXTS = [".png", ".jpg", ".jpeg", ".webp", ".gif", ".svg"];
 let frameFiles: string[];
 try {
   frameFiles = fs
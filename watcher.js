@@ -1,57 +1,84 @@
 #!/usr/bin/env node
 /**
  * Standalone Terminal Watcher
- * 
- * Monitors Terminal.app content and sends openclaw system events
- * when it detects prompts, errors, or completion signals.
- * 
+ *
+ * Monitors every live claude-code-control session (or, on macOS with no
+ * saved sessions, Terminal.app's front window) and sends openclaw system
+ * events when it detects prompts, errors, or completion signals.
+ *
  * Runs as a background process — no API calls, just local polling.
  * Wakes Atlas only when something needs attention.
- * 
- * Usage: node watcher.js [--interval 3000] [--auto-approve]
+ *
+ * Usage: node watcher.js [--interval 3000] [--auto-approve] [--policy policy.json]
+ *                        [--session <id>] [--log <file>] [--notify <spec>]...
+ *                        [--webhook <url>] [--exec <command>] [--config watcher.json]
+ *
+ * --policy answers tool permission dialogs by allow/deny rules (see
+ * lib/policy.js; regexes are given as strings) instead of approving
+ * everything. Prompts the policy escalates wake the agent.
+ *
+ * --notify picks where events go and may be repeated: openclaw, desktop,
+ * webhook:<url>, slack:<url>, jsonl:<path>, file:<path>, exec:<command>
+ * (see lib/notifiers.js). Without --notify the watcher wakes openclaw for
+ * prompts, errors and completion; --webhook and --exec add to either. --config reads the same settings from
+ * a JSON file; flags given on the command line win:
+ *
+ *   {
+ *     "interval": 3000,
+ *     "autoApprove": false,
+ *     "policy": "policy.json",
+ *     "cooldowns": { "error": 60000 },
+ *     "notifiers": ["desktop", { "type": "slack", "url": "https://hooks.slack.com/...", "categories": ["prompt"] }]
+ *   }
+ *
+ * This is a thin wrapper around lib/monitor.js.
  */
 
-const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('./lib/args');
+const { createMonitor } = require('./lib/monitor');
+const { createNotifier, openclawNotifier } = require('./lib/notifiers');
 
 // ─── Config ─────────────────────────────────────────────────
 
-const args = process.argv.slice(2);
-const INTERVAL = parseInt(args.find((_, i, a) => a[i - 1] === '--interval') || '3000');
-const AUTO_APPROVE = args.includes('--auto-approve');
-const LOG_FILE = '/tmp/cc-watcher.log';
+// Only things that need the agent wake it up
+const WAKE_CATEGORIES = ['prompt', 'error', 'completion'];
 
-// ─── Patterns ───────────────────────────────────────────────
-
-const PROMPT_PATTERNS = [
-  { pattern: /Do you want to/i, label: 'permission-prompt' },
-  { pattern: /\? ❯ 1\. Yes/i, label: 'permission-prompt' },
-  { pattern: /Allow .+\?/i, label: 'allow-prompt' },
-  { pattern: /Trust this/i, label: 'trust-prompt' },
-  { pattern: /\[Y\/n\]/i, label: 'yn-prompt' },
-  { pattern: /\[y\/N\]/i, label: 'yn-prompt' },
-];
-
-const IGNORE_PATTERNS = [
-  /compdef/i,
-  /zsh.*completion/i,
-  /insecure directories/i,
-];
-
-const ERROR_PATTERNS = [
-  { pattern: /Error:/i, label: 'error' },
-  { pattern: /FATAL/i, label: 'fatal-error' },
-  { pattern: /panic/i, label: 'panic' },
-  { pattern: /Cannot find module/i, label: 'module-error' },
-  { pattern: /command not found/i, label: 'command-not-found' },
-];
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
 
-const COMPLETION_PATTERNS = [
-  { pattern: /openclaw system event/i, label: 'completion-signal' },
-  { pattern: /Done:/i, label: 'done' },
-  { pattern: /Task completed/i, label: 'task-completed' },
-  { pattern: /❯ Try "write a test/i, label: 'claude-code-idle' },
-];
+let options;
+let config;
+let notifiers;
+let POLICY;
+try {
+  ({ options } = parseArgs(process.argv.slice(2), {
+    string: ['interval', 'policy', 'session', 'log', 'webhook', 'exec', 'config'],
+    array: ['notify'],
+    boolean: ['auto-approve'],
+  }));
+  config = options.config ? readJson(options.config) : {};
+
+  // Policy files in the config are relative to the config file
+  const policy = options.policy || config.policy;
+  POLICY = typeof policy === 'string'
+    ? readJson(options.policy ? policy : path.resolve(path.dirname(options.config), policy))
+    : policy || null;
+
+  const specs = options.notify || config.notifiers;
+  notifiers = specs ? specs.map(createNotifier) : [openclawNotifier({ categories: WAKE_CATEGORIES })];
+  if (options.webhook) notifiers.push(createNotifier({ type: 'webhook', url: options.webhook }));
+  if (options.exec) notifiers.push(createNotifier({ type: 'exec', command: options.exec }));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(err.exitCode || 1);
+}
+const INTERVAL = parseInt(options.interval || config.interval || '3000');
+const AUTO_APPROVE = !!(options.autoApprove || config.autoApprove);
+const LOG_FILE = options.log || config.log || path.join(os.tmpdir(), 'cc-watcher.log');
 
 // ─── Helpers ────────────────────────────────────────────────
 
@@ -61,117 +88,29 @@ function log(msg) {
   fs.appendFileSync(LOG_FILE, line + '\n');
 }
 
-function readTerminal() {
-  try {
-    return execSync(
-      'osascript -e \'tell application "Terminal" to get contents of front window\'',
-      { encoding: 'utf-8', timeout: 5000 }
-    ).trim();
-  } catch {
-    return '';
-  }
-}
-
-function sendEvent(text) {
-  try {
-    execSync(`openclaw system event --text "${text.replace(/"/g, '\\"')}" --mode now`, {
-      timeout: 10000,
-      stdio: 'pipe',
-    });
-    log(`📡 Event sent: ${text}`);
-  } catch (err) {
-    log(`⚠️  Event send failed: ${err.message}`);
-  }
-}
-
-function approvePrompt() {
-  try {
-    // Shift+Tab = "Yes, allow all edits during this session"
-    execSync(`osascript -e '
-      tell application "Terminal" to activate
-      delay 0.3
-      tell application "System Events"
-        key code 48 using shift down
-      end tell'`, { timeout: 5000 });
-    log('✅ Auto-approved with Shift+Tab');
-  } catch (err) {
-    log(`⚠️  Auto-approve failed: ${err.message}`);
-  }
-}
-
 // ─── Main Loop ──────────────────────────────────────────────
 
-let lastContent = '';
-let lastEventTime = 0;
-let lastPromptTime = 0;
-const EVENT_COOLDOWN = 30000; // Don't spam events — 30s cooldown
-const PROMPT_COOLDOWN = 5000; // 5s between auto-approvals
+const monitor = createMonitor({
+  intervalMs: INTERVAL,
+  autoApprove: AUTO_APPROVE,
+  policy: POLICY,
+  cooldowns: config.cooldowns,
+  sessionIds: options.session ? [options.session] : null,
+  frontWindow: options.session ? false : 'auto',
+  notifiers,
+  log,
+});
 
-log(`🔍 Watcher started (interval: ${INTERVAL}ms, auto-approve: ${AUTO_APPROVE})`);
 log(`   Logging to: ${LOG_FILE}`);
-
-setInterval(() => {
-  const content = readTerminal();
-  if (!content || content === lastContent) return;
-
-  // Only check the last ~15 lines for recent activity
-  const lines = content.split('\n');
-  const recent = lines.slice(-15).join('\n');
-  const now = Date.now();
-
-  // Check for prompts first
-  for (const { pattern, label } of PROMPT_PATTERNS) {
-    if (pattern.test(recent)) {
-      if (AUTO_APPROVE && now - lastPromptTime > PROMPT_COOLDOWN) {
-        log(`🔔 Detected ${label} — auto-approving`);
-        approvePrompt();
-        lastPromptTime = now;
-      } else if (!AUTO_APPROVE && now - lastEventTime > EVENT_COOLDOWN) {
-        sendEvent(`Watcher: Claude Code needs input — ${label} detected. Check Terminal.`);
-        lastEventTime = now;
-      }
-      lastContent = content;
-      return;
-    }
-  }
-
-  // Skip harmless shell noise
-  if (IGNORE_PATTERNS.some(p => p.test(recent))) return;
-
-  // Check for errors
-  for (const { pattern, label } of ERROR_PATTERNS) {
-    if (pattern.test(recent) && now - lastEventTime > EVENT_COOLDOWN) {
-      log(`❌ Detected ${label}`);
-      const errorLine = lines.filter(l => pattern.test(l)).pop() || '';
-      sendEvent(`Watcher: ${label} in Claude Code — ${errorLine.trim().slice(0, 100)}`);
-      lastEventTime = now;
-      lastContent = content;
-      return;
-    }
-  }
-
-  // Check for completion
-  for (const { pattern, label } of COMPLETION_PATTERNS) {
-    if (pattern.test(recent) && now - lastEventTime > EVENT_COOLDOWN) {
-      log(`🏁 Detected ${label}`);
-      sendEvent(`Watcher: Claude Code appears done — ${label} detected. Check Terminal.`);
-      lastEventTime = now;
-      lastContent = content;
-      return;
-    }
-  }
-
-  lastContent = content;
-}, INTERVAL);
+log(`   Notifying: ${notifiers.map(n => n.name).join(', ')}`);
+monitor.start();
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-  log('👋 Watcher stopped');
-  process.exit(0);
-});
-process.on('SIGTERM', () => {
-  log('👋 Watcher stopped');
+function shutdown() {
+  monitor.stop();
   process.exit(0);
-});
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-log('👁  Watching Terminal.app...');
+log('👁  Watching Claude Code sessions...');